@@ -0,0 +1,144 @@
+/**
+ * Audio features from raw PCM, computed the same way for every device
+ * A frame of mono or interleaved stereo samples becomes the reading fields devices used to send
+ * themselves:
+ *   noiseLevel     - dB SPL: 20·log10(RMS) (dBFS) + the microphone's splOffsetDb
+ *   lowFreqEnergy  - share of the spectral energy below LOW_BAND_HZ
+ *   midFreqEnergy  - share from LOW_BAND_HZ to HIGH_BAND_HZ (most of speech)
+ *   highFreqEnergy - share from HIGH_BAND_HZ up to MAX_BAND_HZ
+ *   volatility     - how much the level jumps between ~20 ms blocks (std/mean of their RMS, capped at 1)
+ * The three shares add up to 1. The spectrum is averaged over Hann-windowed FFT_SIZE blocks.
+ */
+
+const ENCODINGS = {
+  s16le: { bytes: 2, read: (buf, offset) => buf.readInt16LE(offset) / 32768 },
+  f32le: { bytes: 4, read: (buf, offset) => buf.readFloatLE(offset) }
+};
+
+const FFT_SIZE = 1024;
+const MIN_BAND_HZ = 20;
+const LOW_BAND_HZ = 250;
+const HIGH_BAND_HZ = 2000;
+const MAX_BAND_HZ = 8000;
+const BLOCK_MS = 20;
+
+/**
+ * @param {Buffer} buffer - interleaved PCM
+ * @param {Object} format - { encoding: 's16le'|'f32le', channels: 1|2 }
+ * @returns {Float32Array} mono samples in -1..1
+ */
+function decodePcm(buffer, { encoding, channels = 1 }) {
+  const { bytes, read } = ENCODINGS[encoding];
+  const count = Math.floor(buffer.length / (bytes * channels));
+  const samples = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read(buffer, (i * channels + c) * bytes);
+    // NaN/Infinity from a broken float stream count as silence rather than poisoning the frame
+    const value = sum / channels;
+    samples[i] = Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0;
+  }
+  return samples;
+}
+
+function rms(samples, start = 0, end = samples.length) {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
+}
+
+// In-place iterative radix-2 FFT; re/im have a power-of-two length
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+// Energy in the low/mid/high bands, summed over the frame's FFT blocks (half-overlapping)
+function bandEnergies(samples, sampleRate) {
+  const size = Math.min(FFT_SIZE, 2 ** Math.floor(Math.log2(samples.length)));
+  const hop = size / 2;
+  const window = Float32Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1)));
+  const bands = { low: 0, mid: 0, high: 0 };
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let start = 0; start + size <= samples.length; start += hop) {
+    for (let i = 0; i < size; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 1; k < size / 2; k++) {
+      const hz = (k * sampleRate) / size;
+      if (hz < MIN_BAND_HZ || hz > MAX_BAND_HZ) continue;
+      const power = re[k] * re[k] + im[k] * im[k];
+      if (hz < LOW_BAND_HZ) bands.low += power;
+      else if (hz < HIGH_BAND_HZ) bands.mid += power;
+      else bands.high += power;
+    }
+  }
+  return bands;
+}
+
+function volatility(samples, sampleRate) {
+  const block = Math.max(1, Math.round((sampleRate * BLOCK_MS) / 1000));
+  const levels = [];
+  for (let start = 0; start + block <= samples.length; start += block) levels.push(rms(samples, start, start + block));
+  if (levels.length < 2) return 0;
+  const mean = levels.reduce((a, b) => a + b, 0) / levels.length;
+  if (!mean) return 0;
+  const variance = levels.reduce((a, b) => a + (b - mean) ** 2, 0) / levels.length;
+  return Math.min(1, Math.sqrt(variance) / mean);
+}
+
+const round3 = (x) => Math.round(x * 1000) / 1000;
+
+/**
+ * @param {Float32Array} samples - mono, -1..1 (see decodePcm)
+ * @param {number} sampleRate - Hz
+ * @param {Object} options - { splOffsetDb: dB SPL of a full-scale signal, i.e. dBFS + this = dB SPL }
+ * @returns {Object} { noiseLevel, audioFeatures: { lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility } }
+ */
+function extractFeatures(samples, sampleRate, { splOffsetDb }) {
+  const level = rms(samples);
+  const dbfs = level > 0 ? 20 * Math.log10(level) : -Infinity;
+  const noiseLevel = Math.max(0, Math.min(140, Math.round((dbfs + splOffsetDb) * 10) / 10));
+  const { low, mid, high } = bandEnergies(samples, sampleRate);
+  const total = low + mid + high;
+  return {
+    noiseLevel,
+    audioFeatures: {
+      // a silent frame has no spectrum; call it flat
+      lowFreqEnergy: total ? round3(low / total) : 0.333,
+      midFreqEnergy: total ? round3(mid / total) : 0.333,
+      highFreqEnergy: total ? round3(high / total) : 0.333,
+      volatility: round3(volatility(samples, sampleRate))
+    }
+  };
+}
+
+module.exports = { ENCODINGS, FFT_SIZE, decodePcm, extractFeatures };
@@ -0,0 +1,252 @@
+/**
+ * Users and sessions
+ * Accounts live in users.json (in the app's userData folder) with salted scrypt password hashes;
+ * nothing about them is kept in the renderer. Sessions are held in memory, one per window,
+ * and end after sessionHours or after idleTimeoutMin without activity.
+ *
+ * Emits 'session-ended' (owner, reason) when a session expires, goes idle or its user is disabled,
+ * and 'session-changed' (owner, session) when an admin changes the logged-in user's role.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { ROLES, permissionsFor } = require('./permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+// roles from before viewers/librarians existed
+const LEGACY_ROLES = { user: 'librarian' };
+const USERNAME = /^[A-Za-z0-9._-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return { salt, hash: key.toString('hex') };
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// What callers outside this module may see of an account
+function publicUser(user) {
+  const { salt, hash, ...rest } = user;
+  return rest;
+}
+
+class AuthManager extends EventEmitter {
+  /**
+   * @param {Object} options - { file, settings: config.auth { sessionHours, idleTimeoutMin } }
+   */
+  constructor({ file, settings }) {
+    super();
+    this.file = file;
+    this.settings = settings;
+    this.users = [];
+    this.sessions = new Map(); // owner (window id) -> session
+    this.failedLogins = new Map(); // username -> { count, lockedUntil }
+  }
+
+  load() {
+    try {
+      this.users = JSON.parse(fs.readFileSync(this.file, 'utf8')).users || [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.users = [];
+    }
+    const legacy = this.users.filter((u) => LEGACY_ROLES[u.role]);
+    legacy.forEach((u) => { u.role = LEGACY_ROLES[u.role]; });
+    if (legacy.length) this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // write then rename so a crash never leaves a half-written user file
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ users: this.users }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+
+  needsSetup() {
+    return this.users.length === 0;
+  }
+
+  findUser(username) {
+    return this.users.find((u) => u.username.toLowerCase() === String(username || '').toLowerCase());
+  }
+
+  /**
+   * First run only: create the administrator account
+   */
+  async setup({ username, password }) {
+    if (!this.needsSetup()) throw new AuthError('Setup has already been completed');
+    return this.addUser({ username, password, role: 'admin' });
+  }
+
+  /**
+   * @returns {Object} the new session (without secrets)
+   * @throws {AuthError} for wrong credentials, disabled or temporarily locked accounts
+   */
+  async login(owner, { username, password } = {}, now = Date.now()) {
+    const user = this.findUser(username);
+    const failed = this.failedLogins.get(String(username).toLowerCase());
+    if (failed && failed.lockedUntil > now) {
+      throw new AuthError('Too many failed attempts, try again in a minute');
+    }
+    // hash even for unknown users so response time doesn't reveal which names exist
+    const { hash } = await hashPassword(String(password || ''), user ? user.salt : 'no-such-user');
+    const ok = user && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.hash, 'hex'));
+    if (!ok) {
+      this.recordFailure(username, now);
+      throw new AuthError('Invalid username or password');
+    }
+    if (user.disabled) throw new AuthError('This account is disabled');
+
+    this.failedLogins.delete(user.username.toLowerCase());
+    user.lastLoginAt = now;
+    this.save();
+    const session = {
+      username: user.username,
+      role: user.role,
+      permissions: permissionsFor(user.role),
+      startedAt: now,
+      lastActivity: now,
+      expiresAt: now + this.settings.sessionHours * 60 * 60 * 1000
+    };
+    this.sessions.set(owner, session);
+    return { ...session };
+  }
+
+  recordFailure(username, now) {
+    const key = String(username).toLowerCase();
+    const failed = this.failedLogins.get(key) || { count: 0, lockedUntil: 0 };
+    failed.count++;
+    if (failed.count >= MAX_FAILED_LOGINS) {
+      failed.count = 0;
+      failed.lockedUntil = now + LOCKOUT_MS;
+    }
+    this.failedLogins.set(key, failed);
+  }
+
+  logout(owner) {
+    this.sessions.delete(owner);
+  }
+
+  /**
+   * Current session for a window, or null; ends it if it has expired or gone idle
+   */
+  session(owner, now = Date.now()) {
+    const session = this.sessions.get(owner);
+    if (!session) return null;
+    const reason = this.endReason(session, now);
+    if (reason) {
+      this.endSession(owner, reason);
+      return null;
+    }
+    return session;
+  }
+
+  // Record user activity, pushing back the idle timeout
+  touch(owner, now = Date.now()) {
+    const session = this.session(owner, now);
+    if (session) session.lastActivity = now;
+    return session;
+  }
+
+  endReason(session, now) {
+    if (now >= session.expiresAt) return 'expired';
+    if (now - session.lastActivity >= this.settings.idleTimeoutMin * 60 * 1000) return 'idle';
+    const user = this.findUser(session.username);
+    if (!user || user.disabled) return 'disabled';
+    return null;
+  }
+
+  endSession(owner, reason) {
+    this.sessions.delete(owner);
+    this.emit('session-ended', owner, reason);
+  }
+
+  // Run periodically so idle windows return to the login screen without any IPC call
+  expireSessions(now = Date.now()) {
+    for (const [owner, session] of this.sessions) {
+      const reason = this.endReason(session, now);
+      if (reason) this.endSession(owner, reason);
+    }
+  }
+
+  // ---- User management (callers check the users:manage permission) ----
+
+  listUsers() {
+    return this.users.map(publicUser);
+  }
+
+  async addUser({ username, password, role = 'librarian' } = {}) {
+    if (!USERNAME.test(String(username || ''))) {
+      throw new AuthError('Username must be 2–32 letters, digits, dots, dashes or underscores');
+    }
+    if (this.findUser(username)) throw new AuthError(`User "${username}" already exists`);
+    if (!ROLES.includes(role)) throw new AuthError(`Unknown role: ${role}`);
+    checkPassword(password);
+    const user = { username, role, disabled: false, createdAt: Date.now(), lastLoginAt: null, ...(await hashPassword(password)) };
+    this.users.push(user);
+    this.save();
+    return publicUser(user);
+  }
+
+  /**
+   * Change role or enable/disable an account. The last enabled admin can't be demoted or disabled.
+   */
+  updateUser({ username, role, disabled } = {}) {
+    const user = this.findUser(username);
+    if (!user) throw new AuthError(`No user "${username}"`);
+    if (role !== undefined && !ROLES.includes(role)) throw new AuthError(`Unknown role: ${role}`);
+    const next = { ...user, role: role !== undefined ? role : user.role, disabled: disabled !== undefined ? Boolean(disabled) : user.disabled };
+    const adminsLeft = this.users.filter((u) => u !== user && u.role === 'admin' && !u.disabled).length;
+    if (user.role === 'admin' && !user.disabled && (next.role !== 'admin' || next.disabled) && adminsLeft === 0) {
+      throw new AuthError('At least one enabled administrator is required');
+    }
+    Object.assign(user, { role: next.role, disabled: next.disabled, updatedAt: Date.now() });
+    this.save();
+    // open sessions pick up the change: disabled users are logged out, roles apply at once
+    for (const [owner, session] of this.sessions) {
+      if (session.username !== user.username) continue;
+      if (user.disabled) {
+        this.endSession(owner, 'disabled');
+      } else {
+        session.role = user.role;
+        session.permissions = permissionsFor(user.role);
+        this.emit('session-changed', owner, { ...session });
+      }
+    }
+    return publicUser(user);
+  }
+
+  async resetPassword({ username, password } = {}) {
+    const user = this.findUser(username);
+    if (!user) throw new AuthError(`No user "${username}"`);
+    checkPassword(password);
+    Object.assign(user, await hashPassword(password), { updatedAt: Date.now() });
+    this.save();
+    return publicUser(user);
+  }
+}
+
+AuthManager.ROLES = ROLES;
+AuthManager.AuthError = AuthError;
+
+module.exports = AuthManager;
@@ -0,0 +1,229 @@
+/**
+ * Per-device calibration
+ * Microphones differ: two devices hearing the same room can report levels several dB apart, which
+ * makes the peer comparisons and a shared threshold unfair. A device's calibration in the registry,
+ * { offsetDb, gain }, corrects every noiseLevel it reports before anything else sees it
+ * (classification, alerts, sensor health, history): corrected = raw × gain + offsetDb.
+ *
+ * CalibrationManager runs the guided workflow for a table. Staff put a reference tone (a sound
+ * calibrator, or a speaker playing a known level) or leave the room quiet at the table, and the raw
+ * levels of every device there are collected for calibration.measureSec. Then offsets are proposed:
+ *   reference  each device's median level is brought to referenceDb
+ *   baseline   each device's median is brought to referenceDb when the quiet level is known, else
+ *              to the median of the table's devices, so that they at least agree with each other
+ * Gains are kept. A device with fewer than calibration.minReadings readings, or whose readings spread
+ * more than calibration.maxSpreadDb (someone talked over the tone), gets no proposal. Nothing
+ * changes until the proposals are applied; main.js stores them and records who applied them, then
+ * marks the session applied.
+ *
+ * Emits 'updated' (session) on every state change: measuring -> ready -> applied | canceled.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const METHODS = ['reference', 'baseline'];
+const NO_CALIBRATION = { offsetDb: 0, gain: 1 };
+const OFFSET_LIMIT_DB = 40;
+const GAIN_RANGE = [0.5, 2];
+
+const round = (n) => Math.round(n * 10) / 10;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function std(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+/**
+ * @param {number} noiseLevel - dB as the device reported it
+ * @param {Object|null} calibration - { offsetDb, gain }; none leaves the level as it is
+ * @returns {number} the corrected level, 0–140 dB to 0.1 dB
+ */
+function applyCalibration(noiseLevel, calibration) {
+  if (!calibration) return noiseLevel;
+  const { offsetDb = 0, gain = 1 } = calibration;
+  return Math.max(0, Math.min(140, round(noiseLevel * gain + offsetDb)));
+}
+
+/**
+ * @param {Object} calibration - { offsetDb, gain? }
+ * @returns {Object} { offsetDb, gain }
+ * @throws {Error} when either is missing or out of range
+ */
+function checkCalibration({ offsetDb, gain = 1 } = {}) {
+  if (typeof offsetDb !== 'number' || !(Math.abs(offsetDb) <= OFFSET_LIMIT_DB)) {
+    throw new Error(`Calibration offset must be between −${OFFSET_LIMIT_DB} and +${OFFSET_LIMIT_DB} dB`);
+  }
+  if (typeof gain !== 'number' || !(gain >= GAIN_RANGE[0] && gain <= GAIN_RANGE[1])) {
+    throw new Error(`Calibration gain must be between ${GAIN_RANGE[0]} and ${GAIN_RANGE[1]}`);
+  }
+  return { offsetDb: round(offsetDb), gain: Math.round(gain * 1000) / 1000 };
+}
+
+class CalibrationManager extends EventEmitter {
+  /**
+   * @param {Object} options - { settings: config.calibration, calibrationOf(deviceId) -> { offsetDb, gain } | null }
+   */
+  constructor({ settings, calibrationOf }) {
+    super();
+    this.settings = settings;
+    this.calibrationOf = calibrationOf;
+    this.sessions = new Map(); // tableId -> latest session there
+    this.timers = new Map(); // session id -> timeout
+  }
+
+  /**
+   * Start measuring at a table
+   * @param {Object} request - { tableId, method: 'reference'|'baseline', referenceDb (required for reference), deviceIds, user }
+   * @returns {Object} the session
+   * @throws {Error} for a bad request, no devices, or a calibration already running at the table
+   */
+  start({ tableId, method, referenceDb = null, deviceIds = [], user }, now = Date.now()) {
+    if (typeof tableId !== 'string' || !tableId) throw new Error('Pick the table to calibrate');
+    if (!METHODS.includes(method)) throw new Error(`Unknown calibration method: ${method} (known: ${METHODS.join(', ')})`);
+    if (referenceDb !== null && !(typeof referenceDb === 'number' && referenceDb >= 20 && referenceDb <= 140)) {
+      throw new Error('Reference level must be between 20 and 140 dB');
+    }
+    if (method === 'reference' && referenceDb === null) throw new Error('A reference tone needs its level in dB');
+    if (!deviceIds.length) throw new Error(`No registered devices connected at ${tableId}`);
+    const running = this.sessions.get(tableId);
+    if (running && ['measuring', 'ready'].includes(running.state)) throw new Error(`${tableId} is already being calibrated`);
+
+    const durationMs = this.settings.measureSec * 1000;
+    const session = {
+      id: `cal-${crypto.randomBytes(6).toString('hex')}`,
+      tableId,
+      method,
+      referenceDb,
+      state: 'measuring',
+      startedBy: user,
+      startedAt: now,
+      endsAt: now + durationMs,
+      devices: Object.fromEntries(deviceIds.map((deviceId) => [deviceId, { levels: [] }]))
+    };
+    this.sessions.set(tableId, session);
+    this.timers.set(session.id, setTimeout(() => this.finish(session), durationMs));
+    this.emit('updated', this.view(session));
+    return this.view(session);
+  }
+
+  /**
+   * Feed a device's raw (uncalibrated) level to the calibration measuring it, if any
+   * @returns {boolean} true while the device is being measured (its readings aren't real room noise)
+   */
+  reading(deviceId, rawLevel) {
+    const session = this.measuring(deviceId);
+    if (!session) return false;
+    session.devices[deviceId].levels.push(rawLevel);
+    return true;
+  }
+
+  measuring(deviceId) {
+    return [...this.sessions.values()].find((s) => s.state === 'measuring' && s.devices[deviceId]) || null;
+  }
+
+  // Measuring time is up: work out what each device should get
+  finish(session, now = Date.now()) {
+    clearTimeout(this.timers.get(session.id));
+    this.timers.delete(session.id);
+    const { minReadings, maxSpreadDb } = this.settings;
+    const results = Object.entries(session.devices).map(([deviceId, { levels }]) => {
+      const current = this.calibrationOf(deviceId) || NO_CALIBRATION;
+      const result = { deviceId, readings: levels.length, current: { offsetDb: current.offsetDb, gain: current.gain } };
+      if (levels.length < minReadings) return { ...result, problem: `only ${levels.length} reading${levels.length === 1 ? '' : 's'}, ${minReadings} needed` };
+      const spreadDb = round(std(levels));
+      const rawDb = round(median(levels));
+      Object.assign(result, { rawDb, spreadDb, measuredDb: applyCalibration(rawDb, current) });
+      if (spreadDb > maxSpreadDb) return { ...result, problem: `levels spread ${spreadDb} dB, more than ${maxSpreadDb} dB` };
+      return result;
+    });
+
+    const usable = results.filter((r) => !r.problem);
+    const targetDb = session.referenceDb !== null ? session.referenceDb : usable.length ? median(usable.map((r) => r.measuredDb)) : null;
+    for (const result of usable) {
+      const offsetDb = round(targetDb - result.current.gain * result.rawDb);
+      if (Math.abs(offsetDb) > OFFSET_LIMIT_DB) {
+        result.problem = `would need ${offsetDb > 0 ? '+' : ''}${offsetDb} dB, beyond ±${OFFSET_LIMIT_DB} dB: check the microphone`;
+        continue;
+      }
+      result.proposed = { offsetDb, gain: result.current.gain };
+      result.changeDb = round(offsetDb - result.current.offsetDb);
+    }
+
+    Object.assign(session, { state: 'ready', readyAt: now, targetDb: targetDb === null ? null : round(targetDb), results });
+    this.emit('updated', this.view(session));
+  }
+
+  /**
+   * A session whose proposals can be applied
+   * @returns {Object} the session; its results with a proposal are the ones to store
+   * @throws {Error} unless it is ready and some device got a proposal
+   */
+  ready(id) {
+    const session = this.require(id);
+    if (session.state !== 'ready') throw new Error(`Calibration ${id} is ${session.state}, not ready to apply`);
+    if (!session.results.some((r) => r.proposed)) throw new Error('No device got a usable measurement');
+    return this.view(session);
+  }
+
+  /**
+   * Mark the proposals applied once the caller has stored them (see calibration-apply in main.js)
+   * @param {Object} skipped - deviceId -> why its proposal wasn't stored; those results lose it
+   * @returns {Object} the session
+   */
+  apply(id, user, skipped = {}, now = Date.now()) {
+    this.ready(id);
+    const session = this.require(id);
+    if (session.results.every((r) => !r.proposed || skipped[r.deviceId])) throw new Error('None of the proposed offsets could be stored');
+    for (const result of session.results.filter((r) => r.proposed && skipped[r.deviceId])) {
+      result.problem = skipped[result.deviceId];
+      delete result.proposed;
+      delete result.changeDb;
+    }
+    Object.assign(session, { state: 'applied', appliedBy: user, appliedAt: now });
+    this.emit('updated', this.view(session));
+    return this.view(session);
+  }
+
+  cancel(id, user, now = Date.now()) {
+    const session = this.require(id);
+    if (!['measuring', 'ready'].includes(session.state)) throw new Error(`Calibration ${id} is already ${session.state}`);
+    clearTimeout(this.timers.get(session.id));
+    this.timers.delete(session.id);
+    Object.assign(session, { state: 'canceled', canceledBy: user, canceledAt: now });
+    this.emit('updated', this.view(session));
+    return this.view(session);
+  }
+
+  require(id) {
+    const session = [...this.sessions.values()].find((s) => s.id === id);
+    if (!session) throw new Error(`Unknown calibration: ${id}`);
+    return session;
+  }
+
+  // Latest session per table, e.g. to rebuild the Devices tab
+  list() {
+    return [...this.sessions.values()].map((s) => this.view(s));
+  }
+
+  // A session without its raw levels; while measuring, each device's count and median so far
+  view(session) {
+    const { devices, results, ...rest } = session;
+    if (results) return { ...rest, results: results.map((r) => ({ ...r })) };
+    return {
+      ...rest,
+      results: Object.entries(devices).map(([deviceId, { levels }]) => ({ deviceId, readings: levels.length, rawDb: levels.length ? round(median(levels)) : null }))
+    };
+  }
+}
+
+CalibrationManager.METHODS = METHODS;
+
+module.exports = { CalibrationManager, applyCalibration, checkCalibration };
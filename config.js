@@ -0,0 +1,519 @@
+/**
+ * Central configuration
+ * Loads config.json, validates it against SCHEMA and watches the file so changes
+ * apply without restarting. Missing settings fall back to DEFAULT_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { WARN_MODES, WARN_LEVELS } = require('./protocol');
+const { ROLES } = require('./permissions');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+
+const DEFAULT_CONFIG = {
+  server: {
+    port: 8080,              // first port tried; the next free one is used if taken
+    portSearchAttempts: 50,
+    pingIntervalMs: 5000     // keep-alive ping + inactivity check period
+  },
+  devices: {
+    inactivityMs: 15000      // no data for this long -> device is offline
+  },
+  deviceAuth: {
+    required: true,          // false lets devices that skip the handshake connect (old firmware)
+    sharedSecret: '',        // HMAC secret for devices without their own; '' = registered devices only
+    autoRegister: false,     // add devices that prove the shared secret to the registry (never with the example secret)
+    helloTimeoutMs: 10000    // time a new connection has to authenticate
+  },
+  audio: {
+    splOffsetDb: 120         // devices sending raw PCM: dB SPL of a full-scale signal (dBFS + this), unless set per device
+  },
+  commands: {
+    ackTimeoutMs: 5000,      // a device must acknowledge a command this fast
+    resultTimeoutMs: 60000   // and finish it (e.g. a calibration) within this
+  },
+  calibration: {
+    measureSec: 30,          // how long the guided calibration listens at a table (see calibration.js)
+    minReadings: 5,          // a device needs this many readings in that time to be calibrated
+    maxSpreadDb: 3           // readings spread more than this (standard deviation) aren't a steady tone
+  },
+  classifier: {
+    mode: 'ensemble',        // model, ensemble (model + rules) or heuristic (rules only)
+    heuristicWeight: 0.3,    // share of the rules in ensemble mode
+    minConfidence: 0.5,      // below this a sound is reported as 'unknown'
+    // the classifier's output labels; new ones are learned from sounds staff label (see SOUND_LABEL)
+    labels: [
+      { id: 'speech', name: 'Speech', icon: '🗣️' },
+      { id: 'music', name: 'Music', icon: '🎵' },
+      { id: 'vehicle', name: 'Vehicle', icon: '🚗' },
+      { id: 'typing', name: 'Typing', icon: '⌨️' },
+      { id: 'silence', name: 'Silence', icon: '🔇' }
+    ]
+  },
+  alerts: {
+    noiseThreshold: 65,      // dB, default for tables without their own limit
+    peerMarginDb: 10,        // peers this far below the threshold make a loud device suspicious
+    muteMinutes: 30,         // how long "Mute table" silences noise alerts
+    schedules: []            // library-wide time-bound limits, see thresholds.js
+  },
+  incidents: {
+    noise: {
+      openAfterMs: 8000,     // loud for this long before an incident opens
+      releaseMarginDb: 5,    // must drop this far below the threshold to count as quiet
+      closeAfterMs: 15000    // quiet for this long before the incident resolves
+    },
+    sensorIssue: {
+      closeAfterMs: 30000    // peers must agree again for this long
+    },
+    sensorHealth: {
+      openAfterMs: 300000,   // health score below health.alertBelow for this long before an incident opens
+      closeAfterMs: 300000   // and back at or above it for this long before it resolves
+    },
+    updateIntervalMs: 5000   // at most one dashboard update per incident in this period
+  },
+  health: {
+    windowMin: 10,           // recent readings the checks look at (see sensor_health.js)
+    minReadings: 20,         // a device is scored once it has this many in the window
+    stuckStdDb: 0.3,         // levels spread less than this (standard deviation) are stuck
+    outlierDb: 12,           // reading this far from the table's median on average is an outlier
+    driftDb: 6,              // distance from the table changing by more than this over driftWindowMin is drift
+    driftWindowMin: 60,
+    jitterRatio: 2,          // jumps between readings this many times the peers' are noisy
+    timingCv: 0.6,           // gaps between readings spread more than this (std / mean) are erratic
+    alertBelow: 70           // a score below this can open a sensor_health incident
+  },
+  escalation: {
+    checkIntervalMs: 30000,  // how often open incidents are checked against the rules
+    rules: []                // see ESCALATION_RULE below and escalation.js
+  },
+  nudges: {
+    enabled: true,           // warn loud tables through their own devices (see nudges.js)
+    checkIntervalMs: 5000,
+    cooldownMin: 5,          // at least this long between nudges at a table, except escalating steps
+    followUpSec: 60,         // check the noise again this long after each nudge
+    steps: [
+      { afterSec: 30, level: 'gentle', mode: 'led', durationMs: 10000 },
+      { afterSec: 120, level: 'firm', mode: 'both', durationMs: 15000 }
+    ]
+  },
+  // Named zones: { "Silent floor": { tables: [...], threshold, schedules: [...] } }
+  zones: {},
+  // Per-table limits: { "Table-A": { threshold, schedules: [...] } }
+  tables: {},
+  history: {
+    retentionDays: { readings: 90, alerts: 365 } // 0 = keep forever
+  },
+  recording: {
+    enabled: false           // record every inbound device message to <userData>/sessions (session_recorder.js)
+  },
+  auth: {
+    sessionHours: 12,        // a login lasts at most this long
+    idleTimeoutMin: 15       // log out after this long without activity
+  }
+};
+
+// ---- Schema ----
+// Each node describes one value; validate() walks config and schema together.
+
+const num = (min, max) => ({ type: 'number', min, max });
+const int = (min, max) => ({ type: 'integer', min, max });
+const obj = (properties) => ({ type: 'object', properties });
+const str = (pattern, hint) => ({ type: 'string', pattern, hint });
+const oneOf = (values) => ({ type: 'enum', values });
+const arrayOf = (items) => ({ type: 'array', items });
+const mapOf = (values) => ({ type: 'map', values });
+const bool = () => ({ type: 'boolean' });
+const optional = (schema) => ({ ...schema, optional: true });
+
+const THRESHOLD = num(20, 140);
+const TIME = str(/^([01]\d|2[0-3]):[0-5]\d$/, 'a 24h time like "18:00"');
+const DATE = str(/^\d{4}-\d{2}-\d{2}$/, 'a date like "2026-12-01"');
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const INCIDENT_TYPES = ['noise_exceed', 'possible_sensor_issue', 'device_offline', 'sensor_health'];
+const ESCALATION_ACTIONS = ['raise_severity', 'renotify', 'notify_role', 'maintenance_ticket'];
+
+// A limit that applies only on some days / at some times / within a date range
+const SCHEDULE = obj({
+  name: optional(str()),
+  days: optional(arrayOf(oneOf(DAYS))),
+  from: optional(TIME),
+  to: optional(TIME),
+  startDate: optional(DATE),
+  endDate: optional(DATE),
+  threshold: THRESHOLD
+});
+
+// Fires once per matching incident after it has stayed unacknowledged (or open) for N minutes
+const ESCALATION_RULE = obj({
+  name: str(),
+  types: optional(arrayOf(oneOf(INCIDENT_TYPES))),
+  soundTypes: optional(arrayOf(str())), // ids from classifier.labels
+  zones: optional(arrayOf(str())),
+  tables: optional(arrayOf(str())),
+  unacknowledgedForMin: optional(num(0, 10_080)),
+  activeForMin: optional(num(0, 10_080)),
+  actions: arrayOf(oneOf(ESCALATION_ACTIONS)),
+  notifyRole: optional(str())
+});
+
+// A sound the classifier can tell apart; id is what readings, history and rules use
+const SOUND_LABEL = obj({
+  id: str(/^[a-z][a-z0-9_]{0,31}$/, 'a lowercase id like "phone_ring"'),
+  name: str(),
+  icon: optional(str())
+});
+
+// One nudge: sent once the table has been too loud for afterSec
+const NUDGE_STEP = obj({
+  afterSec: int(0, 3600),
+  level: oneOf(WARN_LEVELS),
+  mode: oneOf(WARN_MODES),
+  durationMs: optional(int(500, 60_000))
+});
+
+const SCHEMA = obj({
+  server: obj({
+    port: int(1, 65535),
+    portSearchAttempts: int(0, 1000),
+    pingIntervalMs: int(1000, 60_000)
+  }),
+  devices: obj({
+    inactivityMs: int(2000, 3_600_000)
+  }),
+  deviceAuth: obj({
+    required: bool(),
+    sharedSecret: { type: 'string', allowEmpty: true },
+    autoRegister: bool(),
+    helloTimeoutMs: int(1000, 120_000)
+  }),
+  audio: obj({
+    splOffsetDb: num(60, 160)
+  }),
+  commands: obj({
+    ackTimeoutMs: int(500, 60_000),
+    resultTimeoutMs: int(1000, 600_000)
+  }),
+  calibration: obj({
+    measureSec: int(5, 600),
+    minReadings: int(1, 1000),
+    maxSpreadDb: num(0.1, 40)
+  }),
+  classifier: obj({
+    mode: oneOf(['model', 'ensemble', 'heuristic']),
+    heuristicWeight: num(0, 1),
+    minConfidence: num(0, 1),
+    labels: arrayOf(SOUND_LABEL)
+  }),
+  alerts: obj({
+    noiseThreshold: THRESHOLD,
+    peerMarginDb: num(0, 60),
+    muteMinutes: int(1, 480),
+    schedules: arrayOf(SCHEDULE)
+  }),
+  incidents: obj({
+    noise: obj({
+      openAfterMs: int(0, 600_000),
+      releaseMarginDb: num(0, 40),
+      closeAfterMs: int(0, 3_600_000)
+    }),
+    sensorIssue: obj({
+      closeAfterMs: int(0, 3_600_000)
+    }),
+    sensorHealth: obj({
+      openAfterMs: int(0, 86_400_000),
+      closeAfterMs: int(0, 86_400_000)
+    }),
+    updateIntervalMs: int(0, 600_000)
+  }),
+  health: obj({
+    windowMin: num(1, 240),
+    minReadings: int(3, 10_000),
+    stuckStdDb: num(0, 20),
+    outlierDb: num(1, 100),
+    driftDb: num(1, 100),
+    driftWindowMin: num(2, 1440),
+    jitterRatio: num(1, 100),
+    timingCv: num(0.1, 10),
+    alertBelow: int(0, 100)
+  }),
+  escalation: obj({
+    checkIntervalMs: int(1000, 3_600_000),
+    rules: arrayOf(ESCALATION_RULE)
+  }),
+  nudges: obj({
+    enabled: bool(),
+    checkIntervalMs: int(1000, 600_000),
+    cooldownMin: num(0, 240),
+    followUpSec: int(5, 3600),
+    steps: arrayOf(NUDGE_STEP)
+  }),
+  zones: mapOf(obj({
+    tables: arrayOf(str()),
+    threshold: optional(THRESHOLD),
+    schedules: optional(arrayOf(SCHEDULE))
+  })),
+  tables: mapOf(obj({
+    threshold: optional(THRESHOLD),
+    schedules: optional(arrayOf(SCHEDULE))
+  })),
+  history: obj({
+    retentionDays: obj({
+      readings: int(0, 3650),
+      alerts: int(0, 3650)
+    })
+  }),
+  recording: obj({
+    enabled: bool()
+  }),
+  auth: obj({
+    sessionHours: int(1, 168),
+    idleTimeoutMin: int(1, 1440)
+  })
+});
+
+class ConfigError extends Error {
+  constructor(errors, file) {
+    super(`Invalid configuration${file ? ` in ${file}` : ''}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function describe(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function validate(value, schema, at, errors) {
+  const where = at || 'config';
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${where} must be an object (got ${describe(value)})`);
+        return;
+      }
+      for (const key of Object.keys(value)) {
+        if (!schema.properties[key]) errors.push(`${at ? `${at}.` : ''}${key} is not a known setting`);
+      }
+      for (const [key, child] of Object.entries(schema.properties)) {
+        if (value[key] === undefined && child.optional) continue;
+        validate(value[key], child, at ? `${at}.${key}` : key, errors);
+      }
+      return;
+    }
+    case 'map': {
+      if (!isPlainObject(value)) {
+        errors.push(`${where} must be an object (got ${describe(value)})`);
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) validate(child, schema.values, `${where}["${key}"]`, errors);
+      return;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${where} must be a list (got ${describe(value)})`);
+        return;
+      }
+      value.forEach((item, i) => validate(item, schema.items, `${where}[${i}]`, errors));
+      return;
+    }
+    case 'boolean': {
+      if (typeof value !== 'boolean') errors.push(`${where} must be true or false (got ${describe(value)})`);
+      return;
+    }
+    case 'string': {
+      if (typeof value !== 'string' || (!schema.allowEmpty && !value.trim())) {
+        errors.push(`${where} must be a non-empty string (got ${describe(value)})`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${where} must be ${schema.hint} (got ${describe(value)})`);
+      }
+      return;
+    }
+    case 'enum': {
+      if (!schema.values.includes(value)) {
+        errors.push(`${where} must be one of ${schema.values.join(', ')} (got ${describe(value)})`);
+      }
+      return;
+    }
+    case 'number':
+    case 'integer': {
+      const ok = typeof value === 'number' && Number.isFinite(value) && (schema.type === 'number' || Number.isInteger(value));
+      if (!ok || value < schema.min || value > schema.max) {
+        errors.push(`${where} must be ${schema.type === 'integer' ? 'an integer' : 'a number'} between ${schema.min} and ${schema.max} (got ${describe(value)})`);
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at ${where}`);
+  }
+}
+
+// "2026-02-31" matches the pattern but isn't a day on the calendar
+function isRealDate(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+// Rules that span several settings, run after the per-value checks pass
+function crossCheck(config, errors) {
+  const scheduleLists = [['alerts.schedules', config.alerts.schedules]];
+  for (const [name, zone] of Object.entries(config.zones)) scheduleLists.push([`zones["${name}"].schedules`, zone.schedules || []]);
+  for (const [name, table] of Object.entries(config.tables)) scheduleLists.push([`tables["${name}"].schedules`, table.schedules || []]);
+  for (const [where, schedules] of scheduleLists) {
+    schedules.forEach((s, i) => {
+      if (Boolean(s.from) !== Boolean(s.to)) errors.push(`${where}[${i}] needs both "from" and "to"`);
+      for (const key of ['startDate', 'endDate']) {
+        if (s[key] && !isRealDate(s[key])) errors.push(`${where}[${i}].${key} is not a real date`);
+      }
+      if (s.startDate && s.endDate && s.startDate > s.endDate) errors.push(`${where}[${i}] ends before it starts`);
+    });
+  }
+
+  const { sharedSecret } = config.deviceAuth;
+  if (sharedSecret && sharedSecret.length < 16) errors.push('deviceAuth.sharedSecret must be at least 16 characters (or "" to turn it off)');
+  config.nudges.steps.forEach((step, i) => {
+    if (i > 0 && step.afterSec <= config.nudges.steps[i - 1].afterSec) {
+      errors.push(`nudges.steps[${i}].afterSec must be later than the step before it`);
+    }
+  });
+  if (config.commands.resultTimeoutMs < config.commands.ackTimeoutMs) errors.push('commands.resultTimeoutMs must not be shorter than commands.ackTimeoutMs');
+
+  const labelIds = config.classifier.labels.map((l) => l.id);
+  if (labelIds.length < 2) errors.push('classifier.labels needs at least two labels');
+  labelIds.forEach((id, i) => {
+    if (labelIds.indexOf(id) !== i) errors.push(`classifier.labels[${i}] reuses the id "${id}"`);
+    if (id === 'unknown') errors.push(`classifier.labels[${i}]: "unknown" is reserved for sounds the classifier isn't sure about`);
+  });
+
+  const ruleNames = new Set();
+  config.escalation.rules.forEach((rule, i) => {
+    const where = `escalation.rules[${i}]`;
+    if (ruleNames.has(rule.name)) errors.push(`${where} reuses the name "${rule.name}"`);
+    ruleNames.add(rule.name);
+    if ((rule.unacknowledgedForMin === undefined) === (rule.activeForMin === undefined)) {
+      errors.push(`${where} needs exactly one of "unacknowledgedForMin" and "activeForMin"`);
+    }
+    if (!rule.actions.length) errors.push(`${where} has no actions`);
+    if (rule.actions.includes('notify_role') && !rule.notifyRole) errors.push(`${where} uses notify_role but has no "notifyRole"`);
+    if (rule.notifyRole && !ROLES.includes(rule.notifyRole)) errors.push(`${where}.notifyRole: "${rule.notifyRole}" is not a role (${ROLES.join(', ')})`);
+    (rule.soundTypes || []).forEach((id) => {
+      if (id !== 'unknown' && !labelIds.includes(id)) errors.push(`${where}.soundTypes: "${id}" is not in classifier.labels`);
+    });
+  });
+
+  const zoneOfTable = {};
+  for (const [name, zone] of Object.entries(config.zones)) {
+    for (const tableId of zone.tables) {
+      if (zoneOfTable[tableId]) errors.push(`table "${tableId}" is in both zone "${zoneOfTable[tableId]}" and zone "${name}"`);
+      zoneOfTable[tableId] = name;
+    }
+  }
+}
+
+function isPlainObject(v) {
+  return v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Overlay user settings on defaults; arrays and scalars replace, objects merge
+function mergeDefaults(defaults, overrides) {
+  if (!isPlainObject(defaults) || !isPlainObject(overrides)) return overrides === undefined ? defaults : overrides;
+  const out = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) out[key] = mergeDefaults(defaults[key], value);
+  return out;
+}
+
+/**
+ * Merge raw settings over the defaults and validate the result
+ * @throws {ConfigError} listing every invalid setting
+ */
+function resolveConfig(raw, file) {
+  if (!isPlainObject(raw)) throw new ConfigError([`config must be a JSON object (got ${describe(raw)})`], file);
+  const config = mergeDefaults(DEFAULT_CONFIG, raw);
+  const errors = [];
+  validate(config, SCHEMA, '', errors);
+  if (!errors.length) crossCheck(config, errors);
+  if (errors.length) throw new ConfigError(errors, file);
+  return config;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+  try {
+    return text.trim() ? JSON.parse(text) : {};
+  } catch (err) {
+    throw new ConfigError([`not valid JSON: ${err.message}`], file);
+  }
+}
+
+/**
+ * Holds the current configuration and reloads it when the file changes.
+ * Emits 'change' (config, previous) after a valid reload and 'error' (err) for a rejected one;
+ * a rejected reload keeps the previous configuration.
+ */
+class ConfigStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.file = options.file || process.env.NOISE_MONITOR_CONFIG || DEFAULT_CONFIG_FILE;
+    this.config = null;
+    this.watching = false;
+  }
+
+  load() {
+    this.config = resolveConfig(readConfigFile(this.file), this.file);
+    return this.config;
+  }
+
+  get() {
+    return this.config;
+  }
+
+  reload() {
+    const previous = this.config;
+    try {
+      const next = resolveConfig(readConfigFile(this.file), this.file);
+      if (JSON.stringify(next) === JSON.stringify(previous)) return;
+      this.config = next;
+      this.emit('change', next, previous);
+    } catch (err) {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * Edit the config file from the app; applied at once like a manual edit
+   * @param {Function} edit - receives the raw file contents, returns the new contents
+   * @throws {ConfigError} if the result is invalid; the file is then left untouched
+   */
+  update(edit) {
+    const raw = edit(readConfigFile(this.file));
+    resolveConfig(raw, this.file);
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(raw, null, 2) + '\n');
+    fs.renameSync(tmp, this.file);
+    this.reload();
+    return this.config;
+  }
+
+  watch(intervalMs = 1000) {
+    if (this.watching) return;
+    this.watching = true;
+    // polling copes with editors that save by rename and with the file not existing yet
+    fs.watchFile(this.file, { interval: intervalMs }, () => this.reload());
+  }
+
+  close() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+}
+
+module.exports = { ConfigStore, ConfigError, DEFAULT_CONFIG, DAYS, INCIDENT_TYPES, ESCALATION_ACTIONS, resolveConfig };
@@ -0,0 +1,59 @@
+/**
+ * Device authentication, shared by the server and the device clients/simulators
+ *
+ * Handshake on every WebSocket connection:
+ *   server -> { type: 'challenge', v, nonce }
+ *   device -> { type: 'hello', v, deviceId, tableId, signature }   signature = HMAC-SHA256(secret, `${deviceId}:${nonce}`)
+ *   server -> { type: 'welcome', v, deviceId }  or  { type: 'error', v, code, message } and close
+ * The secret is the device's own (from the registry) or the library-wide deviceAuth.sharedSecret.
+ * Devices are only auto-registered with a shared secret nobody else knows: never with an empty one,
+ * nor with an example secret published in this repository's docs and history.
+ */
+
+const crypto = require('crypto');
+
+// WebSocket close codes used when a connection is refused
+const CLOSE_CODES = {
+  auth_failed: 4001,
+  protocol_error: 4002, // invalid or unsupported message before the hello (see protocol.js)
+  revoked: 4003,
+  unknown_device: 4004,
+  hello_timeout: 4008,
+  duplicate: 4009
+};
+
+const PUBLISHED_SECRETS = ['library-dev-secret-change-me'];
+
+/**
+ * @param {Object} settings - config.deviceAuth
+ * @returns {boolean} whether a device proving the shared secret may be added to the registry
+ */
+function canAutoRegister({ sharedSecret, autoRegister }) {
+  return Boolean(autoRegister && sharedSecret && !PUBLISHED_SECRETS.includes(sharedSecret));
+}
+
+function signChallenge(secret, deviceId, nonce) {
+  return crypto.createHmac('sha256', secret).update(`${deviceId}:${nonce}`).digest('hex');
+}
+
+function verifySignature(secret, deviceId, nonce, signature) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) return false;
+  const expected = Buffer.from(signChallenge(secret, deviceId, nonce), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Secret a simulator/device process should use: DEVICE_SECRET from the environment,
+ * else the shared secret from config.json (when running next to the app)
+ */
+function deviceSecret() {
+  if (process.env.DEVICE_SECRET) return process.env.DEVICE_SECRET;
+  try {
+    const { ConfigStore } = require('./config');
+    return new ConfigStore().load().deviceAuth.sharedSecret;
+  } catch (e) {
+    return '';
+  }
+}
+
+module.exports = { CLOSE_CODES, PUBLISHED_SECRETS, canAutoRegister, signChallenge, verifySignature, deviceSecret };
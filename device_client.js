@@ -0,0 +1,164 @@
+/**
+ * Device client - the connection side of a sensor, shared by the simulators
+ * Signs in (device_auth.js) and reconnects when the connection is lost, waiting initialDelayMs, then
+ * twice as long after each failed attempt up to maxDelayMs (with some jitter so a room full of devices
+ * doesn't return all at once). A server that vanishes without closing the connection is noticed when
+ * its pings stop for silenceMs.
+ * Every reading is numbered (seq) and kept in a buffer until the server acks it, so nothing taken
+ * while offline, or sent just before the connection dropped, is lost: after the next welcome the
+ * buffer is uploaded first, in order, marked backfill. The server stores backfilled readings in the
+ * history without alerting on them and drops any it already has (see handleReading in main.js).
+ * The buffer holds maxBuffer readings; past that the oldest are dropped.
+ *
+ * Emits 'connected' ({ tableId, backlog }), 'disconnected' ({ code, reason, retryInMs }),
+ * 'command' (message), 'refused' (error message) and 'overflow' (the dropped reading).
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { signChallenge } = require('./device_auth');
+const { PROTOCOL_VERSION } = require('./protocol');
+
+const DEFAULTS = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30_000,
+  jitter: 0.2,          // share of each delay added or taken off at random
+  maxBuffer: 1000,      // readings awaiting an ack
+  silenceMs: 30_000     // the server pings every server.pingIntervalMs
+};
+
+class DeviceClient extends EventEmitter {
+  /**
+   * @param {Object} options - { url, deviceId, tableId?, secret, firmware?, initialDelayMs, maxDelayMs, jitter, maxBuffer, silenceMs }
+   */
+  constructor(options) {
+    super();
+    this.options = { ...DEFAULTS, ...options };
+    this.ws = null;
+    this.running = false;
+    this.connected = false; // welcomed on the current connection
+    this.attempt = 0;
+    this.seq = 0;
+    this.buffer = []; // numbered readings not yet acked, oldest first
+    this.dropped = 0;
+    this.retryTimer = null;
+    this.silenceTimer = null;
+  }
+
+  get backlog() {
+    return this.buffer.length;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.attempt = 0;
+    this.open();
+  }
+
+  // Close without reconnecting; the buffer is kept for the next start()
+  stop() {
+    this.running = false;
+    this.connected = false;
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.silenceTimer);
+    if (this.ws) this.ws.close();
+    this.ws = null;
+  }
+
+  /**
+   * Number a reading, buffer it and send it if connected
+   * @param {Object} reading - { noiseLevel, audioFeatures?, timestamp?, ... } (type, v and seq are added)
+   * @returns {Object} the reading as numbered
+   */
+  sendReading(reading) {
+    const numbered = { type: 'reading', v: PROTOCOL_VERSION, ...reading, timestamp: reading.timestamp ?? Date.now(), seq: this.seq++ };
+    this.buffer.push(numbered);
+    if (this.buffer.length > this.options.maxBuffer) {
+      this.dropped++;
+      this.emit('overflow', this.buffer.shift());
+    }
+    if (this.connected) this.ws.send(JSON.stringify(numbered));
+    return numbered;
+  }
+
+  /**
+   * Send anything else (status, command_ack) now; it isn't buffered
+   * @param {Object|string} message - a message without v, or raw text sent as is
+   * @returns {boolean} false when not connected
+   */
+  send(message) {
+    if (!this.connected) return false;
+    this.ws.send(typeof message === 'string' ? message : JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+    return true;
+  }
+
+  open() {
+    const { url, deviceId, tableId, secret, firmware, silenceMs } = this.options;
+    const ws = new WebSocket(url, { handshakeTimeout: silenceMs || undefined });
+    let reason = null;
+    this.ws = ws;
+
+    ws.on('open', () => this.expectTraffic(ws));
+    ws.on('ping', () => this.expectTraffic(ws));
+    ws.on('message', (msg, isBinary) => {
+      if (isBinary) return;
+      this.expectTraffic(ws);
+      const data = JSON.parse(msg.toString());
+      if (data.type === 'challenge') {
+        ws.send(JSON.stringify({ type: 'hello', v: PROTOCOL_VERSION, deviceId, tableId, signature: signChallenge(secret || '', deviceId, data.nonce), firmware }));
+      } else if (data.type === 'welcome') {
+        this.connected = true;
+        this.attempt = 0;
+        const backlog = this.buffer.length;
+        for (const reading of this.buffer) ws.send(JSON.stringify({ ...reading, backfill: true }));
+        this.emit('connected', { tableId: data.tableId, backlog });
+      } else if (data.type === 'ack') {
+        if (data.ref === 'reading') this.settle(data.seq);
+      } else if (data.type === 'error') {
+        // a refused reading would be refused again, so it leaves the buffer too
+        if (data.ref === 'reading') this.settle(data.seq);
+        this.emit('refused', data);
+      } else if (data.type === 'command') {
+        this.emit('command', data);
+      }
+    });
+
+    ws.on('close', (code) => {
+      clearTimeout(this.silenceTimer);
+      if (this.ws !== ws) return; // stopped, or replaced by a newer connection
+      this.ws = null;
+      this.connected = false;
+      const retryInMs = this.running ? this.scheduleRetry() : null;
+      this.emit('disconnected', { code, reason, retryInMs });
+    });
+
+    // 'close' follows every error and reports it
+    ws.on('error', (err) => {
+      reason = err.message || String(err);
+    });
+  }
+
+  settle(seq) {
+    if (seq === undefined) return;
+    const i = this.buffer.findIndex((reading) => reading.seq === seq);
+    if (i >= 0) this.buffer.splice(i, 1);
+  }
+
+  scheduleRetry() {
+    const { initialDelayMs, maxDelayMs, jitter } = this.options;
+    const base = Math.min(maxDelayMs, initialDelayMs * 2 ** this.attempt);
+    const delay = Math.round(base * (1 + (Math.random() * 2 - 1) * jitter));
+    this.attempt++;
+    this.retryTimer = setTimeout(() => this.open(), delay);
+    return delay;
+  }
+
+  expectTraffic(ws) {
+    clearTimeout(this.silenceTimer);
+    if (!this.options.silenceMs) return;
+    this.silenceTimer = setTimeout(() => ws.terminate(), this.options.silenceMs);
+  }
+}
+
+module.exports = DeviceClient;
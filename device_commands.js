@@ -0,0 +1,110 @@
+/**
+ * Commands from the dashboard to devices (wire format in protocol.js)
+ * Each command gets an id and moves sent -> accepted -> done | failed, or timed_out when the
+ * device doesn't acknowledge it within ackTimeoutMs or finish it within resultTimeoutMs.
+ * Commands still pending when their device disconnects fail at once.
+ *
+ * Emits 'updated' (command) on every state change.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const protocol = require('./protocol');
+
+const FINAL_STATES = ['done', 'failed', 'timed_out'];
+const RECENT_PER_DEVICE = 5;
+
+class CommandManager extends EventEmitter {
+  /**
+   * @param {Object} options - { send(deviceId, message) -> false if not connected, settings: config.commands }
+   */
+  constructor({ send, settings }) {
+    super();
+    this.send = send;
+    this.settings = settings;
+    this.pending = new Map(); // id -> command
+    this.timers = new Map(); // id -> timeout
+    this.recent = new Map(); // deviceId -> latest commands, newest first
+  }
+
+  /**
+   * @returns {Object} the command as sent
+   * @throws {ProtocolError} for unknown commands or bad parameters, Error if the device is offline
+   */
+  issue(deviceId, name, params = {}, user, now = Date.now()) {
+    const id = `cmd-${crypto.randomBytes(6).toString('hex')}`;
+    const message = protocol.command(id, name, params);
+    if (!this.send(deviceId, message)) throw new Error(`Device ${deviceId} is not connected`);
+    const command = { id, deviceId, command: name, params, requestedBy: user, state: 'sent', sentAt: now, updatedAt: now };
+    this.pending.set(id, command);
+    this.remember(command);
+    this.arm(command, this.settings.ackTimeoutMs);
+    this.emit('updated', { ...command });
+    return { ...command };
+  }
+
+  /**
+   * Handle a command_ack from a device
+   * @returns {boolean} false if the device has no such pending command
+   */
+  acknowledge(deviceId, { id, status, message, result }, now = Date.now()) {
+    const command = this.pending.get(id);
+    if (!command || command.deviceId !== deviceId) return false;
+    if (status === 'accepted') {
+      if (command.state !== 'sent') return true;
+      command.state = 'accepted';
+      command.acceptedAt = now;
+      command.updatedAt = now;
+      this.arm(command, this.settings.resultTimeoutMs);
+      this.emit('updated', { ...command });
+      return true;
+    }
+    this.finish(command, status, { result, error: status === 'failed' ? message || 'Device reported a failure' : undefined, message }, now);
+    return true;
+  }
+
+  // The device's connection closed; nothing still pending on it can complete
+  disconnected(deviceId, now = Date.now()) {
+    for (const command of [...this.pending.values()]) {
+      if (command.deviceId === deviceId) this.finish(command, 'failed', { error: 'Device disconnected' }, now);
+    }
+  }
+
+  finish(command, state, { result, error, message } = {}, now = Date.now()) {
+    clearTimeout(this.timers.get(command.id));
+    this.timers.delete(command.id);
+    this.pending.delete(command.id);
+    Object.assign(command, { state, finishedAt: now, updatedAt: now });
+    if (result) command.result = result;
+    if (error) command.error = error;
+    else if (message) command.message = message;
+    this.emit('updated', { ...command });
+  }
+
+  arm(command, ms) {
+    clearTimeout(this.timers.get(command.id));
+    const waitingFor = command.state === 'sent' ? 'acknowledgement' : 'result';
+    this.timers.set(command.id, setTimeout(() => {
+      this.finish(command, 'timed_out', { error: `No ${waitingFor} within ${Math.round(ms / 1000)}s` });
+    }, ms));
+  }
+
+  remember(command) {
+    const list = this.recent.get(command.deviceId) || [];
+    list.unshift(command);
+    this.recent.set(command.deviceId, list.slice(0, RECENT_PER_DEVICE));
+  }
+
+  // Latest commands per device, newest first (e.g. to rebuild the device cards)
+  list() {
+    return [...this.recent.values()].flat().map((c) => ({ ...c }));
+  }
+
+  forget(deviceId) {
+    this.recent.delete(deviceId);
+  }
+}
+
+CommandManager.FINAL_STATES = FINAL_STATES;
+
+module.exports = CommandManager;
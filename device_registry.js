@@ -0,0 +1,198 @@
+/**
+ * Device registry
+ * Known devices and their credentials, stored in devices.json in the app's userData folder.
+ * A device either has its own secret (issued from the Devices tab) or authenticates with the
+ * shared secret from config.deviceAuth; revoked devices are refused whichever they use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { canAutoRegister, verifySignature } = require('./device_auth');
+const { checkCalibration } = require('./calibration');
+
+const DEVICE_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// reading marks change with every reading, so they are written at most this often
+const MARK_SAVE_MS = 5000;
+
+function newSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Registry entry without its secret
+function publicEntry(entry) {
+  const { secret, ...rest } = entry;
+  return { ...rest, ownSecret: Boolean(secret) };
+}
+
+class DeviceRegistry {
+  constructor({ file }) {
+    this.file = file;
+    this.devices = {};
+    this.saveTimer = null;
+  }
+
+  load() {
+    try {
+      this.devices = JSON.parse(fs.readFileSync(this.file, 'utf8')).devices || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.devices = {};
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ devices: this.devices }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+
+  get(deviceId) {
+    return this.devices[deviceId] || null;
+  }
+
+  list() {
+    return Object.values(this.devices).map(publicEntry);
+  }
+
+  /**
+   * Check a hello message against the registry
+   * @param {Object} hello - { deviceId, signature }
+   * @param {string} nonce - challenge sent on this connection
+   * @param {Object} settings - config.deviceAuth
+   * @returns {Object} { ok: true, entry, registered } or { ok: false, reason, message }
+   */
+  authenticate({ deviceId, signature }, nonce, settings) {
+    if (typeof deviceId !== 'string' || !DEVICE_ID.test(deviceId)) {
+      return { ok: false, reason: 'auth_failed', message: 'Missing or malformed deviceId' };
+    }
+    const entry = this.get(deviceId);
+    if (entry && entry.revoked) return { ok: false, reason: 'revoked', message: 'Device has been revoked' };
+
+    // a device with its own secret must use it; the shared secret is for the rest
+    const secret = entry && entry.secret ? entry.secret : settings.sharedSecret;
+    if (!entry && !canAutoRegister(settings)) {
+      return { ok: false, reason: 'unknown_device', message: 'Device is not registered' };
+    }
+    if (!secret || !verifySignature(secret, deviceId, nonce, signature)) {
+      return { ok: false, reason: 'auth_failed', message: 'Signature does not match' };
+    }
+    if (entry) return { ok: true, entry, registered: false };
+    return { ok: true, entry: this.add({ deviceId, ownSecret: false }), registered: true };
+  }
+
+  /**
+   * Register a device; with ownSecret a secret is generated for it
+   * @returns {Object} the entry including its secret, the only time the secret is handed out
+   */
+  add({ deviceId, tableId, ownSecret = true } = {}) {
+    if (typeof deviceId !== 'string' || !DEVICE_ID.test(deviceId)) {
+      throw new Error('Device id must be 1–64 letters, digits, dots, dashes, colons or underscores');
+    }
+    if (this.devices[deviceId]) throw new Error(`Device "${deviceId}" is already registered`);
+    const entry = { deviceId, tableId: tableId || null, revoked: false, registeredAt: Date.now(), lastSeenAt: null };
+    if (ownSecret) entry.secret = newSecret();
+    this.devices[deviceId] = entry;
+    this.save();
+    return { ...entry };
+  }
+
+  setRevoked(deviceId, revoked) {
+    const entry = this.require(deviceId);
+    entry.revoked = revoked;
+    entry.revokedAt = revoked ? Date.now() : null;
+    this.save();
+    return publicEntry(entry);
+  }
+
+  // New own secret for a device (e.g. after a leak); the old one stops working at once
+  rotateSecret(deviceId) {
+    const entry = this.require(deviceId);
+    entry.secret = newSecret();
+    this.save();
+    return { ...entry };
+  }
+
+  /**
+   * Microphone calibration for devices that send raw audio: dBFS + splOffsetDb = dB SPL
+   * @param {number|null} splOffsetDb - null to use config.audio.splOffsetDb again
+   */
+  setSplOffset(deviceId, splOffsetDb) {
+    const entry = this.require(deviceId);
+    if (splOffsetDb !== null && !(typeof splOffsetDb === 'number' && splOffsetDb >= 60 && splOffsetDb <= 160)) {
+      throw new Error('Microphone offset must be between 60 and 160 dB');
+    }
+    entry.splOffsetDb = splOffsetDb;
+    this.save();
+    return publicEntry(entry);
+  }
+
+  /**
+   * Correction for the levels a device reports (see calibration.js)
+   * @param {Object|null} calibration - { offsetDb, gain, method, referenceDb?, by }; null removes it
+   * @returns {Object} { entry: the public entry, previous: the calibration it replaced, or null }
+   */
+  setCalibration(deviceId, calibration, now = Date.now()) {
+    const entry = this.require(deviceId);
+    const previous = entry.calibration || null;
+    if (calibration) {
+      const { method = 'manual', referenceDb = null, by } = calibration;
+      entry.calibration = { ...checkCalibration(calibration), method, referenceDb, by, at: now };
+    } else {
+      delete entry.calibration;
+    }
+    this.save();
+    return { entry: publicEntry(entry), previous };
+  }
+
+  remove(deviceId) {
+    this.require(deviceId);
+    delete this.devices[deviceId];
+    this.save();
+  }
+
+  seen(deviceId, address, now = Date.now()) {
+    const entry = this.get(deviceId);
+    if (!entry) return;
+    entry.lastSeenAt = now;
+    entry.lastAddress = address;
+    this.save();
+  }
+
+  /**
+   * The latest numbered reading handled from a device, so a resend is recognised after a restart too
+   * @param {Object} mark - { seq, timestamp }; written with the next save, within MARK_SAVE_MS
+   */
+  markReading(deviceId, mark) {
+    const entry = this.get(deviceId);
+    if (!entry) return;
+    entry.lastReading = mark;
+    if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), MARK_SAVE_MS);
+  }
+
+  forgetReadings(deviceId) {
+    const entry = this.get(deviceId);
+    if (!entry || !entry.lastReading) return;
+    delete entry.lastReading;
+    this.save();
+  }
+
+  // Write reading marks still waiting, e.g. when a device disconnects and will resend what wasn't acked
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  require(deviceId) {
+    const entry = this.get(deviceId);
+    if (!entry) throw new Error(`Unknown device: ${deviceId}`);
+    return entry;
+  }
+}
+
+DeviceRegistry.publicEntry = publicEntry;
+
+module.exports = DeviceRegistry;
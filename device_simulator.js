@@ -1,16 +1,39 @@
 // Simple device simulator that connects to ws://localhost:8080
-// Usage: node device_simulator.js <deviceId> <tableId>
-const WebSocket = require('ws');
+// Usage: node device_simulator.js <deviceId> <tableId> [url] [--fault fault ...]
+// --fault makes the device misbehave, e.g. --fault stuck:value=85 --fault flapping:upSec=30 (see sim_faults.js)
+// Like a real sensor it keeps measuring while the server is away and reconnects by itself (device_client.js)
+const DeviceClient = require('./device_client');
+const { deviceSecret } = require('./device_auth');
+const { PROTOCOL_VERSION } = require('./protocol');
+const { FaultInjector, describeFault } = require('./sim_faults');
 
-const args = process.argv.slice(2);
+const args = [];
+const faults = new FaultInjector();
+for (let i = 2; i < process.argv.length; i++) {
+  if (process.argv[i] !== '--fault') {
+    args.push(process.argv[i]);
+    continue;
+  }
+  try {
+    console.log(`⚠ Fault: ${describeFault(faults.start(process.argv[++i] || ''))}`);
+  } catch (err) {
+    console.error(`✗ --fault ${process.argv[i] || ''}: ${err.message}`);
+    process.exit(1);
+  }
+}
 const deviceId = args[0] || 'dev1';
 const tableId = args[1] || 'Table-A';
 // optional third argument: full ws url, or use WS_URL env var, else default to localhost:8080
 const url = args[2] || process.env.WS_URL || 'ws://localhost:8080';
+// DEVICE_SECRET env var, else the shared secret in config.json
+const secret = deviceSecret();
 
-console.log(`Attempting to connect to ${url} as device ${deviceId}...`);
-
-const ws = new WebSocket(url);
+// changed by the set_interval and calibrate commands
+let intervalMs = 2000 + Math.random() * 2000;
+let offsetDb = 0;
+let sendTimer = null;
+let flapTimer = null;
+let everConnected = false;
 
 /**
  * Generate realistic audio feature patterns
@@ -46,14 +69,80 @@ function generateAudioFeatures() {
   };
 }
 
-ws.on('open', () => {
-  console.log(`✓ Simulator ${deviceId} connected to ${url}`);
-  // send periodic readings
-  const interval = setInterval(() => {
+const client = new DeviceClient({ url, deviceId, tableId, secret, firmware: 'simulator' });
+
+client.on('connected', ({ backlog }) => {
+  everConnected = true;
+  console.log(`✓ Simulator ${deviceId} authenticated${backlog ? `, uploading ${backlog} buffered reading(s)` : ''}`);
+  client.send({ type: 'status', battery: 100, rssi: -50, micOk: true, firmware: 'simulator' });
+  flap();
+});
+
+client.on('disconnected', ({ reason, retryInMs }) => {
+  console.log(`✗ connection lost${reason ? ` (${reason})` : ''}, retrying in ${(retryInMs / 1000).toFixed(1)}s`);
+  if (!everConnected) console.error('  Make sure the Electron app (npm start) is running on the same machine');
+});
+
+client.on('command', handleCommand);
+
+// before the welcome this ends the connection; afterwards only the offending message is dropped
+client.on('refused', (data) => console.error(`✗ Server refused ${data.ref || deviceId}: ${data.message} (${data.code})`));
+
+client.on('overflow', (reading) => console.warn(`  ⚠ Buffer full, dropped the reading from ${new Date(reading.timestamp).toLocaleTimeString()}`));
+
+// The flapping fault: drop the connection after upSec, come back downSec later
+function flap() {
+  clearTimeout(flapTimer);
+  const flapping = faults.get('flapping');
+  if (!flapping) return;
+  flapTimer = setTimeout(() => {
+    console.log('  ⚡ Connection drops (flapping)');
+    client.stop();
+    flapTimer = setTimeout(() => client.start(), flapping.downSec * 1000);
+  }, flapping.upSec * 1000);
+}
+
+// Commands from the dashboard (see protocol.js); the LED, buzzer and microphone are simulated on the console
+function handleCommand({ id, command, params }) {
+  const reply = (status, extra = {}) => client.send({ type: 'command_ack', id, status, ...extra });
+  switch (command) {
+    case 'warn':
+      console.log(`  ${params.level === 'firm' ? '🔴' : '🟠'} ${params.mode || 'both'}: "please be quiet" for ${(params.durationMs || 5000) / 1000}s`);
+      reply('done');
+      break;
+    case 'identify':
+      console.log(`  💡 ${deviceId} blinking for ${(params.durationMs || 10000) / 1000}s`);
+      reply('done');
+      break;
+    case 'set_interval':
+      intervalMs = params.intervalMs;
+      console.log(`  ⏱ Reporting every ${intervalMs / 1000}s`);
+      startSending();
+      reply('done', { result: { intervalMs } });
+      break;
+    case 'calibrate':
+      reply('accepted');
+      console.log(`  🎚 Calibrating${params.referenceDb ? ` against ${params.referenceDb}dB` : ''}...`);
+      setTimeout(() => {
+        offsetDb = Math.round((Math.random() - 0.5) * 40) / 10;
+        console.log(`  🎚 Calibrated, offset ${offsetDb}dB`);
+        reply('done', { result: { offsetDb } });
+      }, 2000);
+      break;
+    default:
+      reply('failed', { message: `Unsupported command ${command}` });
+  }
+}
+
+function startSending() {
+  // periodic readings, connected or not; (re)started when the interval changes
+  clearInterval(sendTimer);
+  sendTimer = setInterval(() => {
     const features = generateAudioFeatures();
+    features.noiseLevel = Math.max(0, Math.min(140, Math.round(features.noiseLevel + offsetDb)));
     const payload = {
-      deviceId,
-      tableId,
+      type: 'reading',
+      v: PROTOCOL_VERSION,
       noiseLevel: features.noiseLevel,
       audioFeatures: {
         lowFreqEnergy: features.lowFreqEnergy,
@@ -63,21 +152,23 @@ ws.on('open', () => {
       },
       timestamp: Date.now()
     };
-    ws.send(JSON.stringify(payload));
-    console.log(`  [${new Date().toLocaleTimeString()}] Sent: ${features.noiseLevel}dB with audio features`);
-  }, 2000 + Math.random() * 2000);
-  
-  ws.on('close', () => {
-    clearInterval(interval);
-  });
-});
-
-ws.on('close', () => {
-  console.log('✗ connection closed');
-  process.exit(0);
-});
+    const { text, reading, faults: acted } = faults.transform(payload);
+    const time = new Date().toLocaleTimeString();
+    const note = acted.length ? ` ⚠ ${acted.join(', ')}` : '';
+    if (text === null) {
+      console.log(`  [${time}] ⚠ Dropped a ${reading.noiseLevel}dB reading (${acted.join(', ')})`);
+    } else if (acted.includes('malformed')) {
+      // a broken message isn't worth buffering: it would be refused anyway
+      client.send(text);
+      console.log(`  [${time}] Sent: a broken ${reading.noiseLevel}dB reading${note}`);
+    } else {
+      client.sendReading(reading);
+      console.log(`  [${time}] ${client.connected ? 'Sent' : `Buffered (${client.backlog} waiting)`}: ${reading.noiseLevel}dB with audio features${note}`);
+    }
+  }, intervalMs);
+}
 
-ws.on('error', (e) => {
-  console.error('✗ ws error:', e.message || e);
-  console.error('  Make sure the Electron app (npm start) is running on the same machine');
-});
+if (!secret) console.warn('  No device secret: set DEVICE_SECRET or deviceAuth.sharedSecret in config.json');
+console.log(`Attempting to connect to ${url} as device ${deviceId}...`);
+client.start();
+startSending();
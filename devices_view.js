@@ -0,0 +1,336 @@
+// Device registry (devices:manage): register devices, revoke/restore them and replace their secrets
+// Calibration (devices:manage): set a device's offset by hand, or measure a table's devices against a
+// reference tone or a quiet room and apply the proposed offsets; past calibrations are listed below
+// Sound classifier (classifier:train): retrain from the labels staff corrected, compare, then use or discard
+
+let devicesViewReady = false;
+let shownCalibration = null; // the session in the calibration panel
+let calibrationPoll = null;
+
+function initDevicesView() {
+  if (devicesViewReady) return;
+  devicesViewReady = true;
+
+  document.getElementById('add-device-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const idEl = document.getElementById('new-device-id');
+    const tableEl = document.getElementById('new-device-table');
+    try {
+      const entry = await window.api.registerDevice({ deviceId: idEl.value.trim(), tableId: tableEl.value.trim() || undefined });
+      idEl.value = '';
+      tableEl.value = '';
+      showDeviceSecret(entry);
+      loadRegistry();
+    } catch (err) {
+      setDevicesSummary(errorText(err));
+    }
+  });
+  document.getElementById('device-secret-close').addEventListener('click', () => showDeviceSecret(null));
+
+  document.getElementById('registry-body').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-registry-action]');
+    if (!btn) return;
+    const { deviceId } = btn.closest('tr').dataset;
+    const cell = btn.closest('td');
+    try {
+      switch (btn.dataset.registryAction) {
+        case 'mic-offset':
+        case 'calibration': {
+          const form = cell.querySelector(`.${btn.dataset.registryAction}-form`);
+          form.hidden = false;
+          form.elements.offset.focus();
+          return;
+        }
+        case 'cancel':
+          btn.closest('form').hidden = true;
+          return;
+        case 'revoke':
+          await window.api.revokeDevice(deviceId, true);
+          break;
+        case 'restore':
+          await window.api.revokeDevice(deviceId, false);
+          break;
+        case 'rotate':
+          showDeviceSecret(await window.api.rotateDeviceSecret(deviceId));
+          break;
+        case 'remove':
+          await window.api.unregisterDevice(deviceId);
+          break;
+      }
+      loadRegistry();
+    } catch (err) {
+      setDevicesSummary(errorText(err));
+    }
+  });
+
+  document.getElementById('registry-body').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const { deviceId } = form.closest('tr').dataset;
+    const value = form.elements.offset.value.trim();
+    try {
+      if (form.classList.contains('calibration-form')) {
+        await window.api.setCalibration(deviceId, value === '' ? null : Number(value), Number(form.elements.gain.value) || 1);
+        loadCalibrationHistory();
+      } else {
+        await window.api.setMicOffset(deviceId, value === '' ? null : Number(value));
+      }
+      loadRegistry();
+    } catch (err) {
+      setDevicesSummary(errorText(err));
+    }
+  });
+
+  document.getElementById('calibration-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const reference = document.getElementById('calibration-reference').value.trim();
+    try {
+      renderCalibration(await window.api.startCalibration({
+        tableId: document.getElementById('calibration-table').value,
+        method: document.getElementById('calibration-method').value,
+        referenceDb: reference === '' ? null : Number(reference)
+      }));
+    } catch (err) {
+      document.getElementById('calibration-summary').textContent = errorText(err);
+    }
+  });
+  document.getElementById('calibration-apply').addEventListener('click', () => calibrationAction(window.api.applyCalibration));
+  document.getElementById('calibration-cancel').addEventListener('click', () => calibrationAction(window.api.cancelCalibration));
+  window.api.onCalibration((session) => {
+    if (!shownCalibration || shownCalibration.id === session.id || session.state === 'measuring') renderCalibration(session);
+  });
+
+  document.getElementById('classifier-train').addEventListener('click', (e) => classifierAction(e.target, window.api.trainClassifier));
+  document.getElementById('classifier-adopt').addEventListener('click', (e) => classifierAction(e.target, window.api.adoptClassifier));
+  document.getElementById('classifier-discard').addEventListener('click', (e) => classifierAction(e.target, window.api.discardClassifier));
+
+  // connections the server refused: unknown/revoked devices, bad signatures, duplicate ids
+  window.api.onDeviceRejected((event) => {
+    if (!can('devices:manage')) return;
+    showToast(`Device ${event.deviceId || event.address || '?'} refused: ${event.message}`);
+  });
+}
+
+async function loadRegistry() {
+  try {
+    renderRegistry(await window.api.listRegisteredDevices());
+  } catch (e) {
+    setDevicesSummary(`Could not load devices: ${errorText(e)}`);
+  }
+}
+
+function setDevicesSummary(text) {
+  document.getElementById('devices-summary').textContent = text;
+}
+
+function showDeviceSecret(entry) {
+  document.getElementById('device-secret').hidden = !entry;
+  document.getElementById('device-secret-id').textContent = entry ? entry.deviceId : '';
+  document.getElementById('device-secret-value').textContent = entry ? entry.secret : '';
+}
+
+function renderRegistry(entries) {
+  const body = document.getElementById('registry-body');
+  body.innerHTML = '';
+  entries.sort((a, b) => a.deviceId.localeCompare(b.deviceId)).forEach((d) => {
+    const row = body.insertRow();
+    row.dataset.deviceId = d.deviceId;
+    row.classList.toggle('disabled', d.revoked);
+    [
+      d.deviceId,
+      d.tableId || '(device decides)',
+      d.ownSecret ? 'own secret' : 'shared secret',
+      d.revoked ? 'revoked' : d.connected ? 'connected' : 'offline',
+      d.lastSeenAt ? `${new Date(d.lastSeenAt).toLocaleString()}${d.lastAddress ? ` from ${d.lastAddress}` : ''}` : 'never',
+      typeof d.splOffsetDb === 'number' ? `${d.splOffsetDb} dB` : 'default',
+      d.calibration ? `${formatCalibration(d.calibration)}${fullScaleText(d)}` : 'none'
+    ].forEach((text) => { row.insertCell().textContent = text; });
+    if (d.calibration) {
+      const { method, by, at } = d.calibration;
+      row.cells[row.cells.length - 1].title = `${CALIBRATION_METHODS[method] || method} by ${by || '?'}, ${new Date(at).toLocaleString()}`;
+    }
+    row.insertCell().innerHTML = `
+      <button type="button" class="small-btn" data-registry-action="${d.revoked ? 'restore' : 'revoke'}">${d.revoked ? 'Restore' : 'Revoke'}</button>
+      <button type="button" class="small-btn" data-registry-action="rotate">${d.ownSecret ? 'New secret' : 'Give own secret'}</button>
+      <button type="button" class="small-btn" data-registry-action="mic-offset">Mic offset…</button>
+      <button type="button" class="small-btn" data-registry-action="calibration">Calibration…</button>
+      <button type="button" class="small-btn" data-registry-action="remove">Remove</button>
+      <form class="mic-offset-form" hidden>
+        <input type="number" name="offset" min="60" max="160" step="0.1" placeholder="default" title="dB SPL of a full-scale signal; empty for the default">
+        <button type="submit" class="small-btn">Save</button>
+        <button type="button" class="small-btn" data-registry-action="cancel">Cancel</button>
+      </form>
+      <form class="calibration-form" hidden>
+        <input type="number" name="offset" min="-40" max="40" step="0.1" placeholder="none" title="dB added to every level; empty removes the calibration">
+        <input type="number" name="gain" min="0.5" max="2" step="0.001" value="1" title="Every level is multiplied by this before the offset is added">
+        <button type="submit" class="small-btn">Save</button>
+        <button type="button" class="small-btn" data-registry-action="cancel">Cancel</button>
+      </form>`;
+    row.querySelector('.mic-offset-form').elements.offset.value = typeof d.splOffsetDb === 'number' ? d.splOffsetDb : '';
+    const calibrationForm = row.querySelector('.calibration-form');
+    calibrationForm.elements.offset.value = d.calibration ? d.calibration.offsetDb : '';
+    calibrationForm.elements.gain.value = d.calibration ? d.calibration.gain : 1;
+  });
+  setDevicesSummary(`${entries.length} registered device${entries.length === 1 ? '' : 's'}, ${entries.filter((d) => d.revoked).length} revoked`);
+}
+
+// ---- Calibration ----
+
+const CALIBRATION_METHODS = { reference: 'reference tone', baseline: 'quiet room', manual: 'set by hand' };
+
+function formatCalibration({ offsetDb, gain }) {
+  return `${offsetDb > 0 ? '+' : ''}${offsetDb} dB${gain !== 1 ? ` × ${gain}` : ''}`;
+}
+
+// Both corrections together for a raw-audio device: what a full-scale signal reads after calibration
+function fullScaleText(entry) {
+  if (typeof entry.splOffsetDb !== 'number' && !entry.rawAudio) return '';
+  const splOffsetDb = typeof entry.splOffsetDb === 'number' ? entry.splOffsetDb : state.config && state.config.audio.splOffsetDb;
+  if (typeof splOffsetDb !== 'number') return '';
+  const { offsetDb, gain } = entry.calibration;
+  return ` (full scale reads ${Math.round((splOffsetDb * gain + offsetDb) * 10) / 10} dB)`;
+}
+
+async function loadCalibration() {
+  const tables = new Set(Object.values(state.devices).map((d) => d.tableId).filter(Boolean));
+  fillSelect(document.getElementById('calibration-table'), [...tables].sort());
+  try {
+    // a calibration still running (perhaps started before a reload) comes first
+    const sessions = await window.api.listCalibrations();
+    const open = sessions.find((s) => ['measuring', 'ready'].includes(s.state));
+    if (open) renderCalibration(open);
+  } catch (e) {
+    document.getElementById('calibration-summary').textContent = `Could not load calibrations: ${errorText(e)}`;
+  }
+  loadCalibrationHistory();
+}
+
+async function calibrationAction(action) {
+  if (!shownCalibration) return;
+  try {
+    renderCalibration(await action(shownCalibration.id));
+    loadRegistry();
+    loadCalibrationHistory();
+  } catch (e) {
+    document.getElementById('calibration-summary').textContent = errorText(e);
+  }
+}
+
+function renderCalibration(session) {
+  shownCalibration = session;
+  const { state: status, tableId, method, referenceDb, targetDb } = session;
+  const sound = method === 'reference' ? `a ${referenceDb} dB tone` : `a quiet room${referenceDb === null ? '' : ` at ${referenceDb} dB`}`;
+  const summaries = {
+    measuring: `Measuring ${tableId} with ${sound}… ${Math.max(0, Math.round((session.endsAt - Date.now()) / 1000))} s left. Keep the sound steady.`,
+    ready: `Measured ${tableId} with ${sound}${targetDb !== null && referenceDb === null ? `; the devices will agree on ${targetDb} dB` : ''}. Check the proposed offsets, then apply them.`,
+    applied: `Offsets for ${tableId} applied by ${session.appliedBy}.`,
+    canceled: `Calibration of ${tableId} discarded by ${session.canceledBy}.`
+  };
+  document.getElementById('calibration-summary').textContent = summaries[status];
+
+  // live counts while measuring: the server only reports state changes
+  clearTimeout(calibrationPoll);
+  if (status === 'measuring') {
+    calibrationPoll = setTimeout(async () => {
+      const latest = (await window.api.listCalibrations().catch(() => [])).find((s) => s.id === session.id);
+      if (latest && shownCalibration && shownCalibration.id === session.id) renderCalibration(latest);
+    }, 2000);
+  }
+
+  document.getElementById('calibration-results').hidden = false;
+  const body = document.getElementById('calibration-results-body');
+  body.innerHTML = '';
+  session.results.forEach((r) => {
+    const row = body.insertRow();
+    let proposed = '';
+    if (r.problem) proposed = `✗ ${r.problem}`;
+    else if (r.proposed) proposed = `${formatCalibration(r.proposed)} (${r.changeDb > 0 ? '+' : ''}${r.changeDb} dB)`;
+    [
+      r.deviceId,
+      r.readings,
+      typeof r.rawDb === 'number' ? `${r.rawDb} dB` : '–',
+      typeof r.spreadDb === 'number' ? `± ${r.spreadDb} dB` : '',
+      r.current ? formatCalibration(r.current) : '',
+      proposed
+    ].forEach((text) => { row.insertCell().textContent = text; });
+    row.classList.toggle('disabled', Boolean(r.problem));
+  });
+  document.getElementById('calibration-actions').hidden = !['measuring', 'ready'].includes(status);
+  document.getElementById('calibration-apply').disabled = status !== 'ready' || !session.results.some((r) => r.proposed);
+}
+
+async function loadCalibrationHistory() {
+  const body = document.getElementById('calibration-history-body');
+  try {
+    const records = await window.api.calibrationHistory({});
+    body.innerHTML = '';
+    records.forEach((c) => {
+      const row = body.insertRow();
+      const before = c.previous ? formatCalibration(c.previous) : 'none';
+      const after = c.calibration ? formatCalibration(c.calibration) : 'none';
+      const how = c.event === 'reset' ? 'removed' : `${CALIBRATION_METHODS[c.method] || c.method}${typeof c.referenceDb === 'number' ? ` (${c.referenceDb} dB)` : ''}`;
+      [new Date(c.timestamp).toLocaleString(), c.deviceId, c.tableId || '', `${before} → ${after}`, how, c.by || '']
+        .forEach((text) => { row.insertCell().textContent = text; });
+    });
+    if (!records.length) body.insertRow().insertCell().textContent = 'No calibrations yet.';
+  } catch (e) {
+    body.innerHTML = '';
+    body.insertRow().insertCell().textContent = `Could not load the calibration history: ${errorText(e)}`;
+  }
+}
+
+async function loadClassifier() {
+  if (!can('classifier:train')) return;
+  try {
+    renderClassifier(await window.api.classifierStatus());
+  } catch (e) {
+    document.getElementById('classifier-summary').textContent = `Could not load the classifier: ${errorText(e)}`;
+  }
+}
+
+// training takes a few seconds; the button stays disabled until it's done
+async function classifierAction(button, action) {
+  button.disabled = true;
+  if (button.id === 'classifier-train') document.getElementById('classifier-summary').textContent = 'Training…';
+  try {
+    renderClassifier(await action());
+  } catch (e) {
+    document.getElementById('classifier-summary').textContent = errorText(e);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function percent(share) {
+  return share === null || share === undefined ? '–' : `${Math.round(share * 100)}%`;
+}
+
+function renderClassifier(status) {
+  const { model, candidate } = status;
+  let trained = 'built-in patterns only';
+  if (model && model.trainedAt) trained = `retrained ${new Date(model.trainedAt).toLocaleString()}`;
+  else if (model && model.samples) trained = `built at startup from the built-in patterns and ${model.samples} labeled sounds`;
+  document.getElementById('classifier-summary').textContent =
+    `${status.samples} labeled sound${status.samples === 1 ? '' : 's'} • current model: ${trained}${status.training ? ' • training…' : ''}`;
+
+  const body = document.getElementById('classifier-labels');
+  body.innerHTML = '';
+  status.labels.forEach((label) => {
+    const row = body.insertRow();
+    const scored = candidate && candidate.perLabel[label];
+    [
+      `${soundEmoji(label)} ${soundName(label)}`,
+      status.counts[label] || 0,
+      scored ? scored.heldOut : '',
+      scored && scored.heldOut ? `${scored.correct}/${scored.heldOut}` : '',
+      scored && scored.heldOut && scored.currentCorrect !== null ? `${scored.currentCorrect}/${scored.heldOut}` : ''
+    ].forEach((text) => { row.insertCell().textContent = text; });
+  });
+
+  document.getElementById('classifier-candidate').hidden = !candidate;
+  if (candidate) {
+    document.getElementById('classifier-report').textContent =
+      `New model: ${percent(candidate.accuracy)} correct on ${candidate.heldOut} held-out sounds ` +
+      `(current model ${percent(candidate.currentAccuracy)}), trained on ${candidate.trainedOn} labeled sounds plus the built-in patterns.`;
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Escalation policies
+ * Checks open incidents against config.escalation.rules and reports the ones now due.
+ * A rule matches on incident type, zone, table and sound type (all optional) and becomes due once the
+ * incident has stayed unacknowledged (unacknowledgedForMin) or active (activeForMin) that long.
+ * Each rule fires at most once per incident; chain rules with growing delays for further steps.
+ */
+
+const { zoneOf } = require('./thresholds');
+
+function ruleMatches(rule, incident, config) {
+  if (rule.types && !rule.types.includes(incident.type)) return false;
+  if (rule.tables && !rule.tables.includes(incident.tableId)) return false;
+  // the sound heard most recently at the incident, e.g. only escalate phone_ring
+  if (rule.soundTypes && !rule.soundTypes.includes(incident.soundType)) return false;
+  // offline incidents carry no zone of their own
+  if (rule.zones && !rule.zones.includes(incident.zone || zoneOf(config, incident.tableId))) return false;
+  return true;
+}
+
+function ruleDue(rule, incident, now) {
+  if (incident.state !== 'open') return false;
+  if (rule.unacknowledgedForMin !== undefined) {
+    return incident.status === 'new' && now - incident.openedAt >= rule.unacknowledgedForMin * 60 * 1000;
+  }
+  return now - incident.openedAt >= rule.activeForMin * 60 * 1000;
+}
+
+/**
+ * @param {Object} config - resolved config (see config.js)
+ * @param {Object[]} incidents - IncidentManager.list()
+ * @returns {Object[]} [{ incident, rule }] in rule order
+ */
+function dueEscalations(config, incidents, now = Date.now()) {
+  const due = [];
+  for (const incident of incidents) {
+    const fired = new Set((incident.escalations || []).map((e) => e.rule));
+    for (const rule of config.escalation.rules) {
+      if (!fired.has(rule.name) && ruleMatches(rule, incident, config) && ruleDue(rule, incident, now)) {
+        due.push({ incident, rule });
+      }
+    }
+  }
+  return due;
+}
+
+module.exports = { dueEscalations };
@@ -0,0 +1,218 @@
+/**
+ * Historical store for device readings and alerts
+ * Records are appended as NDJSON to one segment file per kind per day:
+ *   <dir>/readings/2026-10-18.ndjson
+ *   <dir>/alerts/2026-10-18.ndjson
+ * Old segments are dropped according to the retention settings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const KINDS = ['readings', 'alerts'];
+const DEFAULT_RETENTION_DAYS = { readings: 90, alerts: 365 };
+const DEFAULT_QUERY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_RE = /^(\d{4})-(\d{2})-(\d{2})\.ndjson$/;
+
+// Local calendar day used to name segment files
+function dayKey(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+function toTimestamp(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const ts = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(ts) ? ts : fallback;
+}
+
+class HistoryStore {
+  /**
+   * @param {Object} options - { dir, retentionDays: { readings, alerts }, maxResults }
+   */
+  constructor(options = {}) {
+    if (!options.dir) throw new Error('HistoryStore requires a directory');
+    this.dir = options.dir;
+    this.retentionDays = { ...DEFAULT_RETENTION_DAYS, ...(options.retentionDays || {}) };
+    this.maxResults = options.maxResults || 50_000;
+  }
+
+  init() {
+    for (const kind of KINDS) fs.mkdirSync(path.join(this.dir, kind), { recursive: true });
+    this.prune();
+  }
+
+  recordReading(reading) {
+    this.append('readings', reading);
+  }
+
+  recordAlert(alert) {
+    this.append('alerts', alert);
+  }
+
+  append(kind, record) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown history kind: ${kind}`);
+    const timestamp = toTimestamp(record.timestamp, Date.now());
+    const entry = { ...record, timestamp };
+    try {
+      fs.appendFileSync(this.segmentPath(kind, timestamp), JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error(`✗ Failed to write ${kind} history:`, err.message);
+    }
+  }
+
+  segmentPath(kind, ts) {
+    return path.join(this.dir, kind, `${dayKey(ts)}.ndjson`);
+  }
+
+  /**
+   * Query stored records
+   * @param {Object} query - { kind, deviceId, tableId, soundType, type, from, to, bucketMs, limit }
+   *   from/to accept epoch ms or anything Date can parse; defaults to the last 24h.
+   *   With bucketMs, readings are aggregated per device into { timestamp, avg, max, min, count }.
+   * @returns {Promise<Object>} { kind, from, to, records, truncated }
+   */
+  async query(query = {}) {
+    const limit = Math.min(Number(query.limit) || this.maxResults, this.maxResults);
+    const bucketMs = Number(query.bucketMs) || 0;
+
+    if (bucketMs && (query.kind || 'readings') === 'readings') {
+      const buckets = new Map();
+      const { kind, from, to } = await this.scan(query, (record) => addToBucket(buckets, record, bucketMs));
+      const records = finishBuckets(buckets);
+      return { kind, from, to, bucketMs, records: records.slice(0, limit), truncated: records.length > limit };
+    }
+
+    // Segments are in arrival order, but records carry their device's timestamp: clocks differ between
+    // devices and backfilled readings arrive late, so a segment isn't in timestamp order. The earliest
+    // `limit` records are kept in order as they are read.
+    const records = [];
+    let truncated = false;
+    const { kind, from, to } = await this.scan(query, (record) => {
+      truncated = insertEarliest(records, record, limit) || truncated;
+    });
+    return { kind, from, to, records, truncated };
+  }
+
+  /**
+   * Stream every matching record to onRecord without holding them in memory.
+   * Takes the same filters as query(); records arrive in file order.
+   * @returns {Promise<Object>} the resolved { kind, from, to }
+   */
+  async scan(query, onRecord) {
+    const kind = query.kind || 'readings';
+    if (!KINDS.includes(kind)) throw new Error(`Unknown history kind: ${kind}`);
+    const to = toTimestamp(query.to, Date.now());
+    const from = toTimestamp(query.from, to - DEFAULT_QUERY_WINDOW_MS);
+    if (from > to) throw new Error('Invalid time range: "from" is after "to"');
+
+    const matches = (r) =>
+      r.timestamp >= from && r.timestamp <= to &&
+      (!query.deviceId || r.deviceId === query.deviceId) &&
+      (!query.tableId || r.tableId === query.tableId) &&
+      (!query.soundType || r.soundType === query.soundType) &&
+      (!query.type || r.type === query.type);
+
+    for (let day = startOfDay(from); day <= to; day = nextDay(day)) {
+      const file = this.segmentPath(kind, day);
+      if (!fs.existsSync(file)) continue;
+      await readSegment(file, (record) => {
+        if (matches(record)) onRecord(record);
+      });
+    }
+    return { kind, from, to };
+  }
+
+  // Delete segments older than the retention period of their kind
+  prune(now = Date.now()) {
+    for (const kind of KINDS) {
+      const days = this.retentionDays[kind];
+      if (!days) continue; // 0 = keep forever
+      const cutoff = startOfDay(now) - days * 24 * 60 * 60 * 1000;
+      const kindDir = path.join(this.dir, kind);
+      let files = [];
+      try {
+        files = fs.readdirSync(kindDir);
+      } catch (err) {
+        continue;
+      }
+      for (const file of files) {
+        const m = file.match(SEGMENT_RE);
+        if (!m) continue;
+        const segmentDay = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime();
+        if (segmentDay < cutoff) {
+          try {
+            fs.unlinkSync(path.join(kindDir, file));
+            console.log(`✓ Pruned ${kind} history segment ${file}`);
+          } catch (err) {
+            console.error(`✗ Failed to prune ${file}:`, err.message);
+          }
+        }
+      }
+    }
+  }
+}
+
+function nextDay(ts) {
+  const d = new Date(ts);
+  d.setDate(d.getDate() + 1);
+  return d.getTime();
+}
+
+async function readSegment(file, onRecord) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      continue; // a partially written last line is skipped rather than failing the query
+    }
+    onRecord(record);
+  }
+}
+
+// Insert into records sorted by timestamp, keeping at most limit; true when a record was left out.
+// Most records arrive in order, so the search from the end is short.
+function insertEarliest(records, record, limit) {
+  let i = records.length;
+  while (i > 0 && records[i - 1].timestamp > record.timestamp) i--;
+  if (i >= limit) return true;
+  records.splice(i, 0, record);
+  if (records.length <= limit) return false;
+  records.pop();
+  return true;
+}
+
+function addToBucket(buckets, reading, bucketMs) {
+  const noise = Number(reading.noiseLevel);
+  if (!Number.isFinite(noise)) return;
+  const start = Math.floor(reading.timestamp / bucketMs) * bucketMs;
+  const key = `${reading.deviceId}|${start}`;
+  let b = buckets.get(key);
+  if (!b) {
+    b = { deviceId: reading.deviceId, tableId: reading.tableId, timestamp: start, sum: 0, count: 0, min: noise, max: noise };
+    buckets.set(key, b);
+  }
+  b.sum += noise;
+  b.count++;
+  b.min = Math.min(b.min, noise);
+  b.max = Math.max(b.max, noise);
+}
+
+function finishBuckets(buckets) {
+  return [...buckets.values()]
+    .map(({ sum, ...b }) => ({ ...b, avg: Math.round((sum / b.count) * 10) / 10 }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+module.exports = HistoryStore;
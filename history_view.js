@@ -0,0 +1,283 @@
+// History explorer: plots stored readings for a time range with alerts overlaid as markers
+
+let historyChart;
+let historyViewReady = false;
+
+// Aim for roughly this many points per device whatever the range
+const HISTORY_TARGET_POINTS = 600;
+const HISTORY_MIN_BUCKET_MS = 5000;
+
+function initHistoryView() {
+  if (historyViewReady) return;
+  historyViewReady = true;
+
+  document.querySelectorAll('.view-tab').forEach((tab) => {
+    tab.addEventListener('click', () => showView(tab.dataset.view));
+  });
+
+  // default range: the last 24 hours
+  const now = Date.now();
+  document.getElementById('history-to').value = toLocalInputValue(now);
+  document.getElementById('history-from').value = toLocalInputValue(now - 24 * 60 * 60 * 1000);
+
+  document.getElementById('history-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadHistory();
+  });
+
+  document.querySelectorAll('[data-range-days]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const end = Date.now();
+      document.getElementById('history-to').value = toLocalInputValue(end);
+      document.getElementById('history-from').value = toLocalInputValue(end - Number(btn.dataset.rangeDays) * 24 * 60 * 60 * 1000);
+      loadHistory();
+    });
+  });
+  document.getElementById('export-csv').addEventListener('click', () => exportReport('csv'));
+  document.getElementById('export-pdf').addEventListener('click', () => exportReport('pdf'));
+
+  const ctx = document.getElementById('historyChart').getContext('2d');
+  historyChart = new Chart(ctx, {
+    type: 'line',
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      plugins: {
+        legend: { display: true, labels: { color: '#cbd5e1', boxWidth: 12 } },
+        tooltip: {
+          backgroundColor: 'rgba(10,14,22,0.95)',
+          titleColor: '#f8fafc',
+          bodyColor: '#e6eef6',
+          callbacks: {
+            title: (items) => items.length ? new Date(items[0].parsed.x).toLocaleString() : '',
+            label: (item) => {
+              const p = item.raw;
+              if (p.alert) return `⚠ ${p.alert.type} — ${p.alert.deviceId} (${p.alert.tableId || '?'}) ${p.alert.peakNoise ?? p.alert.noiseLevel ?? ''} dB`;
+              return `${item.dataset.label}: avg ${p.y} dB, peak ${p.max} dB (${p.count} readings)`;
+            }
+          }
+        }
+      },
+      elements: { line: { tension: 0.25, borderWidth: 2 }, point: { radius: 0 } },
+      scales: {
+        x: {
+          type: 'linear',
+          grid: { color: 'rgba(255,255,255,0.03)' },
+          ticks: {
+            color: '#94a3b8',
+            maxRotation: 45,
+            minRotation: 45,
+            font: { size: 11 },
+            callback: (value) => formatHistoryTick(value)
+          }
+        },
+        y: {
+          min: 0,
+          max: 120,
+          grid: { color: 'rgba(255,255,255,0.03)', borderDash: [4, 4] },
+          ticks: { color: '#94a3b8', font: { size: 12 } }
+        }
+      }
+    }
+  });
+}
+
+// Panels behind the view tabs
+const VIEWS = { live: 'live-view', history: 'history-view', settings: 'settings-view', devices: 'devices-view', users: 'users-view' };
+
+function showView(view) {
+  Object.entries(VIEWS).forEach(([name, id]) => {
+    document.getElementById(id).style.display = name === view ? 'flex' : 'none';
+  });
+  document.querySelectorAll('.view-tab').forEach((tab) => {
+    const active = tab.dataset.view === view;
+    tab.classList.toggle('active', active);
+    tab.setAttribute('aria-selected', String(active));
+  });
+  if (view === 'history') refreshHistoryFilters();
+  if (view === 'users') loadUsers();
+  if (view === 'settings') loadSettings();
+  if (view === 'devices') {
+    loadRegistry();
+    loadCalibration();
+    loadClassifier();
+  }
+}
+
+// Fill table/device pickers from devices seen live, keeping the current selection
+function refreshHistoryFilters(extraRecords = []) {
+  const tables = new Set();
+  const deviceIds = new Set();
+  Object.values(state.devices).forEach((d) => { deviceIds.add(d.deviceId); if (d.tableId) tables.add(d.tableId); });
+  extraRecords.forEach((r) => { if (r.deviceId) deviceIds.add(r.deviceId); if (r.tableId) tables.add(r.tableId); });
+  fillSelect(document.getElementById('history-table'), [...tables].sort());
+  fillSelect(document.getElementById('history-device'), [...deviceIds].sort());
+  fillSoundSelect(document.getElementById('history-sound'));
+}
+
+// configured labels can change while the app runs; keep the current choice if it still exists
+function fillSoundSelect(select) {
+  const current = select.value;
+  select.length = 1; // "All sounds"
+  [...soundLabels(), { id: 'unknown', name: 'unknown' }].forEach((l) => select.appendChild(new Option(`${soundEmoji(l.id)} ${l.name}`, l.id)));
+  select.value = [...select.options].some((o) => o.value === current) ? current : '';
+}
+
+function fillSelect(select, values) {
+  const existing = new Set([...select.options].map((o) => o.value));
+  values.forEach((v) => { if (!existing.has(v)) select.appendChild(new Option(v, v)); });
+}
+
+async function loadHistory() {
+  const summaryEl = document.getElementById('history-summary');
+  if (!window.api || !window.api.queryHistory) {
+    summaryEl.textContent = 'History is not available in this build.';
+    return;
+  }
+  const from = new Date(document.getElementById('history-from').value).getTime();
+  const to = new Date(document.getElementById('history-to').value).getTime();
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    summaryEl.textContent = 'Choose a "From" time before the "To" time.';
+    return;
+  }
+  const filters = {
+    from,
+    to,
+    tableId: document.getElementById('history-table').value || undefined,
+    deviceId: document.getElementById('history-device').value || undefined
+  };
+  const soundType = document.getElementById('history-sound').value || undefined;
+  const bucketMs = Math.max(HISTORY_MIN_BUCKET_MS, Math.ceil((to - from) / HISTORY_TARGET_POINTS));
+
+  summaryEl.textContent = 'Loading…';
+  try {
+    const [readings, alerts, incidents] = await Promise.all([
+      window.api.queryHistory({ ...filters, kind: 'readings', soundType, bucketMs }),
+      window.api.queryHistory({ ...filters, kind: 'alerts', soundType }),
+      window.api.queryIncidentLog ? window.api.queryIncidentLog(filters) : []
+    ]);
+    renderHistory(readings.records, alerts.records, bucketMs);
+    renderIncidentLog(soundType ? incidents.filter((i) => i.soundType === soundType) : incidents);
+    refreshHistoryFilters(readings.records);
+
+    const peak = readings.records.reduce((m, r) => Math.max(m, r.max), 0);
+    const count = readings.records.reduce((n, r) => n + r.count, 0);
+    const opened = alerts.records.filter((a) => !a.event || a.event === 'opened').length;
+    summaryEl.textContent = count
+      ? `${count} readings, peak ${peak} dB, ${opened} alerts${alerts.truncated ? ' (alerts truncated)' : ''} • ${Math.round(bucketMs / 1000)}s buckets`
+      : 'No readings stored for this selection.';
+  } catch (e) {
+    summaryEl.textContent = `Could not load history: ${e.message}`;
+  }
+}
+
+async function exportReport(format) {
+  if (!window.api || !window.api.exportReport) return;
+  const from = new Date(document.getElementById('history-from').value).getTime();
+  const to = new Date(document.getElementById('history-to').value).getTime();
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    showToast('Choose a valid time range before exporting');
+    return;
+  }
+  try {
+    const res = await window.api.exportReport({ from, to, format });
+    if (res && res.filePath) showToast(`Report saved to ${res.filePath}`);
+  } catch (e) {
+    showToast(`Report export failed: ${e.message}`);
+  }
+}
+
+function renderHistory(buckets, alerts, bucketMs) {
+  const byDevice = {};
+  buckets.forEach((b) => { (byDevice[b.deviceId] = byDevice[b.deviceId] || []).push(b); });
+
+  const datasets = Object.entries(byDevice).map(([deviceId, points]) => {
+    const color = randomColorFor(deviceId);
+    const data = [];
+    points.forEach((p, i) => {
+      // break the line across gaps instead of bridging them
+      if (i > 0 && p.timestamp - points[i - 1].timestamp > bucketMs * 3) data.push({ x: p.timestamp - bucketMs, y: null });
+      data.push({ x: p.timestamp, y: p.avg, max: p.max, count: p.count });
+    });
+    return {
+      label: deviceId,
+      data,
+      borderColor: color,
+      backgroundColor: hexToRgba(color, 0.12),
+      fill: false,
+      spanGaps: false
+    };
+  });
+
+  datasets.push({
+    type: 'scatter',
+    label: 'Alerts',
+    data: alerts
+      .filter((a) => !a.event || a.event === 'opened')
+      .map((a) => ({ x: a.timestamp, y: Number(a.peakNoise ?? a.noiseLevel) || 110, alert: a })),
+    pointStyle: 'triangle',
+    pointRadius: 7,
+    pointHoverRadius: 9,
+    borderColor: '#ef4444',
+    backgroundColor: 'rgba(239,68,68,0.75)'
+  });
+
+  historyChart.data.datasets = datasets;
+  historyChart.update();
+}
+
+// Who handled each incident in the range, and how
+function renderIncidentLog(incidents) {
+  const body = document.getElementById('incident-log-body');
+  body.innerHTML = '';
+  if (!incidents.length) {
+    const row = body.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 6;
+    cell.className = 'muted';
+    cell.textContent = 'No incidents in this range.';
+    return;
+  }
+  incidents.forEach((i) => {
+    const row = body.insertRow();
+    const steps = (i.actions || []).map((a) => {
+      const what = a.action === 'assign' ? `assigned to ${a.assignee}` : a.action === 'note' ? `note: ${a.note}` : `${a.action}d`;
+      return { at: a.at, text: `${a.user} ${what}` };
+    });
+    (i.escalations || []).forEach((e) => {
+      const extra = [e.notifyRole && `${e.notifyRole} notified`, e.ticket && `ticket ${e.ticket}`].filter(Boolean);
+      steps.push({ at: e.at, text: `escalated (${e.rule})${extra.length ? `: ${extra.join(', ')}` : ''}` });
+    });
+    (i.nudges || []).forEach((n) => steps.push({ at: n.at, text: describeNudge(n) }));
+    const handling = steps
+      .sort((a, b) => a.at - b.at)
+      .map((s) => `${new Date(s.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${s.text}`);
+    [
+      new Date(i.openedAt).toLocaleString(),
+      i.type,
+      `${i.tableId || '?'} / ${i.deviceId}`,
+      i.peakNoise != null ? `${i.peakNoise} dB` : '',
+      i.severity && i.severity !== 'normal' ? `${i.status || 'new'} (${i.severity})` : i.status || 'new',
+      handling.join('\n')
+    ].forEach((text) => { row.insertCell().textContent = text; });
+  });
+}
+
+function formatHistoryTick(value) {
+  const d = new Date(value);
+  const { min, max } = historyChart ? historyChart.scales.x : { min: 0, max: 0 };
+  // show the date only when the range spans more than a day
+  return max - min > 24 * 60 * 60 * 1000
+    ? `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+    : d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Format epoch ms as the local value expected by <input type="datetime-local">
+function toLocalInputValue(ts) {
+  const d = new Date(ts);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
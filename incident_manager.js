@@ -0,0 +1,434 @@
+/**
+ * Alert lifecycle
+ * Turns the raw per-reading conditions (too loud, sensor mismatch, offline, poor sensor health) into incidents that
+ * open once, update while the condition lasts and resolve when it clears.
+ *
+ * Noise incidents use hysteresis: one opens after readings stay at/above the threshold for
+ * noise.openAfterMs, and resolves only after readings stay below (threshold - releaseMarginDb)
+ * for noise.closeAfterMs. Readings in between keep the current state. Sensor health incidents work
+ * the same way on the device's health score (see sensor_health.js).
+ *
+ * Emits 'opened', 'updated' (throttled to updateIntervalMs) and 'resolved' with the incident.
+ *
+ * Separately from that condition state, staff move an incident through a handling status:
+ * new -> acknowledged -> resolved, with assignment and notes along the way. Every staff action
+ * is appended to incident.actions and emitted as 'action' (incident, action).
+ *
+ * Escalation rules (see escalation.js) applied through escalate() can raise the severity
+ * (normal -> high -> critical) and open a maintenance ticket; each is appended to
+ * incident.escalations and emitted as 'escalated' (incident, escalation).
+ *
+ * Staff can mute a table for a while: no noise_exceed incidents open there until the mute ends.
+ * Emits 'muted' (mute) and 'unmuted' (mute).
+ *
+ * Nudges sent to a loud table's devices (see nudges.js) are appended to incident.nudges and emitted
+ * as 'nudged' (incident, nudge), again when the nudge's outcome is known.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const STATUSES = ['new', 'acknowledged', 'resolved'];
+const ACTIONS = ['acknowledge', 'assign', 'note', 'resolve'];
+const SEVERITIES = ['normal', 'high', 'critical'];
+
+class IncidentManager extends EventEmitter {
+  /**
+   * @param {Object} settings - config.incidents: { noise: { openAfterMs, releaseMarginDb, closeAfterMs }, sensorIssue: { closeAfterMs },
+   *   sensorHealth: { openAfterMs, closeAfterMs }, updateIntervalMs }
+   */
+  constructor(settings) {
+    super();
+    this.settings = settings;
+    this.incidents = new Map(); // id -> incident (open ones, plus resolved until pruned)
+    this.active = new Map();    // `${type}:${deviceId}` -> incident id
+    this.pending = new Map();   // key -> { since, peak } for conditions not yet long enough to open
+    this.quietSince = new Map(); // key -> time the open condition first cleared
+    this.lastEmitted = new Map(); // incident id -> time of the last event sent
+    this.mutes = new Map();       // tableId -> { tableId, until, by, at }
+  }
+
+  activeIncident(type, deviceId) {
+    const id = this.active.get(`${type}:${deviceId}`);
+    return id ? this.incidents.get(id) : null;
+  }
+
+  list() {
+    return [...this.incidents.values()];
+  }
+
+  /**
+   * Feed one reading into the noise_exceed lifecycle
+   * @param {Object} reading - { deviceId, tableId, zone, noiseLevel, threshold, soundType }
+   */
+  noiseReading(reading, now = Date.now()) {
+    const { openAfterMs, releaseMarginDb, closeAfterMs } = this.settings.noise;
+    const key = `noise_exceed:${reading.deviceId}`;
+    const level = Number(reading.noiseLevel);
+    const above = level >= reading.threshold;
+    const released = level < reading.threshold - releaseMarginDb;
+    const incident = this.activeIncident('noise_exceed', reading.deviceId);
+
+    if (this.isMuted(reading.tableId, now)) {
+      this.pending.delete(key);
+      return;
+    }
+    if (!incident) {
+      if (!above) {
+        this.pending.delete(key);
+        return;
+      }
+      const pending = this.pending.get(key) || { since: now, peak: level };
+      pending.peak = Math.max(pending.peak, level);
+      this.pending.set(key, pending);
+      if (now - pending.since < openAfterMs) return;
+      this.pending.delete(key);
+      this.open('noise_exceed', reading, now, { openedAt: pending.since, peakNoise: pending.peak });
+      return;
+    }
+
+    incident.noiseLevel = level;
+    incident.threshold = reading.threshold;
+    incident.soundType = reading.soundType;
+    incident.peakNoise = Math.max(incident.peakNoise, level);
+    incident.readings++;
+    if (released) {
+      if (!this.quietSince.has(key)) this.quietSince.set(key, now);
+      if (now - this.quietSince.get(key) >= closeAfterMs) {
+        this.resolve(incident, now, 'noise back below release level');
+        return;
+      }
+    } else {
+      this.quietSince.delete(key);
+    }
+    this.touch(incident, now);
+  }
+
+  /**
+   * Feed the result of a peer comparison into the possible_sensor_issue lifecycle
+   * @param {Object} check - { deviceId, tableId, suspect, noiseLevel, peers }
+   */
+  sensorCheck(check, now = Date.now()) {
+    const key = `possible_sensor_issue:${check.deviceId}`;
+    const incident = this.activeIncident('possible_sensor_issue', check.deviceId);
+    if (check.suspect) {
+      this.quietSince.delete(key);
+      if (!incident) {
+        this.open('possible_sensor_issue', check, now, { peakNoise: check.noiseLevel, peers: check.peers });
+      } else {
+        incident.noiseLevel = check.noiseLevel;
+        incident.peakNoise = Math.max(incident.peakNoise, check.noiseLevel);
+        incident.peers = check.peers;
+        incident.readings++;
+        this.touch(incident, now);
+      }
+      return;
+    }
+    if (!incident) return;
+    if (!this.quietSince.has(key)) this.quietSince.set(key, now);
+    if (now - this.quietSince.get(key) >= this.settings.sensorIssue.closeAfterMs) {
+      this.resolve(incident, now, 'readings agree with table peers again');
+    }
+  }
+
+  /**
+   * Feed a device's health score into the sensor_health lifecycle: an incident opens once the
+   * score has stayed unhealthy for sensorHealth.openAfterMs, and resolves once it has been healthy
+   * again for closeAfterMs
+   * @param {Object} check - { deviceId, tableId, noiseLevel, score, reasons, unhealthy }
+   */
+  healthCheck(check, now = Date.now()) {
+    const { openAfterMs, closeAfterMs } = this.settings.sensorHealth;
+    const key = `sensor_health:${check.deviceId}`;
+    const incident = this.activeIncident('sensor_health', check.deviceId);
+    if (!incident) {
+      if (!check.unhealthy) {
+        this.pending.delete(key);
+        return;
+      }
+      const pending = this.pending.get(key) || { since: now, lowest: check.score };
+      pending.lowest = Math.min(pending.lowest, check.score);
+      this.pending.set(key, pending);
+      if (now - pending.since < openAfterMs) return;
+      this.pending.delete(key);
+      this.open('sensor_health', check, now, { openedAt: pending.since, score: check.score, lowestScore: pending.lowest, reasons: check.reasons });
+      return;
+    }
+
+    incident.noiseLevel = check.noiseLevel;
+    incident.score = check.score;
+    incident.lowestScore = Math.min(incident.lowestScore, check.score);
+    incident.readings++;
+    if (check.unhealthy) {
+      incident.reasons = check.reasons;
+      this.quietSince.delete(key);
+    } else {
+      if (!this.quietSince.has(key)) this.quietSince.set(key, now);
+      if (now - this.quietSince.get(key) >= closeAfterMs) {
+        this.resolve(incident, now, 'sensor health back to normal');
+        return;
+      }
+    }
+    this.touch(incident, now);
+  }
+
+  deviceOffline({ deviceId, tableId, lastSeen }, now = Date.now()) {
+    if (this.activeIncident('device_offline', deviceId)) return;
+    // a silent device can't be loud or disagree with its peers
+    for (const type of ['noise_exceed', 'possible_sensor_issue']) {
+      const incident = this.activeIncident(type, deviceId);
+      if (incident) this.resolve(incident, now, 'device went offline');
+      this.pending.delete(`${type}:${deviceId}`);
+    }
+    // an open health incident stays: going offline doesn't fix the sensor
+    this.pending.delete(`sensor_health:${deviceId}`);
+    this.open('device_offline', { deviceId, tableId }, now, { lastSeen, openedAt: lastSeen || now });
+  }
+
+  deviceOnline(deviceId, now = Date.now()) {
+    const incident = this.activeIncident('device_offline', deviceId);
+    if (incident) this.resolve(incident, now, 'device reporting again');
+  }
+
+  open(type, source, now, extra = {}) {
+    const incident = {
+      id: crypto.randomUUID(),
+      type,
+      state: 'open',
+      deviceId: source.deviceId,
+      tableId: source.tableId,
+      zone: source.zone || null,
+      noiseLevel: source.noiseLevel,
+      threshold: source.threshold,
+      soundType: source.soundType,
+      peakNoise: source.noiseLevel,
+      readings: 1,
+      openedAt: now,
+      updatedAt: now,
+      resolvedAt: null,
+      status: 'new',
+      assignee: null,
+      actions: [],
+      severity: 'normal',
+      escalations: [],
+      nudges: [],
+      ...extra
+    };
+    this.incidents.set(incident.id, incident);
+    this.active.set(`${type}:${incident.deviceId}`, incident.id);
+    this.lastEmitted.set(incident.id, now);
+    this.emit('opened', incident);
+    return incident;
+  }
+
+  touch(incident, now) {
+    incident.updatedAt = now;
+    if (now - this.lastEmitted.get(incident.id) < this.settings.updateIntervalMs) return;
+    this.lastEmitted.set(incident.id, now);
+    this.emit('updated', incident);
+  }
+
+  resolve(incident, now, reason) {
+    if (incident.state === 'resolved') return;
+    const key = `${incident.type}:${incident.deviceId}`;
+    incident.state = 'resolved';
+    incident.resolvedAt = now;
+    incident.updatedAt = now;
+    incident.resolution = reason;
+    this.active.delete(key);
+    this.quietSince.delete(key);
+    this.lastEmitted.delete(incident.id);
+    this.emit('resolved', incident);
+  }
+
+  /**
+   * Apply a staff action to an incident
+   * @param {string} id - incident id
+   * @param {Object} action - { action: 'acknowledge'|'assign'|'note'|'resolve', user, assignee, note }
+   * @returns {Object} the updated incident
+   */
+  act(id, { action, user, assignee, note } = {}, now = Date.now()) {
+    const incident = this.incidents.get(id);
+    if (!incident) throw new Error('Incident not found (it may have been archived)');
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown incident action: ${action}`);
+    if (!user) throw new Error('A user is required to act on an incident');
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (action === 'note' && !text) throw new Error('Note text is required');
+    if (action === 'assign' && !(typeof assignee === 'string' && assignee.trim())) throw new Error('Assignee is required');
+    if (incident.status === 'resolved' && action !== 'note') throw new Error('Incident is already resolved');
+
+    const entry = { action, user, at: now };
+    if (text) entry.note = text;
+    if (action === 'assign') {
+      entry.assignee = assignee.trim();
+      incident.assignee = entry.assignee;
+    }
+    if (action === 'acknowledge' || (action === 'assign' && incident.status === 'new')) {
+      incident.status = 'acknowledged';
+      incident.acknowledgedBy = incident.acknowledgedBy || user;
+      incident.acknowledgedAt = incident.acknowledgedAt || now;
+    }
+    if (action === 'resolve') {
+      incident.status = 'resolved';
+      incident.closedBy = user;
+      incident.closedAt = now;
+      // handled by staff: stop tracking the condition; if it persists a new incident opens
+      if (incident.state === 'open') this.resolve(incident, now, `resolved by ${user}`);
+    }
+    incident.actions.push(entry);
+    incident.updatedAt = now;
+    this.emit('action', incident, entry);
+    return incident;
+  }
+
+  /**
+   * Apply an escalation rule that has become due
+   * @param {Object} rule - config.escalation.rules entry
+   * @returns {Object} the escalation entry
+   */
+  escalate(incident, rule, now = Date.now()) {
+    const entry = { rule: rule.name, at: now, actions: rule.actions };
+    if (rule.actions.includes('raise_severity')) {
+      const level = SEVERITIES.indexOf(incident.severity);
+      incident.severity = SEVERITIES[Math.min(level + 1, SEVERITIES.length - 1)];
+    }
+    entry.severity = incident.severity;
+    if (rule.actions.includes('notify_role')) entry.notifyRole = rule.notifyRole;
+    if (rule.actions.includes('maintenance_ticket') && !incident.ticket) {
+      incident.ticket = { id: `MT-${incident.id.slice(0, 8).toUpperCase()}`, openedAt: now, rule: rule.name };
+      entry.ticket = incident.ticket.id;
+    }
+    incident.escalations.push(entry);
+    this.emit('escalated', incident, entry);
+    return entry;
+  }
+
+  /**
+   * Record a nudge sent to the incident's table
+   * @param {Object} nudge - { step, repeat, level, mode, deviceIds, commandIds, noiseLevel }
+   */
+  nudge(incident, nudge, now = Date.now()) {
+    const entry = { at: now, ...nudge };
+    incident.nudges = incident.nudges || [];
+    incident.nudges.push(entry);
+    this.emit('nudged', incident, entry);
+    return entry;
+  }
+
+  // How the noise developed after a nudge: { at, noiseLevel, dropDb, quieted }
+  nudgeOutcome(incident, nudge, outcome) {
+    nudge.outcome = outcome;
+    this.emit('nudged', incident, nudge);
+  }
+
+  /**
+   * Silence noise incidents for a table until `until`; open ones there are resolved
+   * @returns {Object} the mute { tableId, until, by, at }
+   */
+  muteTable(tableId, { until, user }, now = Date.now()) {
+    if (!tableId) throw new Error('A table is required');
+    if (!(until > now)) throw new Error('A mute must end in the future');
+    const mute = { tableId, until, by: user, at: now };
+    this.mutes.set(tableId, mute);
+    for (const incident of this.incidents.values()) {
+      if (incident.type === 'noise_exceed' && incident.tableId === tableId && incident.state === 'open') {
+        this.resolve(incident, now, `table muted by ${user}`);
+      }
+    }
+    this.emit('muted', mute);
+    return mute;
+  }
+
+  unmuteTable(tableId, user, now = Date.now()) {
+    const mute = this.mutes.get(tableId);
+    if (!mute) return null;
+    this.mutes.delete(tableId);
+    const ended = { ...mute, endedAt: now, endedBy: user || null };
+    this.emit('unmuted', ended);
+    return ended;
+  }
+
+  isMuted(tableId, now = Date.now()) {
+    const mute = this.mutes.get(tableId);
+    if (!mute) return false;
+    if (mute.until > now) return true;
+    this.unmuteTable(tableId, null, mute.until); // ran out
+    return false;
+  }
+
+  listMutes(now = Date.now()) {
+    return [...this.mutes.keys()].filter((tableId) => this.isMuted(tableId, now)).map((tableId) => this.mutes.get(tableId));
+  }
+
+  /**
+   * Rebuild incidents from stored alert events (see foldIncidentEvents) after a restart.
+   * Conditions that were still open are marked cleared; their handling status is kept.
+   */
+  restore(records, now = Date.now()) {
+    for (const incident of foldIncidentEvents(records)) {
+      if (this.incidents.has(incident.id)) continue;
+      if (incident.state === 'open') {
+        incident.state = 'resolved';
+        incident.resolvedAt = now;
+        incident.resolution = 'monitoring restarted';
+      }
+      this.incidents.set(incident.id, incident);
+    }
+  }
+
+  /**
+   * Forget cleared incidents: handled (resolved) ones after handledTtlMs,
+   * ones nobody resolved after unhandledTtlMs. The history store keeps them all.
+   */
+  prune({ handledTtlMs, unhandledTtlMs }, now = Date.now()) {
+    for (const [id, incident] of this.incidents) {
+      if (incident.state !== 'resolved') continue;
+      const ttl = incident.status === 'resolved' ? handledTtlMs : unhandledTtlMs;
+      if (now - incident.resolvedAt > ttl) this.incidents.delete(id);
+    }
+  }
+}
+
+/**
+ * Replay stored alert events ({ id, event: 'opened'|'resolved'|'action'|'escalated'|'nudged', ... }) into incidents,
+ * oldest first. Events without an id predate incidents and are skipped.
+ * @returns {Object[]} incidents
+ */
+function foldIncidentEvents(records) {
+  const byId = new Map();
+  const sorted = records.filter((r) => r.id && r.event).sort((a, b) => a.timestamp - b.timestamp);
+  for (const r of sorted) {
+    const { event, timestamp, action, escalation, nudge, ...fields } = r;
+    if (event === 'opened') {
+      byId.set(r.id, { severity: 'normal', ...fields, actions: fields.actions || [], escalations: fields.escalations || [], nudges: fields.nudges || [] });
+      continue;
+    }
+    const incident = byId.get(r.id);
+    if (!incident) continue; // opened before the window we read
+    if (event === 'resolved') {
+      Object.assign(incident, { state: 'resolved', resolvedAt: r.resolvedAt, resolution: r.resolution, peakNoise: r.peakNoise, readings: r.readings });
+    } else if (event === 'action' && action) {
+      incident.actions.push(action);
+      for (const key of ['status', 'assignee', 'acknowledgedBy', 'acknowledgedAt', 'closedBy', 'closedAt']) {
+        if (r[key] !== undefined) incident[key] = r[key];
+      }
+    } else if (event === 'escalated' && escalation) {
+      incident.escalations.push(escalation);
+      incident.severity = r.severity;
+      if (r.ticket) incident.ticket = r.ticket;
+    } else if (event === 'nudged' && nudge) {
+      // a nudge is stored when sent and again with its outcome
+      const index = incident.nudges.findIndex((n) => n.at === nudge.at);
+      if (index >= 0) incident.nudges[index] = nudge;
+      else incident.nudges.push(nudge);
+    }
+  }
+  return [...byId.values()];
+}
+
+IncidentManager.STATUSES = STATUSES;
+IncidentManager.ACTIONS = ACTIONS;
+IncidentManager.SEVERITIES = SEVERITIES;
+IncidentManager.foldIncidentEvents = foldIncidentEvents;
+
+module.exports = IncidentManager;
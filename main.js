@@ -1,21 +1,53 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Notification } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const WebSocket = require('ws');
 const net = require('net');
 const dns = require('dns');
 const os = require('os');
+const crypto = require('crypto');
 const SoundClassifier = require('./sound_classifier');
+const SoundSampleStore = require('./sound_samples');
+const HistoryStore = require('./history_store');
+const { buildReport, toCsv, toHtml } = require('./report_generator');
+const { ConfigStore } = require('./config');
+const { effectiveThreshold } = require('./thresholds');
+const IncidentManager = require('./incident_manager');
+const SensorHealth = require('./sensor_health');
+const { dueEscalations } = require('./escalation');
+const { dueNudges, dueFollowUps } = require('./nudges');
+const AuthManager = require('./auth');
+const { can } = require('./permissions');
+const DeviceRegistry = require('./device_registry');
+const { CLOSE_CODES, PUBLISHED_SECRETS } = require('./device_auth');
+const protocol = require('./protocol');
+const CommandManager = require('./device_commands');
+const { decodePcm, extractFeatures } = require('./audio_features');
+const { SessionRecorder } = require('./session_recorder');
+const { CalibrationManager, applyCalibration } = require('./calibration');
 
 // Disable cache to avoid permission issues on Windows
 app.disableHardwareAcceleration();
 
 let mainWindow;
-let PORT = 8080;
+let PORT;
 let wss;
+let monitorTimer;
+let escalationTimer;
+let nudgeTimer;
 let soundClassifier;
+let soundSamples;
+let historyStore;
+let incidentManager;
+let sensorHealth;
+let authManager;
+let deviceRegistry;
+let commandManager;
+let calibrationManager;
+let sessionRecorder;
 const devices = {};
-const NOISE_THRESHOLD = 65;
-const INACTIVITY_MS = 15_000;
+const configStore = new ConfigStore();
+let config;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -38,7 +70,7 @@ function createWindow() {
   
   mainWindow.webContents.on('did-finish-load', () => {
     console.log('✓ Window loaded, sending server info on port', PORT);
-    mainWindow.webContents.send('server-info', { port: PORT, NOISE_THRESHOLD });
+    mainWindow.webContents.send('server-info', serverInfo());
     // Optionally show the window
     try {
       mainWindow.show();
@@ -58,8 +90,22 @@ function createWindow() {
 }
 
 app.whenReady().then(async () => {
+  initConfig();
+  initAuth();
+  initDeviceRegistry();
+  initHistoryStore();
+  initRecording();
+  initCommands();
+  initCalibration();
+  await initIncidents();
+
   console.log('App ready, starting WebSocket server...');
-  await startWebSocketServer();
+  try {
+    await startWebSocketServer();
+  } catch (err) {
+    console.error('✗ Failed to start WebSocket server:', err.message);
+    process.exit(1);
+  }
   console.log('WebSocket server started successfully');
   
   try {
@@ -122,9 +168,372 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
   console.log('✓ Received SIGTERM, shutting down gracefully...');
+  if (deviceRegistry) deviceRegistry.flush();
   process.exit(0);
 });
 
+// ---- Configuration ----
+
+function initConfig() {
+  try {
+    config = configStore.load();
+    console.log('✓ Configuration loaded from', configStore.file);
+  } catch (err) {
+    console.error('✗', err.message);
+    process.exit(1);
+  }
+  configStore.on('change', applyConfigChange);
+  configStore.on('error', (err) => {
+    console.error('✗ Configuration change rejected, keeping previous settings.', err.message);
+    if (mainWindow) mainWindow.webContents.send('config-error', { message: err.message, errors: err.errors || [] });
+  });
+  configStore.watch();
+}
+
+// Apply a reloaded config to the running server without a restart
+function applyConfigChange(next, previous) {
+  config = next;
+  console.log('✓ Configuration reloaded');
+  if (historyStore) {
+    historyStore.retentionDays = { ...next.history.retentionDays };
+    historyStore.prune();
+  }
+  if (incidentManager) incidentManager.settings = next.incidents;
+  if (sensorHealth) sensorHealth.settings = next.health;
+  if (authManager) authManager.settings = next.auth;
+  if (commandManager) commandManager.settings = next.commands;
+  if (calibrationManager) calibrationManager.settings = next.calibration;
+  if (soundClassifier) {
+    soundClassifier.settings = next.classifier;
+    soundClassifier.setLabels(next.classifier.labels.map((l) => l.id), soundSamples.list())
+      .catch((err) => console.error('✗ Could not rebuild the classifier for the new labels:', err.message));
+  }
+  if (sessionRecorder && next.recording.enabled !== previous.recording.enabled) applyRecording();
+  if (next.server.pingIntervalMs !== previous.server.pingIntervalMs) startDeviceMonitor();
+  if (incidentManager && next.escalation.checkIntervalMs !== previous.escalation.checkIntervalMs) startEscalationChecks();
+  if (incidentManager && next.nudges.checkIntervalMs !== previous.nudges.checkIntervalMs) startNudgeChecks();
+  if (next.server.port !== previous.server.port && next.server.port !== PORT) {
+    restartWebSocketServer().catch((err) => console.error('✗ Could not move WebSocket server:', err.message));
+  }
+  if (mainWindow) mainWindow.webContents.send('config-changed', rendererConfig());
+}
+
+// Settings the dashboard needs (never the device secret)
+function rendererConfig() {
+  const { sharedSecret, ...deviceAuth } = config.deviceAuth;
+  return { ...config, deviceAuth: { ...deviceAuth, sharedSecretSet: Boolean(sharedSecret) } };
+}
+
+function serverInfo() {
+  return { port: PORT, NOISE_THRESHOLD: config.alerts.noiseThreshold, config: rendererConfig() };
+}
+
+// ---- Users and sessions ----
+
+function initAuth() {
+  authManager = new AuthManager({ file: path.join(app.getPath('userData'), 'users.json'), settings: config.auth });
+  authManager.load();
+  if (authManager.needsSetup()) console.log('✓ No users yet, the first login screen will create the administrator');
+  authManager.on('session-ended', (owner, reason) => {
+    console.log(`✓ Session ended (${reason})`);
+    if (mainWindow && mainWindow.webContents.id === owner) mainWindow.webContents.send('session-ended', { reason });
+  });
+  authManager.on('session-changed', (owner, session) => {
+    if (mainWindow && mainWindow.webContents.id === owner) mainWindow.webContents.send('session-changed', session);
+  });
+  setInterval(() => authManager.expireSessions(), 30 * 1000);
+}
+
+// Wrap an IPC handler so it runs only for a logged-in user whose role has the permission
+// (see permissions.js); the handler gets the session as its third argument
+function permitted(permission, handler) {
+  return (event, payload) => {
+    const session = authManager.touch(event.sender.id);
+    if (!session) throw new Error('Not logged in');
+    if (!can(session.role, permission)) throw new Error(`Your role (${session.role}) is not allowed to do this`);
+    return handler(event, payload, session);
+  };
+}
+
+// ---- Device registry ----
+
+function initDeviceRegistry() {
+  deviceRegistry = new DeviceRegistry({ file: path.join(app.getPath('userData'), 'devices.json') });
+  deviceRegistry.load();
+  console.log(`✓ Device registry: ${deviceRegistry.list().length} known devices`);
+  const { sharedSecret, autoRegister } = config.deviceAuth;
+  if (!sharedSecret) console.log('✓ No shared device secret set, only devices registered with their own secret can connect');
+  if (PUBLISHED_SECRETS.includes(sharedSecret)) console.warn('⚠ deviceAuth.sharedSecret is the published example secret: set your own, anyone can sign with this one');
+  if (autoRegister && (!sharedSecret || PUBLISHED_SECRETS.includes(sharedSecret))) console.warn('⚠ deviceAuth.autoRegister is on but ignored until a shared secret of your own is set');
+}
+
+// Refuse a connection: tell the device why, record it and show it to admins
+function rejectDevice(ws, reason, message, details = {}) {
+  console.warn(`✗ Device connection refused (${reason}): ${message}`, details.deviceId || '');
+  try {
+    sendToDevice(ws, protocol.error({ code: reason, message, field: details.field }));
+  } catch (e) { /* already closing */ }
+  // reasons without their own code are protocol errors before the hello
+  ws.close(CLOSE_CODES[reason] || CLOSE_CODES.protocol_error, reason);
+  const event = { type: 'device_rejected', event: 'rejected', reason, message, ...details, timestamp: Date.now() };
+  if (historyStore) historyStore.recordAlert(event);
+  if (mainWindow) mainWindow.webContents.send('device-rejected', event);
+}
+
+// Our own failure reading a message: log it and close just that connection (1011 = server error)
+function dropConnection(ws, err) {
+  console.error(`✗ Could not read a message from ${ws.deviceId || ws.address}, closing the connection:`, err.stack || err.message);
+  ws.close(1011, 'internal_error');
+}
+
+// ---- Device commands ----
+
+function initCommands() {
+  commandManager = new CommandManager({
+    settings: config.commands,
+    send: (deviceId, message) => {
+      const ws = devices[deviceId] && devices[deviceId].ws;
+      if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+      sendToDevice(ws, message);
+      return true;
+    }
+  });
+  commandManager.on('updated', (command) => {
+    const dev = devices[command.deviceId];
+    if (command.state === 'done' && dev) applyCommandResult(dev, command);
+    if (CommandManager.FINAL_STATES.includes(command.state)) {
+      const ok = command.state === 'done';
+      console.log(`${ok ? '✓' : '✗'} Command ${command.command} on ${command.deviceId} ${command.state}${command.error ? `: ${command.error}` : ''}`);
+      if (historyStore) {
+        const { id, deviceId, params, requestedBy, state, result, error, finishedAt } = command;
+        historyStore.recordAlert({ type: 'device_command', event: state, commandId: id, command: command.command, deviceId, tableId: dev && dev.tableId, params, requestedBy, result, error, timestamp: finishedAt });
+      }
+    }
+    if (mainWindow) mainWindow.webContents.send('device-command', command);
+  });
+}
+
+// Remember what a finished command changed on the device
+function applyCommandResult(dev, command) {
+  const result = command.result || {};
+  if (command.command === 'set_interval') dev.reportIntervalMs = result.intervalMs || command.params.intervalMs;
+  // the device's own routine; the server-side calibration is the registry's (setCalibration below)
+  if (command.command === 'calibrate') dev.lastCalibrateResult = { ...result, at: command.finishedAt };
+}
+
+// ---- Calibration ----
+
+function initCalibration() {
+  calibrationManager = new CalibrationManager({
+    settings: config.calibration,
+    calibrationOf: (deviceId) => {
+      const entry = deviceRegistry.get(deviceId);
+      return entry && entry.calibration ? entry.calibration : null;
+    }
+  });
+  calibrationManager.on('updated', (session) => {
+    if (session.state === 'ready') {
+      const usable = session.results.filter((r) => r.proposed).length;
+      console.log(`✓ Calibration of ${session.tableId} measured: ${usable} of ${session.results.length} devices usable`);
+    }
+    if (mainWindow) mainWindow.webContents.send('calibration', session);
+  });
+}
+
+// Store a device's calibration (or remove it with null) and record who changed it in the history
+function setCalibration(deviceId, calibration, user, details = {}) {
+  const { entry, previous } = deviceRegistry.setCalibration(deviceId, calibration && { ...calibration, by: user });
+  const strip = (c) => (c ? { offsetDb: c.offsetDb, gain: c.gain } : null);
+  const dev = devices[deviceId];
+  if (historyStore) {
+    historyStore.recordAlert({
+      type: 'calibration',
+      event: entry.calibration ? 'calibrated' : 'reset',
+      deviceId,
+      tableId: (dev && dev.tableId) || entry.tableId,
+      method: entry.calibration ? entry.calibration.method : null,
+      referenceDb: entry.calibration ? entry.calibration.referenceDb : null,
+      ...details,
+      previous: strip(previous),
+      calibration: strip(entry.calibration),
+      by: user,
+      timestamp: entry.calibration ? entry.calibration.at : Date.now()
+    });
+  }
+  const c = entry.calibration;
+  console.log(`✓ Calibration of ${deviceId} ${c ? `set to ${c.offsetDb > 0 ? '+' : ''}${c.offsetDb} dB × ${c.gain}` : 'removed'} by ${user}`);
+  return entry;
+}
+
+// ---- Historical store ----
+
+function initHistoryStore() {
+  try {
+    historyStore = new HistoryStore({
+      dir: path.join(app.getPath('userData'), 'history'),
+      retentionDays: config.history.retentionDays
+    });
+    historyStore.init();
+    console.log('✓ History store ready at', historyStore.dir);
+    // apply retention once an hour
+    setInterval(() => historyStore.prune(), 60 * 60 * 1000);
+  } catch (e) {
+    console.error('✗ Could not open history store:', e.message);
+    historyStore = null;
+  }
+}
+
+// ---- Traffic recording ----
+
+function initRecording() {
+  sessionRecorder = new SessionRecorder({ dir: path.join(app.getPath('userData'), 'sessions') });
+  applyRecording();
+}
+
+// Start or stop recording to match recording.enabled; each start is a new session file
+function applyRecording() {
+  if (config.recording.enabled && !sessionRecorder.active) {
+    try {
+      console.log('✓ Recording device traffic to', sessionRecorder.start());
+    } catch (e) {
+      console.error('✗ Could not start recording device traffic:', e.message);
+    }
+  } else if (!config.recording.enabled && sessionRecorder.active) {
+    console.log('✓ Stopped recording device traffic to', sessionRecorder.stop());
+  }
+}
+
+// ---- Incidents ----
+
+// How long cleared incidents stay on the dashboard; the history store keeps them for good
+const INCIDENT_TTL = { handledTtlMs: 60 * 60 * 1000, unhandledTtlMs: 24 * 60 * 60 * 1000 };
+
+async function initIncidents() {
+  incidentManager = new IncidentManager(config.incidents);
+  sensorHealth = new SensorHealth(config.health);
+  // bring back incidents staff still need to handle
+  if (historyStore) {
+    try {
+      const { records } = await historyStore.query({ kind: 'alerts', from: Date.now() - INCIDENT_TTL.unhandledTtlMs });
+      incidentManager.restore(records);
+      incidentManager.prune(INCIDENT_TTL);
+    } catch (e) {
+      console.error('✗ Could not restore incidents:', e.message);
+    }
+  }
+  incidentManager.on('opened', (incident) => {
+    sendAlert('opened', incident);
+    if (incident.type === 'device_offline' && mainWindow) {
+      mainWindow.webContents.send('device-offline', { deviceId: incident.deviceId, tableId: incident.tableId });
+    }
+  });
+  incidentManager.on('updated', (incident) => sendAlert('updated', incident));
+  incidentManager.on('resolved', (incident) => sendAlert('resolved', incident));
+  incidentManager.on('action', (incident, action) => sendAlert('action', incident, action));
+  incidentManager.on('escalated', (incident, escalation) => {
+    sendAlert('escalated', incident, escalation);
+    notifyEscalation(incident, escalation);
+  });
+  incidentManager.on('nudged', (incident, nudge) => sendAlert('nudged', incident, nudge));
+  incidentManager.on('muted', (mute) => sendMutes('muted', mute));
+  incidentManager.on('unmuted', (mute) => sendMutes('unmuted', mute));
+  setInterval(() => incidentManager.prune(INCIDENT_TTL), 10 * 60 * 1000);
+  startEscalationChecks();
+  startNudgeChecks();
+}
+
+// Record a table mute/unmute and send the renderer the mutes now in force
+function sendMutes(event, mute) {
+  if (historyStore) {
+    historyStore.recordAlert({ type: 'table_muted', event, ...mute, timestamp: event === 'muted' ? mute.at : mute.endedAt });
+  }
+  if (mainWindow) mainWindow.webContents.send('table-mutes', incidentManager.listMutes());
+}
+
+function startEscalationChecks() {
+  clearInterval(escalationTimer);
+  escalationTimer = setInterval(checkEscalations, config.escalation.checkIntervalMs);
+}
+
+function checkEscalations() {
+  for (const { incident, rule } of dueEscalations(config, incidentManager.list())) {
+    console.log(`✓ Escalating ${incident.type} on ${incident.deviceId} (rule "${rule.name}")`);
+    incidentManager.escalate(incident, rule);
+  }
+}
+
+function startNudgeChecks() {
+  clearInterval(nudgeTimer);
+  nudgeTimer = setInterval(checkNudges, config.nudges.checkIntervalMs);
+}
+
+function checkNudges(now = Date.now()) {
+  const incidents = incidentManager.list();
+  for (const { incident, step, index, repeat } of dueNudges(config.nudges, incidents, now)) sendNudge(incident, step, index, repeat, now);
+  for (const { incident, nudge, outcome } of dueFollowUps(config.nudges, incidents, now)) incidentManager.nudgeOutcome(incident, nudge, outcome);
+}
+
+// Warn every connected device at the incident's table (but not one being calibrated: its LED or
+// buzzer would spoil the measurement); nothing is recorded if none is left
+function sendNudge(incident, step, index, repeat, now) {
+  const { level, mode, durationMs } = step;
+  const deviceIds = [];
+  const commandIds = [];
+  for (const [deviceId, dev] of Object.entries(devices)) {
+    if (dev.tableId !== incident.tableId || !dev.ws || calibrationManager.measuring(deviceId)) continue;
+    try {
+      commandIds.push(commandManager.issue(deviceId, 'warn', { level, mode, ...(durationMs ? { durationMs } : {}) }, 'auto-nudge').id);
+      deviceIds.push(deviceId);
+    } catch (e) {
+      console.warn(`✗ Could not nudge ${deviceId}:`, e.message);
+    }
+  }
+  if (!deviceIds.length) return;
+  console.log(`✓ Nudged ${incident.tableId} (${level} ${mode}${repeat ? ', repeated' : ''}) at ${incident.noiseLevel} dB`);
+  incidentManager.nudge(incident, { step: index, repeat, level, mode, deviceIds, commandIds, noiseLevel: incident.noiseLevel }, now);
+}
+
+// Desktop notification for escalations that ask to re-notify, or to reach a role when the user logged
+// in has it; the renderer does the same for its toast and shows a user the role's open escalations at login
+function notifyEscalation(incident, escalation) {
+  const { actions, notifyRole } = escalation;
+  const session = mainWindow && authManager.session(mainWindow.webContents.id);
+  const forRole = actions.includes('notify_role') && session && session.role === notifyRole;
+  if (!actions.includes('renotify') && !forRole) return;
+  if (!Notification || !Notification.isSupported()) return;
+  const minutes = Math.round((escalation.at - incident.openedAt) / 60000);
+  new Notification({
+    title: `${forRole ? `[${notifyRole}] ` : ''}Escalated: ${incident.type} at ${incident.tableId || incident.deviceId}`,
+    body: `Open for ${minutes} min, ${incident.status === 'new' ? 'not acknowledged' : `status ${incident.status}`}. Severity ${incident.severity}.`
+  }).show();
+}
+
+// Forward an incident event to the renderer; everything but periodic updates is also recorded
+function sendAlert(event, incident, detail) {
+  const timestamp = event === 'opened' ? incident.openedAt : (detail && detail.at) || incident.updatedAt;
+  const alert = { ...incident, event, timestamp };
+  if (historyStore && event !== 'updated') historyStore.recordAlert(historyRecord(alert, detail));
+  if (mainWindow) mainWindow.webContents.send('alert', alert);
+}
+
+// Stored events stay small: action, escalation and nudge records carry only that step and its result
+function historyRecord(alert, detail) {
+  if (alert.event === 'opened') return alert;
+  const { actions, escalations, nudges, ...record } = alert;
+  const { id, type, deviceId, tableId, zone, event, timestamp } = alert;
+  if (alert.event === 'action') {
+    const { status, assignee, acknowledgedBy, acknowledgedAt, closedBy, closedAt } = alert;
+    return { id, type, deviceId, tableId, zone, status, assignee, acknowledgedBy, acknowledgedAt, closedBy, closedAt, event, action: detail, timestamp };
+  }
+  if (alert.event === 'escalated') {
+    return { id, type, deviceId, tableId, zone, severity: alert.severity, ticket: alert.ticket, event, escalation: detail, timestamp };
+  }
+  if (alert.event === 'nudged') {
+    return { id, type, deviceId, tableId, zone, event, nudge: detail, timestamp };
+  }
+  return record;
+}
+
 // ---- WebSocket server + device monitoring ----
 
 function findFreePort(startPort, maxAttempts = 50) {
@@ -151,105 +560,375 @@ function findFreePort(startPort, maxAttempts = 50) {
 }
 
 async function startWebSocketServer() {
-  try {
-    const selected = await findFreePort(PORT, 50);
-    PORT = selected;
-    wss = new WebSocket.Server({ port: PORT });
-    console.log(`✓ WebSocket server listening on ws://localhost:${PORT}`);
-
-    // Initialize sound classifier
-    soundClassifier = new SoundClassifier();
-    await soundClassifier.initialize();
-
-    wss.on('connection', (ws) => {
-      console.log(`✓ New WebSocket connection. Total clients: ${wss.clients.size}`);
-      ws.isAlive = true;
-      ws.on('pong', () => ws.isAlive = true);
-
-      ws.on('message', (msg) => {
-        try {
-          const data = JSON.parse(msg.toString());
-          const { deviceId, tableId, noiseLevel, audioFeatures, soundType, timestamp } = data;
-          if (!deviceId) return;
-          devices[deviceId] = devices[deviceId] || {};
-          devices[deviceId].lastSeen = Date.now();
-          devices[deviceId].tableId = tableId || devices[deviceId].tableId;
-          devices[deviceId].lastNoise = noiseLevel;
-          devices[deviceId].ws = ws;
-
-          // Classify sound using TensorFlow or fallback to provided soundType
-          let classifiedSoundType = soundType || 'unknown';
-          if (soundClassifier && audioFeatures) {
-            const classification = soundClassifier.classify({
-              noiseLevel,
-              ...audioFeatures
-            });
-            classifiedSoundType = classification.soundType;
-            devices[deviceId].lastSoundType = classifiedSoundType;
-            devices[deviceId].classification = classification;
-          } else if (soundType) {
-            devices[deviceId].lastSoundType = soundType;
-          }
+  PORT = await findFreePort(config.server.port, config.server.portSearchAttempts);
+  wss = new WebSocket.Server({ port: PORT, maxPayload: protocol.MAX_MESSAGE_BYTES });
+  console.log(`✓ WebSocket server listening on ws://localhost:${PORT}`);
 
-          // Forward to renderer with classified sound type
-          const dataToSend = {
-            deviceId,
-            tableId,
-            noiseLevel,
-            soundType: classifiedSoundType,
-            timestamp: timestamp || Date.now()
-          };
-          if (mainWindow) mainWindow.webContents.send('device-data', dataToSend);
-
-          // If noise above threshold -> alert
-          if (noiseLevel >= NOISE_THRESHOLD) {
-            const alert = {
-              type: 'noise_exceed',
-              deviceId,
-              tableId: devices[deviceId].tableId,
-              noiseLevel,
-              soundType: classifiedSoundType,
-              timestamp: timestamp || Date.now()
-            };
-            if (mainWindow) mainWindow.webContents.send('alert', alert);
-          }
+  // Initialize sound classifier (kept across server restarts)
+  if (!soundClassifier) {
+    const classifierDir = path.join(app.getPath('userData'), 'classifier');
+    soundSamples = new SoundSampleStore({ dir: classifierDir });
+    soundClassifier = new SoundClassifier(config.classifier, { modelDir: path.join(classifierDir, 'model') });
+    await soundClassifier.initialize(soundSamples.list());
+  }
+
+  wss.on('connection', (ws, req) => {
+    console.log(`✓ New WebSocket connection. Total clients: ${wss.clients.size}`);
+    ws.isAlive = true;
+    ws.on('pong', () => ws.isAlive = true);
+    ws.address = req.socket.remoteAddress;
+    sessionRecorder.opened(ws);
+
+    // every connection has to prove who it is before its readings count (see device_auth.js)
+    ws.nonce = crypto.randomBytes(16).toString('hex');
+    sendToDevice(ws, protocol.challenge(ws.nonce));
+    const helloTimer = setTimeout(() => {
+      if (!ws.deviceId) rejectDevice(ws, 'hello_timeout', 'No hello received', { address: ws.address });
+    }, config.deviceAuth.helloTimeoutMs);
 
-          checkForMismatch(deviceId);
-        } catch (e) {
-          console.error('Invalid message:', e.message);
+    ws.on('message', (raw, isBinary) => {
+      sessionRecorder.message(ws, raw, isBinary);
+      // binary messages are PCM frames in the format the device declared with audio_format
+      if (isBinary) {
+        if (ws.deviceId) {
+          handleAudioFrame(ws, raw);
+        } else {
+          clearTimeout(helloTimer);
+          rejectDevice(ws, 'auth_failed', 'Expected a hello message', { address: ws.address });
         }
-      });
-
-      ws.on('close', () => {
-        console.log(`Client disconnected. Remaining: ${wss.clients.size}`);
-      });
-      
-      ws.on('error', (err) => {
-        console.error('WebSocket client error:', err.message);
-      });
-    });
+        return;
+      }
+      let message;
+      try {
+        // bare readings from old firmware only before a hello, and only if deviceAuth.required is off
+        message = protocol.parseMessage(raw, { legacy: ws.deviceId ? !ws.authenticated : !config.deviceAuth.required });
+      } catch (err) {
+        if (!(err instanceof protocol.ProtocolError)) return dropConnection(ws, err);
+        if (ws.deviceId) {
+          protocolError(ws, err);
+        } else {
+          // nothing from an unauthenticated connection is worth keeping it open for
+          clearTimeout(helloTimer);
+          rejectDevice(ws, err.code, err.message, { field: err.field, address: ws.address });
+        }
+        return;
+      }
 
-    // Periodic cleanup + inactivity detection
-    setInterval(() => {
-      const now = Date.now();
-      for (const [id, dev] of Object.entries(devices)) {
-        if (!dev.lastSeen) continue;
-        if (now - dev.lastSeen > INACTIVITY_MS) {
-          if (mainWindow) mainWindow.webContents.send('device-offline', { deviceId: id, tableId: dev.tableId });
+      if (message.type === 'hello') {
+        if (ws.deviceId) {
+          protocolError(ws, new protocol.ProtocolError('unexpected', 'Already authenticated on this connection'), message);
+          return;
         }
+        clearTimeout(helloTimer);
+        handleHello(ws, message);
+        return;
       }
+      if (!ws.deviceId) {
+        clearTimeout(helloTimer);
+        const legacy = !config.deviceAuth.required && message.type === 'reading' && message.deviceId;
+        if (!legacy) {
+          rejectDevice(ws, 'auth_failed', 'Expected a hello message', { deviceId: message.deviceId, address: ws.address });
+          return;
+        }
+        // a registered id (with its own secret, or revoked) can't be claimed without proving it
+        if (deviceRegistry.get(message.deviceId)) {
+          rejectDevice(ws, 'auth_failed', `Device ${message.deviceId} is registered and must sign in with a hello`, { deviceId: message.deviceId, address: ws.address });
+          return;
+        }
+        if (!acceptDevice(ws, message.deviceId, false)) return;
+      }
+      try {
+        MESSAGE_HANDLERS[message.type](ws, message);
+      } catch (e) {
+        console.error(`✗ Failed to handle ${message.type} from ${ws.deviceId}:`, e.message);
+      }
+    });
+
+    ws.on('close', (code) => {
+      clearTimeout(helloTimer);
+      sessionRecorder.closed(ws, code);
+      const dev = ws.deviceId && devices[ws.deviceId];
+      if (dev && dev.ws === ws) {
+        dev.ws = null;
+        commandManager.disconnected(ws.deviceId);
+      }
+      if (ws.deviceId) deviceRegistry.flush();
+      console.log(`Client disconnected. Remaining: ${wss.clients.size}`);
+    });
 
-      // ping clients to keep connections alive
-      wss.clients.forEach((client) => {
-        if (!client.isAlive) return client.terminate();
-        client.isAlive = false;
-        client.ping();
-      });
-    }, 5000);
+    ws.on('error', (err) => {
+      console.error('WebSocket client error:', err.message);
+    });
+  });
+
+  startDeviceMonitor();
+}
+
+function sendToDevice(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+// Tell the device what was wrong with its message; the message is dropped, the connection stays
+function protocolError(ws, err, message) {
+  const reply = protocol.error(err, message);
+  console.warn(`✗ Message from ${ws.deviceId} refused (${reply.code}): ${reply.message}`);
+  const dev = devices[ws.deviceId];
+  if (dev) {
+    dev.protocolErrors = (dev.protocolErrors || 0) + 1;
+    dev.lastProtocolError = { code: reply.code, message: reply.message, field: reply.field, at: Date.now() };
+  }
+  sendToDevice(ws, reply);
+}
+
+function handleHello(ws, hello) {
+  const result = deviceRegistry.authenticate(hello, ws.nonce, config.deviceAuth);
+  if (!result.ok) {
+    rejectDevice(ws, result.reason, result.message, { deviceId: hello.deviceId, address: ws.address });
+    return;
+  }
+  if (result.registered) console.log(`✓ Device ${hello.deviceId} registered with the shared secret`);
+  if (!acceptDevice(ws, hello.deviceId, true)) return;
+  const dev = devices[hello.deviceId];
+  // a table pinned in the registry wins over what the device says
+  dev.tableId = result.entry.tableId || hello.tableId || dev.tableId;
+  if (hello.firmware) dev.firmware = hello.firmware;
+  deviceRegistry.seen(hello.deviceId, ws.address);
+  sendToDevice(ws, protocol.welcome(hello.deviceId, dev.tableId));
+}
+
+// Bind a connection to a device id unless another live connection already has it
+function acceptDevice(ws, deviceId, authenticated) {
+  const existing = devices[deviceId] && devices[deviceId].ws;
+  if (existing && existing !== ws && existing.readyState === WebSocket.OPEN) {
+    rejectDevice(ws, 'duplicate', `Device ${deviceId} is already connected`, { deviceId, address: ws.address, connectedFrom: existing.address });
+    return false;
+  }
+  ws.deviceId = deviceId;
+  ws.authenticated = authenticated;
+  devices[deviceId] = devices[deviceId] || {};
+  devices[deviceId].ws = ws;
+  devices[deviceId].authenticated = authenticated;
+  console.log(`✓ Device ${deviceId} ${authenticated ? 'authenticated' : 'connected without authentication'} from ${ws.address}`);
+  return true;
+}
+
+// Any valid message shows the device is alive
+function markSeen(deviceId) {
+  devices[deviceId].lastSeen = Date.now();
+  incidentManager.deviceOnline(deviceId);
+}
+
+// Latest numbered reading handled per device, { seq, timestamp }. A device numbers and sends its
+// readings in order (device_client.js), so one at or below the mark is a resend; after a restart the
+// device numbers from 0 again, but with later timestamps. Registered devices keep their mark in the
+// registry, so resends are still recognised after the app restarts.
+const readingMarks = new Map(); // deviceId -> { seq, timestamp }
+
+function alreadyHandled(deviceId, { seq, timestamp }) {
+  if (seq === undefined || timestamp === undefined) return false;
+  const entry = deviceRegistry.get(deviceId);
+  const mark = readingMarks.get(deviceId) || (entry && entry.lastReading);
+  if (mark && seq <= mark.seq && timestamp <= mark.timestamp) return true;
+  readingMarks.set(deviceId, { seq, timestamp });
+  deviceRegistry.markReading(deviceId, { seq, timestamp });
+  return false;
+}
+
+// A reading from an accepted connection; the id comes from the handshake, not the message
+function handleReading(ws, reading) {
+  const deviceId = ws.deviceId;
+  const { audioFeatures, soundType, truthLabel, timestamp, backfill } = reading;
+  if (reading.deviceId && reading.deviceId !== deviceId) {
+    protocolError(ws, new protocol.ProtocolError('invalid_field', `deviceId does not match this connection (${deviceId})`, 'deviceId'), reading);
+    return;
+  }
+  const dev = devices[deviceId];
+  markSeen(deviceId);
+  // resent because the ack got lost: the device only needs the ack
+  if (alreadyHandled(deviceId, reading)) {
+    sendToDevice(ws, protocol.ack(reading));
+    return;
+  }
+  const entry = deviceRegistry.get(deviceId);
+  dev.tableId = (entry && entry.tableId) || reading.tableId || dev.tableId;
+  const tableId = dev.tableId;
+  // everything from here on works with the calibrated level; the guided calibration needs the raw one
+  const noiseLevel = applyCalibration(reading.noiseLevel, entry && entry.calibration);
+  const calibrating = !backfill && calibrationManager.reading(deviceId, reading.noiseLevel);
+
+  // Classify sound using TensorFlow or fallback to provided soundType
+  let classifiedSoundType = soundType || 'unknown';
+  let classification = null;
+  if (soundClassifier && audioFeatures) {
+    classification = soundClassifier.classify({
+      noiseLevel,
+      ...audioFeatures
+    });
+    classifiedSoundType = classification.soundType;
+  }
+
+  // Limit in force for this table (zone/table rules and schedules): now, or when a backfilled reading was taken
+  const limit = effectiveThreshold(config, tableId, backfill && timestamp ? timestamp : Date.now());
+
+  // What the renderer and the history get, with the classified sound type
+  const dataToSend = {
+    deviceId,
+    tableId,
+    noiseLevel,
+    soundType: classifiedSoundType,
+    threshold: limit.threshold,
+    thresholdSource: limit.source,
+    timestamp: timestamp || Date.now()
+  };
+  // device-reported types carry no confidence
+  if (classification) {
+    Object.assign(dataToSend, {
+      soundConfidence: classification.confidence,
+      soundGuess: classification.bestGuess,
+      soundScores: classification.scores
+    });
+  }
+  if (historyStore) {
+    const { soundScores, soundGuess, ...record } = dataToSend;
+    const raw = noiseLevel !== reading.noiseLevel ? reading.noiseLevel : undefined;
+    historyStore.recordReading({ ...record, rawNoiseLevel: raw, audioFeatures, truthLabel, backfill, calibrating: calibrating || undefined });
+  }
+
+  // Taken while the device was offline: it fills the history, but it's too late to show or alert on
+  if (backfill) {
+    if (!ws.backfilling) console.log(`✓ ${deviceId} is uploading readings taken while offline`);
+    ws.backfilling = true;
+    dev.backfilled = (dev.backfilled || 0) + 1;
+    if (reading.seq !== undefined) sendToDevice(ws, protocol.ack(reading));
+    return;
+  }
+
+  dev.lastNoise = noiseLevel;
+  if (classification) {
+    dev.lastSoundType = classifiedSoundType;
+    dev.classification = classification;
+    // kept so staff can correct the label of what they just heard
+    dev.lastFeatures = { ...soundClassifier.completeFeatures({ noiseLevel, ...audioFeatures }), at: timestamp || Date.now() };
+  } else if (soundType) {
+    dev.lastSoundType = soundType;
+  }
+  if (mainWindow) mainWindow.webContents.send('device-data', dataToSend);
+
+  // a reference tone played for calibration is no reason to alert, nor a sign of a faulty sensor
+  if (calibrating) {
+    if (reading.seq !== undefined) sendToDevice(ws, protocol.ack(reading));
+    return;
+  }
+
+  // Sustained noise above threshold -> noise_exceed incident
+  incidentManager.noiseReading({
+    deviceId,
+    tableId,
+    zone: limit.zone,
+    noiseLevel,
+    threshold: limit.threshold,
+    soundType: classifiedSoundType
+  });
+
+  checkForMismatch(deviceId);
+  checkHealth(deviceId, noiseLevel);
+  // readings are acknowledged only when the device numbers them
+  if (reading.seq !== undefined) sendToDevice(ws, protocol.ack(reading));
+}
+
+// Keeps a quiet device from going OFFLINE between readings
+function handleHeartbeat(ws, heartbeat) {
+  markSeen(ws.deviceId);
+  if (heartbeat.uptimeMs !== undefined) devices[ws.deviceId].uptimeMs = heartbeat.uptimeMs;
+  sendToDevice(ws, protocol.ack(heartbeat));
+}
+
+// Battery, signal and microphone state, shown on the device card
+function handleStatus(ws, status) {
+  const dev = devices[ws.deviceId];
+  markSeen(ws.deviceId);
+  const { type, v, seq, ...fields } = status;
+  dev.status = { ...dev.status, ...fields, at: Date.now() };
+  if (fields.firmware) dev.firmware = fields.firmware;
+  if (mainWindow) mainWindow.webContents.send('device-status', { deviceId: ws.deviceId, tableId: dev.tableId, status: dev.status });
+  sendToDevice(ws, protocol.ack(status));
+}
+
+// Progress of a command sent from the dashboard
+function handleCommandAck(ws, ack) {
+  markSeen(ws.deviceId);
+  if (!commandManager.acknowledge(ws.deviceId, ack)) {
+    protocolError(ws, new protocol.ProtocolError('unexpected', `No pending command with id ${ack.id}`, 'id'), ack);
+  }
+}
+
+// Format of the binary audio frames that follow on this connection
+function handleAudioFormat(ws, format) {
+  markSeen(ws.deviceId);
+  ws.audioFormat = { sampleRate: format.sampleRate, encoding: format.encoding, channels: format.channels || 1, truthLabel: format.truthLabel };
+  devices[ws.deviceId].audioFormat = ws.audioFormat;
+  sendToDevice(ws, protocol.ack(format));
+}
+
+// Raw audio: compute the reading here, then handle it exactly like one the device computed itself
+function handleAudioFrame(ws, data) {
+  try {
+    protocol.checkAudioFrame(data, ws.audioFormat);
   } catch (err) {
-    console.error('✗ Failed to start WebSocket server:', err.message);
-    process.exit(1);
+    if (!(err instanceof protocol.ProtocolError)) return dropConnection(ws, err);
+    protocolError(ws, err, { type: 'audio' });
+    return;
+  }
+  const entry = deviceRegistry.get(ws.deviceId);
+  const splOffsetDb = entry && typeof entry.splOffsetDb === 'number' ? entry.splOffsetDb : config.audio.splOffsetDb;
+  const { noiseLevel, audioFeatures } = extractFeatures(decodePcm(data, ws.audioFormat), ws.audioFormat.sampleRate, { splOffsetDb });
+  try {
+    const { truthLabel } = ws.audioFormat;
+    handleReading(ws, { type: 'reading', v: protocol.PROTOCOL_VERSION, noiseLevel, audioFeatures, truthLabel, timestamp: Date.now() });
+  } catch (e) {
+    console.error(`✗ Failed to handle audio from ${ws.deviceId}:`, e.message);
+  }
+}
+
+const MESSAGE_HANDLERS = {
+  reading: handleReading,
+  heartbeat: handleHeartbeat,
+  status: handleStatus,
+  command_ack: handleCommandAck,
+  audio_format: handleAudioFormat
+};
+
+// Close the server and listen again on the configured port
+async function restartWebSocketServer() {
+  const old = wss;
+  if (old) {
+    old.clients.forEach((client) => client.terminate());
+    await new Promise((resolve) => old.close(() => resolve()));
   }
+  await startWebSocketServer();
+  if (mainWindow) mainWindow.webContents.send('server-info', serverInfo());
+}
+
+// Periodic cleanup + inactivity detection
+function startDeviceMonitor() {
+  clearInterval(monitorTimer);
+  monitorTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [id, dev] of Object.entries(devices)) {
+      if (!dev.lastSeen) continue;
+      if (now - dev.lastSeen > config.devices.inactivityMs) {
+        incidentManager.deviceOffline({ deviceId: id, tableId: dev.tableId, lastSeen: dev.lastSeen }, now);
+      }
+    }
+
+    // ping clients to keep connections alive
+    if (!wss) return;
+    wss.clients.forEach((client) => {
+      if (!client.isAlive) return client.terminate();
+      client.isAlive = false;
+      client.ping();
+    });
+  }, config.server.pingIntervalMs);
 }
 
 function checkForMismatch(triggeringDeviceId) {
@@ -259,21 +938,345 @@ function checkForMismatch(triggeringDeviceId) {
   const triggeredNoise = triggering.lastNoise || 0;
   // if noise high on triggering device but other devices on same table have low noise, raise possible malfunction
   const otherDevices = Object.entries(devices).filter(([id, d]) => id !== triggeringDeviceId && d.tableId === table);
-  if (otherDevices.length === 0) return; // no peers to compare
-  const peersLow = otherDevices.every(([id, d]) => (d.lastNoise || 0) < (NOISE_THRESHOLD - 10));
-  if (triggeredNoise >= NOISE_THRESHOLD && peersLow) {
-    const alert = {
-      type: 'possible_sensor_issue',
-      deviceId: triggeringDeviceId,
-      tableId: table,
-      noiseLevel: triggeredNoise,
-      peers: otherDevices.map(([id, d]) => ({ deviceId: id, noise: d.lastNoise || 0 }))
+  const { threshold } = effectiveThreshold(config, table);
+  // with no peers to compare there is nothing to suspect
+  const peersLow = otherDevices.length > 0 && otherDevices.every(([id, d]) => (d.lastNoise || 0) < (threshold - config.alerts.peerMarginDb));
+  incidentManager.sensorCheck({
+    deviceId: triggeringDeviceId,
+    tableId: table,
+    suspect: triggeredNoise >= threshold && peersLow,
+    noiseLevel: triggeredNoise,
+    peers: otherDevices.map(([id, d]) => ({ deviceId: id, noise: d.lastNoise || 0 }))
+  });
+}
+
+// Rolling statistics against the table's peers and the device's own history (sensor_health.js);
+// the device card hears about it when the score or its reasons change
+function checkHealth(deviceId, noiseLevel, now = Date.now()) {
+  const dev = devices[deviceId];
+  const peers = Object.entries(devices)
+    .filter(([id, d]) => id !== deviceId && d.tableId === dev.tableId && typeof d.lastNoise === 'number' && now - d.lastSeen <= config.devices.inactivityMs)
+    .map(([, d]) => d.lastNoise);
+  sensorHealth.record({ deviceId, tableId: dev.tableId, noiseLevel, peers }, now);
+  const health = sensorHealth.evaluate(deviceId, now);
+  const codes = (h) => h.reasons.map((r) => r.code).join();
+  const changed = !dev.health || dev.health.score !== health.score || codes(dev.health) !== codes(health);
+  dev.health = health;
+  if (changed && mainWindow) mainWindow.webContents.send('device-health', { deviceId, tableId: dev.tableId, health });
+  if (health.score === null) return;
+  incidentManager.healthCheck({ deviceId, tableId: dev.tableId, noiseLevel, score: health.score, reasons: health.reasons, unhealthy: health.score < config.health.alertBelow }, now);
+}
+
+// ---- Authentication IPC ----
+
+ipcMain.handle('auth-status', (event) => ({
+  needsSetup: authManager.needsSetup(),
+  session: authManager.session(event.sender.id)
+}));
+
+ipcMain.handle('auth-setup', async (event, { username, password } = {}) => {
+  await authManager.setup({ username, password });
+  console.log(`✓ Administrator account "${username}" created`);
+  return authManager.login(event.sender.id, { username, password });
+});
+
+ipcMain.handle('auth-login', async (event, credentials) => {
+  const session = await authManager.login(event.sender.id, credentials);
+  console.log(`✓ ${session.username} logged in`);
+  return session;
+});
+
+ipcMain.handle('auth-logout', (event) => authManager.logout(event.sender.id));
+
+// keyboard/mouse activity in the window keeps the session from going idle
+ipcMain.handle('auth-activity', (event) => Boolean(authManager.touch(event.sender.id)));
+
+ipcMain.handle('users-list', permitted('users:manage', () => authManager.listUsers()));
+ipcMain.handle('users-add', permitted('users:manage', (event, user) => authManager.addUser(user)));
+ipcMain.handle('users-update', permitted('users:manage', (event, changes) => authManager.updateUser(changes)));
+ipcMain.handle('users-reset-password', permitted('users:manage', (event, reset) => authManager.resetPassword(reset)));
+
+// allow renderer to query current devices
+ipcMain.handle('query-devices', permitted('dashboard:view', () => {
+  // the socket itself can't cross IPC
+  const snapshot = {};
+  for (const [id, { ws, ...dev }] of Object.entries(devices)) snapshot[id] = dev;
+  return { devices: snapshot, NOISE_THRESHOLD: config.alerts.noiseThreshold };
+}));
+
+ipcMain.handle('get-config', permitted('dashboard:view', () => rendererConfig()));
+
+// open incidents plus recently resolved ones, e.g. to rebuild the alerts list after a reload
+ipcMain.handle('query-incidents', permitted('dashboard:view', () => incidentManager ? incidentManager.list() : []));
+
+// staff handling: { id, action: 'acknowledge'|'assign'|'note'|'resolve', assignee, note }, done as the logged-in user
+ipcMain.handle('incident-action', permitted('incidents:act', (event, { id, action, assignee, note } = {}, session) => {
+  return incidentManager.act(id, { action, user: session.username, assignee, note });
+}));
+
+ipcMain.handle('query-mutes', permitted('dashboard:view', () => incidentManager.listMutes()));
+
+// silence noise alerts for a table: { tableId, minutes } (minutes default to alerts.muteMinutes)
+ipcMain.handle('mute-table', permitted('tables:mute', (event, { tableId, minutes } = {}, session) => {
+  const duration = Math.min(Math.max(Number(minutes) || config.alerts.muteMinutes, 1), 480);
+  return incidentManager.muteTable(tableId, { until: Date.now() + duration * 60 * 1000, user: session.username });
+}));
+
+ipcMain.handle('unmute-table', permitted('tables:mute', (event, { tableId } = {}, session) => {
+  return incidentManager.unmuteTable(tableId, session.username);
+}));
+
+// edit thresholds and zones from the app: { noiseThreshold, schedules, zones, tables } (all optional)
+ipcMain.handle('update-thresholds', permitted('settings:edit', (event, changes = {}, session) => {
+  configStore.update((raw) => {
+    const alerts = { ...raw.alerts };
+    if (changes.noiseThreshold !== undefined) alerts.noiseThreshold = changes.noiseThreshold;
+    if (changes.schedules !== undefined) alerts.schedules = changes.schedules;
+    return {
+      ...raw,
+      alerts,
+      zones: changes.zones !== undefined ? changes.zones : raw.zones,
+      tables: changes.tables !== undefined ? changes.tables : raw.tables
     };
-    if (mainWindow) mainWindow.webContents.send('alert', alert);
+  });
+  console.log(`✓ Thresholds updated by ${session.username}`);
+  return rendererConfig();
+}));
+
+// ---- Device registry IPC (devices:manage) ----
+
+ipcMain.handle('registry-list', permitted('devices:manage', () => deviceRegistry.list().map((entry) => ({
+  ...entry,
+  connected: Boolean(devices[entry.deviceId] && devices[entry.deviceId].ws),
+  rawAudio: Boolean(devices[entry.deviceId] && devices[entry.deviceId].audioFormat)
+}))));
+
+// register { deviceId, tableId }; the returned secret is shown once to be copied to the device
+ipcMain.handle('registry-add', permitted('devices:manage', (event, device = {}, session) => {
+  const entry = deviceRegistry.add({ deviceId: device.deviceId, tableId: device.tableId, ownSecret: true });
+  console.log(`✓ Device ${entry.deviceId} registered by ${session.username}`);
+  return entry;
+}));
+
+ipcMain.handle('registry-revoke', permitted('devices:manage', (event, { deviceId, revoked = true } = {}, session) => {
+  const entry = deviceRegistry.setRevoked(deviceId, revoked);
+  console.log(`✓ Device ${deviceId} ${revoked ? 'revoked' : 'restored'} by ${session.username}`);
+  if (revoked) disconnectDevice(deviceId, 'revoked', 'Device has been revoked');
+  return entry;
+}));
+
+ipcMain.handle('registry-rotate', permitted('devices:manage', (event, { deviceId } = {}, session) => {
+  const entry = deviceRegistry.rotateSecret(deviceId);
+  console.log(`✓ New secret issued for ${deviceId} by ${session.username}`);
+  disconnectDevice(deviceId, 'auth_failed', 'Device secret was replaced');
+  return entry;
+}));
+
+// { deviceId, splOffsetDb } microphone calibration for raw-audio devices; null goes back to audio.splOffsetDb
+ipcMain.handle('registry-calibrate', permitted('devices:manage', (event, { deviceId, splOffsetDb = null } = {}, session) => {
+  const entry = deviceRegistry.setSplOffset(deviceId, splOffsetDb);
+  console.log(`✓ Microphone offset of ${deviceId} set to ${splOffsetDb === null ? 'the default' : `${splOffsetDb} dB`} by ${session.username}`);
+  return entry;
+}));
+
+// ---- Calibration IPC (devices:manage) ----
+
+// { deviceId, offsetDb, gain } entered by hand; null offsetDb removes the calibration
+ipcMain.handle('device-calibration-set', permitted('devices:manage', (event, { deviceId, offsetDb = null, gain = 1 } = {}, session) => {
+  return setCalibration(deviceId, offsetDb === null ? null : { offsetDb, gain, method: 'manual' }, session.username);
+}));
+
+// guided calibration of every connected device at a table: { tableId, method: 'reference'|'baseline', referenceDb };
+// progress arrives as 'calibration' events
+ipcMain.handle('calibration-start', permitted('devices:manage', (event, { tableId, method, referenceDb = null } = {}, session) => {
+  // the calibration is kept in the registry, so devices on the legacy path can't get one
+  const deviceIds = Object.entries(devices)
+    .filter(([id, dev]) => dev.tableId === tableId && dev.ws && dev.ws.readyState === WebSocket.OPEN && deviceRegistry.get(id))
+    .map(([id]) => id);
+  const started = calibrationManager.start({ tableId, method, referenceDb, deviceIds, user: session.username });
+  console.log(`✓ Calibration of ${tableId} (${method}${referenceDb === null ? '' : ` at ${referenceDb} dB`}) started by ${session.username}: ${deviceIds.join(', ')}`);
+  return started;
+}));
+
+// stores the proposals first; a device removed from the registry while it was measured is skipped
+ipcMain.handle('calibration-apply', permitted('devices:manage', (event, { id } = {}, session) => {
+  const ready = calibrationManager.ready(id);
+  const proposals = ready.results.filter((r) => r.proposed);
+  const skipped = Object.fromEntries(proposals
+    .filter((r) => !deviceRegistry.get(r.deviceId))
+    .map((r) => [r.deviceId, 'no longer registered, not applied']));
+  for (const result of proposals.filter((r) => !skipped[r.deviceId])) {
+    setCalibration(result.deviceId, { ...result.proposed, method: ready.method, referenceDb: ready.referenceDb }, session.username, {
+      sessionId: ready.id,
+      measuredDb: result.measuredDb,
+      targetDb: ready.targetDb
+    });
   }
+  const applied = calibrationManager.apply(id, session.username, skipped);
+  if (Object.keys(skipped).length) console.log(`⚠ Calibration ${id}: ${Object.keys(skipped).join(', ')} no longer registered, not applied`);
+  return applied;
+}));
+
+ipcMain.handle('calibration-cancel', permitted('devices:manage', (event, { id } = {}, session) => calibrationManager.cancel(id, session.username)));
+
+ipcMain.handle('calibration-sessions', permitted('devices:manage', () => calibrationManager.list()));
+
+// who calibrated which device when, newest first: { deviceId?, days = 90 }; the registry keeps each device's current one
+ipcMain.handle('calibration-history', permitted('devices:manage', async (event, { deviceId, days = 90 } = {}) => {
+  if (!historyStore) throw new Error('History store is not available');
+  const { records } = await historyStore.query({ kind: 'alerts', type: 'calibration', deviceId, from: Date.now() - days * 24 * 60 * 60 * 1000 });
+  return records.reverse();
+}));
+
+ipcMain.handle('registry-remove', permitted('devices:manage', (event, { deviceId } = {}, session) => {
+  deviceRegistry.remove(deviceId);
+  readingMarks.delete(deviceId);
+  console.log(`✓ Device ${deviceId} removed from the registry by ${session.username}`);
+  disconnectDevice(deviceId, 'unknown_device', 'Device is no longer registered');
+  return true;
+}));
+
+// Drop a device's live connection after its credentials changed
+function disconnectDevice(deviceId, code, message) {
+  const ws = devices[deviceId] && devices[deviceId].ws;
+  if (!ws) return;
+  sendToDevice(ws, protocol.error({ code, message }));
+  ws.close(CLOSE_CODES[code], code);
 }
 
-// allow renderer to query current devices
-ipcMain.handle('query-devices', () => {
-  return { devices, NOISE_THRESHOLD };
-});
+// drop an offline device from the dashboard; it comes back if it reports again
+ipcMain.handle('forget-device', permitted('devices:manage', (event, { deviceId } = {}, session) => {
+  const dev = devices[deviceId];
+  if (!dev) throw new Error(`Unknown device: ${deviceId}`);
+  if (dev.ws && dev.ws.readyState === WebSocket.OPEN) throw new Error('Device is still connected');
+  delete devices[deviceId];
+  // it may come back numbering from 0 again, which the old mark would take for resends
+  readingMarks.delete(deviceId);
+  deviceRegistry.forgetReadings(deviceId);
+  sensorHealth.forget(deviceId);
+  commandManager.forget(deviceId);
+  // nobody needs to chase its offline alert any more
+  const offline = incidentManager.activeIncident('device_offline', deviceId);
+  if (offline) incidentManager.resolve(offline, Date.now(), `device removed by ${session.username}`);
+  console.log(`✓ Device ${deviceId} removed by ${session.username}`);
+  return true;
+}));
+
+// { deviceId, command: 'warn'|'identify'|'set_interval'|'calibrate', params }; progress arrives as 'device-command' events
+ipcMain.handle('device-command', permitted('devices:command', (event, { deviceId, command, params } = {}, session) => {
+  if (!devices[deviceId]) throw new Error(`Unknown device: ${deviceId}`);
+  return commandManager.issue(deviceId, command, params, session.username);
+}));
+
+ipcMain.handle('query-device-commands', permitted('dashboard:view', () => commandManager.list()));
+
+// { deviceId, label }: the device's latest classified reading was really `label`; stored for retraining
+ipcMain.handle('label-sound', permitted('sounds:label', (event, { deviceId, label } = {}, session) => {
+  const dev = devices[deviceId];
+  if (!dev) throw new Error(`Unknown device: ${deviceId}`);
+  if (!dev.lastFeatures) throw new Error(`No audio features from ${deviceId} yet`);
+  if (!soundClassifier.labels.includes(label)) throw new Error(`Unknown sound label: ${label}`);
+  const { at, ...features } = dev.lastFeatures;
+  soundSamples.add({
+    features,
+    label,
+    predicted: dev.classification && dev.classification.bestGuess,
+    deviceId,
+    tableId: dev.tableId,
+    readingAt: at,
+    labeledBy: session.username
+  });
+  console.log(`✓ Sound at ${deviceId} labeled "${label}" by ${session.username}`);
+  return { label, samples: soundSamples.list().length };
+}));
+
+function classifierStatus() {
+  const samples = soundSamples.list();
+  return {
+    labels: soundClassifier.labels,
+    samples: samples.length,
+    counts: soundSamples.counts(samples),
+    model: soundClassifier.modelInfo,
+    candidate: soundClassifier.candidate ? soundClassifier.candidate.report : null,
+    training: soundClassifier.training
+  };
+}
+
+ipcMain.handle('classifier-status', permitted('classifier:train', () => classifierStatus()));
+
+// train a candidate model on the labeled samples; it replaces the current one only on classifier-adopt
+ipcMain.handle('classifier-train', permitted('classifier:train', async (event, payload, session) => {
+  console.log(`✓ Classifier retraining started by ${session.username}`);
+  const report = await soundClassifier.train(soundSamples.list());
+  console.log(`✓ Classifier retrained: ${Math.round(report.accuracy * 100)}% on ${report.heldOut} held-out samples` +
+    (report.currentAccuracy === null ? '' : ` (current model ${Math.round(report.currentAccuracy * 100)}%)`));
+  return classifierStatus();
+}));
+
+ipcMain.handle('classifier-adopt', permitted('classifier:train', async (event, payload, session) => {
+  await soundClassifier.adopt();
+  console.log(`✓ Retrained classifier put in use and saved by ${session.username}`);
+  return classifierStatus();
+}));
+
+ipcMain.handle('classifier-discard', permitted('classifier:train', () => {
+  soundClassifier.discard();
+  return classifierStatus();
+}));
+
+// incidents opened in { from, to } with everything staff did about them, rebuilt from history
+ipcMain.handle('query-incident-log', permitted('history:view', async (event, { from, to, tableId, deviceId } = {}) => {
+  if (!historyStore) throw new Error('History store is not available');
+  const { records } = await historyStore.query({ kind: 'alerts', from, to: Date.now(), tableId, deviceId });
+  const start = Number(from) || 0;
+  const end = Number(to) || Date.now();
+  return IncidentManager.foldIncidentEvents(records)
+    .filter((incident) => incident.openedAt >= start && incident.openedAt <= end)
+    .sort((a, b) => b.openedAt - a.openedAt);
+}));
+
+// query stored readings/alerts, e.g. { kind: 'readings', tableId: 'Table-A', from, to, bucketMs }
+ipcMain.handle('query-history', permitted('history:view', (event, query) => {
+  if (!historyStore) throw new Error('History store is not available');
+  return historyStore.query(query || {});
+}));
+
+// build a noise report for { from, to } and save it as CSV or PDF
+ipcMain.handle('export-report', permitted('history:export', async (event, { from, to, format = 'csv' } = {}) => {
+  if (!historyStore) throw new Error('History store is not available');
+  if (!['csv', 'pdf'].includes(format)) throw new Error(`Unsupported report format: ${format}`);
+  const report = await buildReport(historyStore, {
+    from,
+    to,
+    threshold: config.alerts.noiseThreshold,
+    thresholdFor: (tableId, ts) => effectiveThreshold(config, tableId, ts).threshold
+  });
+
+  const day = (ts) => new Date(ts).toISOString().slice(0, 10);
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export noise report',
+    defaultPath: `noise-report_${day(report.from)}_${day(report.to)}.${format}`,
+    filters: format === 'pdf' ? [{ name: 'PDF', extensions: ['pdf'] }] : [{ name: 'CSV', extensions: ['csv'] }]
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  if (format === 'csv') {
+    // BOM so Excel picks up UTF-8 (dashes, emoji in sound labels)
+    fs.writeFileSync(filePath, '\ufeff' + toCsv(report));
+  } else {
+    fs.writeFileSync(filePath, await renderPdf(toHtml(report)));
+  }
+  console.log(`✓ Report exported to ${filePath}`);
+  return { filePath, totals: report.totals };
+}));
+
+// Render self-contained HTML to PDF in a hidden window (no network needed)
+async function renderPdf(html) {
+  const win = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+  try {
+    await win.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+    return await win.webContents.printToPDF({ pageSize: 'A4', printBackground: true, margins: { marginType: 'default' } });
+  } finally {
+    win.destroy();
+  }
+}
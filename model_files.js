@@ -0,0 +1,70 @@
+/**
+ * file:// model storage for TensorFlow.js without the native tfjs-node package
+ * Registers save/load routers so model.save('file:///dir') and tf.loadLayersModel('file:///dir/model.json')
+ * work in the main process. The layout matches tfjs-node: <dir>/model.json and <dir>/weights.bin.
+ * If tfjs-node is installed its own handlers are used instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+
+const SCHEME = 'file://';
+const MODEL_FILE = 'model.json';
+const WEIGHTS_FILE = 'weights.bin';
+
+function toPath(url) {
+  return path.resolve(url.slice(SCHEME.length));
+}
+
+function saveHandler(dir) {
+  return {
+    async save(artifacts) {
+      const weights = Buffer.from(tf.io.CompositeArrayBuffer.join(artifacts.weightData));
+      const { weightData, weightSpecs, ...rest } = artifacts;
+      fs.mkdirSync(dir, { recursive: true });
+      // weights first, so a model.json on disk always has its weights next to it
+      const tmp = path.join(dir, `${MODEL_FILE}.tmp`);
+      fs.writeFileSync(path.join(dir, WEIGHTS_FILE), weights);
+      fs.writeFileSync(tmp, JSON.stringify({ ...rest, weightsManifest: [{ paths: [WEIGHTS_FILE], weights: weightSpecs }] }));
+      fs.renameSync(tmp, path.join(dir, MODEL_FILE));
+      return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+    }
+  };
+}
+
+function loadHandler(file) {
+  return {
+    async load() {
+      const { weightsManifest, ...rest } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const dir = path.dirname(file);
+      const weightSpecs = weightsManifest.flatMap((group) => group.weights);
+      const buffers = weightsManifest.flatMap((group) => group.paths.map((p) => fs.readFileSync(path.join(dir, p))));
+      const joined = Buffer.concat(buffers);
+      return { ...rest, weightSpecs, weightData: joined.buffer.slice(joined.byteOffset, joined.byteOffset + joined.byteLength) };
+    }
+  };
+}
+
+function register() {
+  if (tf.io.getSaveHandlers(`${SCHEME}/`).length) return; // tfjs-node already handles file://
+  tf.io.registerSaveRouter((url) => (typeof url === 'string' && url.startsWith(SCHEME) ? saveHandler(toPath(url)) : null));
+  tf.io.registerLoadRouter((url) => {
+    if (typeof url !== 'string' || !url.startsWith(SCHEME)) return null;
+    const target = toPath(url);
+    return loadHandler(target.endsWith('.json') ? target : path.join(target, MODEL_FILE));
+  });
+}
+
+// file:// URL for a model directory, and whether a saved model is there
+function modelUrl(dir) {
+  return `${SCHEME}${path.resolve(dir)}`;
+}
+
+function hasSavedModel(dir) {
+  return fs.existsSync(path.join(dir, MODEL_FILE));
+}
+
+register();
+
+module.exports = { modelUrl, hasSavedModel, MODEL_FILE };
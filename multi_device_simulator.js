@@ -1,117 +1,186 @@
 #!/usr/bin/env node
 /**
  * Multi-device simulator - Generates realistic sound data for multiple tables
- * Usage: node multi_device_simulator.js [numDevices] [serverUrl]
+ * Usage: node multi_device_simulator.js [numDevices|scenario.json] [serverUrl] [--speed N] [--fault [deviceId=]fault ...]
  * Example: node multi_device_simulator.js 6 ws://localhost:8080
+ *          node multi_device_simulator.js scenarios/weekday_morning.json --speed 5
+ *          node multi_device_simulator.js 4 --fault device_A2=stuck:value=85 --fault device_B1=flapping
+ * With a number, that many devices sit two to a table and pick sounds at random. With a scenario
+ * (see scenario.js) the layout, the sounds and the timeline come from the file, and --speed runs the
+ * scenario clock N times faster than real time. --fault gives a device a fault for the whole run (every
+ * device without deviceId=); see sim_faults.js for the faults and their params.
+ * Devices keep measuring while disconnected and reconnect by themselves, uploading what they buffered
+ * meanwhile (device_client.js); an offline event in a scenario is such a network outage.
  */
 
-const WebSocket = require('ws');
+const DeviceClient = require('./device_client');
+const { deviceSecret } = require('./device_auth');
+const { PROTOCOL_VERSION } = require('./protocol');
+const { SOUND_PROFILES, createRng, deviceIdsFor, describeEvent, formatClock, loadScenario, stateAt } = require('./scenario');
+const { FaultInjector, describeFault, parseFault } = require('./sim_faults');
 
-const numDevices = parseInt(process.argv[2]) || 2;
-const serverUrl = process.argv[3] || 'ws://localhost:8080';
+const args = [];
+let speed = 1;
+const cliFaults = []; // [{ deviceId (null = all), spec }]
+for (let i = 2; i < process.argv.length; i++) {
+  const arg = process.argv[i];
+  if (arg === '--speed') speed = Number(process.argv[++i]);
+  else if (arg === '--fault') {
+    // "A2=stuck:value=85" is for A2, "stuck:value=85" for everyone
+    const spec = process.argv[++i] || '';
+    const m = spec.match(/^([^:=]+)=(.+)$/);
+    cliFaults.push(m ? { deviceId: m[1], spec: m[2] } : { deviceId: null, spec });
+  } else args.push(arg);
+}
+const scenarioFile = args[0] && !/^\d+$/.test(args[0]) ? args[0] : null;
+const numDevices = scenarioFile ? 0 : parseInt(args[0]) || 2;
+const serverUrl = args[1] || process.env.WS_URL || 'ws://localhost:8080';
+// DEVICE_SECRET env var, else the shared secret in config.json
+const secret = deviceSecret();
 
-// Define table layout and devices
-const tables = [
-  { name: 'Table-A', devices: ['device_A1', 'device_A2'] }
-];
+if (!(speed > 0)) {
+  console.error('✗ --speed must be above 0');
+  process.exit(1);
+}
+for (const { spec } of cliFaults) {
+  try {
+    parseFault(spec);
+  } catch (err) {
+    console.error(`✗ --fault ${spec}: ${err.message}`);
+    process.exit(1);
+  }
+}
 
-const devices = [];
-tables.forEach(table => {
-  table.devices.forEach(deviceId => {
-    devices.push({ deviceId, tableId: table.name });
-  });
+// Without a scenario: two devices per table, Table-A, Table-B, ...
+const DEVICES_PER_TABLE = 2;
+const tables = Array.from({ length: Math.ceil(numDevices / DEVICES_PER_TABLE) }, (_, i) => {
+  const name = `Table-${String.fromCharCode(65 + (i % 26))}${i >= 26 ? Math.floor(i / 26) + 1 : ''}`;
+  const count = Math.min(DEVICES_PER_TABLE, numDevices - i * DEVICES_PER_TABLE);
+  return { name, devices: deviceIdsFor(name, count).map((id) => `device_${id}`) };
 });
 
-// Sound activity patterns with realistic characteristics
-const soundPatterns = {
-  speech: {
-    description: 'People talking',
-    noiseRange: [55, 75],
-    freqPattern: { low: 0.2, mid: 0.65, high: 0.15 },
-    volatility: 0.35,
-    probability: 0.25
-  },
-  music: {
-    description: 'Playing music/entertainment',
-    noiseRange: [65, 85],
-    freqPattern: { low: 0.3, mid: 0.4, high: 0.3 },
-    volatility: 0.5,
-    probability: 0.15
-  },
-  vehicle: {
-    description: 'Traffic noise',
-    noiseRange: [70, 90],
-    freqPattern: { low: 0.55, mid: 0.3, high: 0.15 },
-    volatility: 0.1,
-    probability: 0.05
-  },
-  typing: {
-    description: 'Keyboard/mouse clicking',
-    noiseRange: [45, 65],
-    freqPattern: { low: 0.1, mid: 0.3, high: 0.6 },
-    volatility: 0.7,
-    probability: 0.3
-  },
-  silence: {
-    description: 'Quiet/no activity',
-    noiseRange: [30, 45],
-    freqPattern: { low: 0.2, mid: 0.2, high: 0.2 },
-    volatility: 0.05,
-    probability: 0.25
-  }
-};
+// Feature profiles by sound (a scenario may add its own)
+const sounds = { ...SOUND_PROFILES };
+
+// How often each sound comes up when picked at random
+const randomMix = { speech: 0.25, music: 0.15, vehicle: 0.05, typing: 0.3, silence: 0.25 };
 
 class DeviceSimulator {
-  constructor(deviceId, tableId, serverUrl) {
+  /**
+   * @param {Object} options - { rng: () => 0..1, intervalMs, clock: () => time to log, activity: () => { sound, noiseDb? }
+   *   from a scenario; without one the device picks sounds at random }
+   */
+  constructor(deviceId, tableId, serverUrl, options = {}) {
     this.deviceId = deviceId;
     this.tableId = tableId;
     this.serverUrl = serverUrl;
-    this.ws = null;
-    this.connected = false;
+    this.client = new DeviceClient({ url: serverUrl, deviceId, tableId, secret, firmware: 'simulator' });
+    this.offline = false;
+    this.rng = options.rng || Math.random;
+    this.activity = options.activity || null;
+    this.clock = options.clock || (() => new Date().toLocaleTimeString());
+    this.faults = new FaultInjector({ rng: this.rng });
+    this.flapTimer = null;
     this.currentPattern = null;
     this.patternDuration = 0;
     this.patternTimer = 0;
+    // changed by the set_interval and calibrate commands
+    this.intervalMs = options.intervalMs || 2000 + Math.random() * 2000;
+    this.offsetDb = 0;
+    this.sendTimer = null;
+
+    this.client.on('connected', ({ backlog }) => {
+      console.log(`✓ ${this.deviceId} connected to ${this.serverUrl}${backlog ? `, uploading ${backlog} buffered reading(s)` : ''}`);
+      this.sendStatus();
+      this.scheduleFlap();
+    });
+    this.client.on('disconnected', ({ reason, retryInMs }) => {
+      console.log(`✗ ${this.deviceId} disconnected${reason ? ` (${reason})` : ''}, retrying in ${(retryInMs / 1000).toFixed(1)}s`);
+    });
+    this.client.on('command', (data) => this.handleCommand(data));
+    // after the welcome an error only drops the offending message
+    this.client.on('refused', (data) => {
+      console.error(`✗ ${this.deviceId} ${this.connected ? `${data.ref || 'message'} rejected` : 'refused'}: ${data.message} (${data.code})`);
+    });
+    this.client.on('overflow', () => {
+      if (this.client.dropped === 1) console.warn(`  ⚠ [${this.deviceId}] buffer full, dropping the oldest readings`);
+    });
   }
 
+  get connected() {
+    return this.client.connected;
+  }
+
+  /**
+   * Start measuring and connecting
+   * @returns {Promise} resolved once the server welcomes the device, rejected if the first attempt
+   *   fails (the client keeps retrying)
+   */
   connect() {
+    this.offline = false;
+    if (!this.sendTimer) this.startSending();
+    this.client.start();
     return new Promise((resolve, reject) => {
-      try {
-        this.ws = new WebSocket(this.serverUrl);
-
-        this.ws.on('open', () => {
-          this.connected = true;
-          console.log(`✓ ${this.deviceId} connected to ${this.serverUrl}`);
-          this.startSending();
-          resolve();
-        });
-
-        this.ws.on('close', () => {
-          this.connected = false;
-          console.log(`✗ ${this.deviceId} disconnected`);
-        });
-
-        this.ws.on('error', (err) => {
-          console.error(`✗ ${this.deviceId} error:`, err.message);
-          reject(err);
-        });
-      } catch (err) {
-        reject(err);
-      }
+      const onConnected = () => {
+        this.client.off('disconnected', onDisconnected);
+        resolve();
+      };
+      const onDisconnected = ({ reason }) => {
+        this.client.off('connected', onConnected);
+        reject(new Error(reason || 'connection closed'));
+      };
+      this.client.once('connected', onConnected);
+      this.client.once('disconnected', onDisconnected);
     });
   }
 
+  // A scripted network outage: the device keeps measuring into its buffer until connect() is called again
+  disconnect() {
+    this.offline = true;
+    clearTimeout(this.flapTimer);
+    this.client.stop();
+    console.log(`✗ ${this.deviceId} disconnected`);
+  }
+
+  addFault(spec) {
+    const fault = this.faults.start(spec);
+    console.log(`  ⚠ [${this.deviceId}] fault: ${describeFault(fault)}`);
+    if (fault.type === 'flapping' && this.connected) this.scheduleFlap();
+    return fault;
+  }
+
+  removeFault(type) {
+    if (!this.faults.stop(type)) return;
+    console.log(`  ✓ [${this.deviceId}] fault cleared: ${type}`);
+    if (type === 'flapping') {
+      clearTimeout(this.flapTimer);
+      if (!this.offline) this.client.start();
+    }
+  }
+
+  // While flapping, the connection drops after upSec and comes back downSec later
+  scheduleFlap() {
+    clearTimeout(this.flapTimer);
+    const flapping = this.faults.get('flapping');
+    if (!flapping || this.offline) return;
+    this.flapTimer = setTimeout(() => {
+      console.log(`  ⚡ [${this.deviceId}] connection drops (flapping)`);
+      this.client.stop();
+      this.flapTimer = setTimeout(() => {
+        if (!this.offline) this.client.start();
+      }, flapping.downSec * 1000);
+    }, flapping.upSec * 1000);
+  }
+
   selectPattern() {
-    const rand = Math.random();
+    const rand = this.rng();
     let cumulative = 0;
 
-    for (const [type, pattern] of Object.entries(soundPatterns)) {
-      cumulative += pattern.probability;
+    for (const [type, probability] of Object.entries(randomMix)) {
+      cumulative += probability;
       if (rand < cumulative) {
-        if (this.currentPattern !== type) {
-          // Pattern changed, log it
-        }
         this.currentPattern = type;
-        this.patternDuration = 5000 + Math.random() * 10000; // 5-15 seconds
+        this.patternDuration = 5000 + this.rng() * 10000; // 5-15 seconds
         this.patternTimer = 0;
         return;
       }
@@ -119,50 +188,91 @@ class DeviceSimulator {
 
     // Fallback to silence
     this.currentPattern = 'silence';
-    this.patternDuration = 3000 + Math.random() * 5000;
+    this.patternDuration = 3000 + this.rng() * 5000;
     this.patternTimer = 0;
   }
 
   generateAudioFeatures() {
-    if (!this.currentPattern || this.patternTimer > this.patternDuration) {
-      this.selectPattern();
-    }
-
-    const pattern = soundPatterns[this.currentPattern];
-    if (!pattern) {
-      console.error(`Pattern not found: ${this.currentPattern}`);
-      this.selectPattern();
-      return this.generateAudioFeatures();
+    let pattern;
+    let noiseRange;
+    if (this.activity) {
+      // scripted: the scenario says what this device hears right now
+      const { sound, noiseDb } = this.activity();
+      this.currentPattern = sound;
+      pattern = sounds[sound];
+      noiseRange = noiseDb || pattern.noiseRange;
+    } else {
+      if (!this.currentPattern || this.patternTimer > this.patternDuration) {
+        this.selectPattern();
+      }
+      pattern = sounds[this.currentPattern];
+      noiseRange = pattern.noiseRange;
+      this.patternTimer += 2500; // Fixed increment instead of random
     }
 
-    const noiseLevel = Math.round(
-      pattern.noiseRange[0] + Math.random() * (pattern.noiseRange[1] - pattern.noiseRange[0])
-    );
+    const noiseLevel = Math.round(noiseRange[0] + this.rng() * (noiseRange[1] - noiseRange[0]));
 
-    const addNoise = (val, intensity = 0.08) => 
-      Math.max(0, Math.min(1, val + (Math.random() - 0.5) * intensity));
+    const addNoise = (val, intensity = 0.08) =>
+      Math.max(0, Math.min(1, val + (this.rng() - 0.5) * intensity));
 
-    const features = {
+    return {
       noiseLevel,
       lowFreqEnergy: addNoise(pattern.freqPattern.low),
       midFreqEnergy: addNoise(pattern.freqPattern.mid),
       highFreqEnergy: addNoise(pattern.freqPattern.high),
       volatility: addNoise(pattern.volatility, 0.15)
     };
+  }
+  sendStatus() {
+    this.client.send({
+      type: 'status',
+      battery: Math.round(60 + this.rng() * 40),
+      rssi: Math.round(-75 + this.rng() * 30),
+      micOk: true,
+      firmware: 'simulator'
+    });
+  }
 
-    this.patternTimer += 2500; // Fixed increment instead of random
-
-    return features;
+  // Commands from the dashboard (see protocol.js), acted out on the console
+  handleCommand({ id, command, params }) {
+    const reply = (status, extra = {}) => this.client.send({ type: 'command_ack', id, status, ...extra });
+    switch (command) {
+      case 'warn':
+        console.log(`  ${params.level === 'firm' ? '🔴' : '🟠'} [${this.deviceId}] ${params.mode || 'both'}: "please be quiet" for ${(params.durationMs || 5000) / 1000}s`);
+        reply('done');
+        break;
+      case 'identify':
+        console.log(`  💡 [${this.deviceId}] blinking for ${(params.durationMs || 10000) / 1000}s`);
+        reply('done');
+        break;
+      case 'set_interval':
+        this.intervalMs = params.intervalMs;
+        console.log(`  ⏱ [${this.deviceId}] reporting every ${this.intervalMs / 1000}s`);
+        this.startSending();
+        reply('done', { result: { intervalMs: this.intervalMs } });
+        break;
+      case 'calibrate':
+        reply('accepted');
+        console.log(`  🎚 [${this.deviceId}] calibrating${params.referenceDb ? ` against ${params.referenceDb}dB` : ''}...`);
+        setTimeout(() => {
+          this.offsetDb = Math.round((Math.random() - 0.5) * 40) / 10;
+          console.log(`  🎚 [${this.deviceId}] calibrated, offset ${this.offsetDb}dB`);
+          reply('done', { result: { offsetDb: this.offsetDb } });
+        }, 2000);
+        break;
+      default:
+        reply('failed', { message: `Unsupported command ${command}` });
+    }
   }
 
   startSending() {
-    setInterval(() => {
-      if (!this.connected) return;
-
+    clearInterval(this.sendTimer);
+    this.sendTimer = setInterval(() => {
       const features = this.generateAudioFeatures();
+      features.noiseLevel = Math.max(0, Math.min(140, Math.round(features.noiseLevel + this.offsetDb)));
       const payload = {
-        deviceId: this.deviceId,
-        tableId: this.tableId,
+        type: 'reading',
+        v: PROTOCOL_VERSION,
         noiseLevel: features.noiseLevel,
         audioFeatures: {
           lowFreqEnergy: features.lowFreqEnergy,
@@ -174,34 +284,72 @@ class DeviceSimulator {
       };
 
       try {
-        this.ws.send(JSON.stringify(payload));
+        // faults may change, drop or break the message (sim_faults.js)
+        const { text, reading, faults } = this.faults.transform(payload);
+        // a broken message goes out as is, unbuffered: it would be refused anyway
+        if (faults.includes('malformed')) this.client.send(text);
+        else if (text !== null) this.client.sendReading(reading);
         const pattern = this.currentPattern || 'unknown';
+        const buffered = text !== null && !this.connected ? ` (buffered, ${this.client.backlog} waiting)` : '';
         console.log(
-          `  [${this.deviceId}] ${new Date().toLocaleTimeString()} | ${pattern.toUpperCase().padEnd(8)} | ${features.noiseLevel}dB`
+          `  [${this.deviceId}] ${this.clock()} | ${pattern.toUpperCase().padEnd(10)} | ${reading.noiseLevel}dB${buffered}${faults.length ? ` ⚠ ${faults.join(', ')}` : ''}`
         );
       } catch (err) {
         console.error(`✗ Failed to send from ${this.deviceId}:`, err.message);
       }
-    }, 2000 + Math.random() * 2000);
+    }, this.intervalMs);
   }
 }
 
 async function main() {
+  if (!secret) console.warn('No device secret: set DEVICE_SECRET or deviceAuth.sharedSecret in config.json');
+  let scenario = null;
+  if (scenarioFile) {
+    try {
+      scenario = loadScenario(scenarioFile);
+    } catch (err) {
+      console.error(`✗ ${err.message}`);
+      process.exit(1);
+    }
+    Object.assign(sounds, scenario.sounds);
+  }
+  const layout = scenario
+    ? scenario.devices
+    : tables.flatMap((t) => t.devices.map((deviceId) => ({ deviceId, tableId: t.name })));
+
   console.log(`\n🔊 Multi-Device Noise Monitor Simulator`);
   console.log(`📍 Server: ${serverUrl}`);
-  console.log(`📊 Devices: ${devices.length}`);
-  console.log(`📋 Tables: ${tables.map(t => t.name).join(', ')}`);
-  console.log(`\nSound Patterns:`);
-  Object.entries(soundPatterns).forEach(([type, pattern]) => {
-    console.log(`  • ${type.toUpperCase().padEnd(8)} - ${pattern.description} (${pattern.noiseRange[0]}-${pattern.noiseRange[1]}dB, prob: ${(pattern.probability * 100).toFixed(0)}%)`);
-  });
-  console.log(`\n${'Device'.padEnd(12)} | Time         | Sound    | Noise`);
+  console.log(`📊 Devices: ${layout.length}`);
+  console.log(`📋 Tables: ${[...new Set(layout.map((d) => d.tableId))].join(', ')}`);
+  if (scenario) {
+    console.log(`🎬 Scenario: ${scenario.name}, ${formatClock(scenario.start)}–${formatClock(scenario.end)} at ${speed}×`);
+    scenario.events.forEach((e) => console.log(`  • ${formatClock(e.from).slice(0, 5)} ${describeEvent(e)}`));
+  } else {
+    console.log(`\nSound Patterns:`);
+    Object.entries(randomMix).forEach(([type, probability]) => {
+      const pattern = sounds[type];
+      console.log(`  • ${type.toUpperCase().padEnd(8)} - ${pattern.description} (${pattern.noiseRange[0]}-${pattern.noiseRange[1]}dB, prob: ${(probability * 100).toFixed(0)}%)`);
+    });
+  }
+  console.log(`\n${'Device'.padEnd(12)} | Time     | Sound      | Noise`);
   console.log(`${'─'.repeat(50)}`);
 
-  const simulators = devices.map(
-    (dev, idx) =>
-      new DeviceSimulator(dev.deviceId, dev.tableId, serverUrl)
-  );
+  // scenario clock, minutes since midnight
+  const startedAt = Date.now();
+  const clock = () => scenario.start + ((Date.now() - startedAt) * speed) / 60_000;
+
+  const simulators = layout.map((dev) => new DeviceSimulator(dev.deviceId, dev.tableId, serverUrl, scenario ? {
+    rng: createRng(scenario.seed, dev.deviceId),
+    intervalMs: scenario.intervalMs,
+    clock: () => formatClock(clock()),
+    activity: () => stateAt(scenario, dev.deviceId, clock())
+  } : {}));
+
+  for (const { deviceId, spec } of cliFaults) {
+    const targets = simulators.filter((sim) => !deviceId || sim.deviceId === deviceId);
+    if (!targets.length) console.warn(`  No device ${deviceId} for --fault ${spec}`);
+    targets.forEach((sim) => sim.addFault(spec));
+  }
 
   // Connect all devices with staggered startup
   for (let i = 0; i < simulators.length; i++) {
@@ -211,23 +359,58 @@ async function main() {
         await new Promise(resolve => setTimeout(resolve, 500)); // Stagger connections
       }
     } catch (err) {
-      console.error(`Failed to connect ${devices[i].deviceId}`);
+      console.error(`✗ ${layout[i].deviceId} not connected yet (${err.message}), still trying`);
     }
   }
 
-  console.log(`\n✓ All devices connected and sending data...\n`);
+  console.log(`\n✓ All devices started and sending data...\n`);
 
   // Graceful shutdown
   const shutdown = () => {
     console.log('\n\nShutting down...');
-    simulators.forEach(sim => {
-      if (sim.ws) sim.ws.close();
-    });
+    simulators.forEach(sim => sim.client.stop());
     process.exit(0);
   };
 
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
+
+  if (scenario) runTimeline(scenario, simulators, clock, shutdown);
+}
+
+// Announce events as the scenario clock reaches them, take devices offline and back, switch faults
+// on and off, and stop at the end
+function runTimeline(scenario, simulators, clock, done) {
+  const started = new Set();
+  const ended = new Set();
+  const byId = new Map(simulators.map((sim) => [sim.deviceId, sim]));
+  const timer = setInterval(() => {
+    const now = clock();
+    for (const event of scenario.events) {
+      if (!started.has(event) && now >= event.from) {
+        started.add(event);
+        console.log(`\n▶ ${formatClock(now)} ${describeEvent(event)}\n`);
+        if (event.type === 'offline') event.deviceIds.forEach((id) => byId.get(id).disconnect());
+        if (event.type === 'fault') event.deviceIds.forEach((id) => byId.get(id).addFault(event.fault));
+      }
+      if (started.has(event) && !ended.has(event) && now >= event.to) {
+        ended.add(event);
+        console.log(`\n■ ${formatClock(now)} ${describeEvent(event)} is over\n`);
+        if (event.type === 'offline') {
+          // back unless another outage still covers the device
+          event.deviceIds
+            .filter((id) => !stateAt(scenario, id, now).offline)
+            .forEach((id) => byId.get(id).connect().catch(() => {})); // the device keeps retrying
+        }
+        if (event.type === 'fault') event.deviceIds.forEach((id) => byId.get(id).removeFault(event.fault.type));
+      }
+    }
+    if (now >= scenario.end) {
+      clearInterval(timer);
+      console.log(`\n✓ Scenario "${scenario.name}" finished at ${formatClock(now)}`);
+      done();
+    }
+  }, 250);
 }
 
 main().catch(err => {
@@ -0,0 +1,80 @@
+/**
+ * "Please keep quiet" nudges
+ * While a table stays too loud, its devices get a warn command at each step in config.nudges.steps
+ * (e.g. an amber light after 30 s, light and voice after 2 min), and the last step repeats every
+ * cooldownMin while the noise goes on. A table's nudges are driven by its oldest active noise_exceed
+ * incident and stored on it. Apart from escalating steps of that incident, a table is not nudged
+ * again within cooldownMin of its previous nudge.
+ * followUpSec after each nudge the noise is checked again, so nudges can be judged by their effect.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Time of the latest nudge at each table, over every incident still in memory
+function lastNudges(incidents) {
+  const last = new Map();
+  for (const incident of incidents) {
+    for (const nudge of incident.nudges || []) {
+      const prev = last.get(incident.tableId);
+      if (!prev || nudge.at > prev.at) last.set(incident.tableId, { at: nudge.at, incidentId: incident.id });
+    }
+  }
+  return last;
+}
+
+/**
+ * @param {Object} settings - config.nudges
+ * @param {Object[]} incidents - IncidentManager.list()
+ * @returns {Object[]} [{ incident, step, index, repeat }], at most one per table
+ */
+function dueNudges(settings, incidents, now = Date.now()) {
+  if (!settings.enabled || !settings.steps.length) return [];
+  const drivers = new Map(); // tableId -> oldest active noise incident
+  for (const incident of incidents) {
+    if (incident.type !== 'noise_exceed' || incident.state !== 'open' || incident.status === 'resolved' || !incident.tableId) continue;
+    const current = drivers.get(incident.tableId);
+    if (!current || incident.openedAt < current.openedAt) drivers.set(incident.tableId, incident);
+  }
+  const last = lastNudges(incidents);
+  const due = [];
+  for (const [tableId, incident] of drivers) {
+    const sent = incident.nudges || [];
+    const previous = last.get(tableId);
+    const cooledDown = !previous || now - previous.at >= settings.cooldownMin * MINUTE;
+    const age = now - incident.openedAt;
+    const lastIndex = sent.length ? sent[sent.length - 1].step : -1;
+    // the strongest step now due; steps missed between checks are skipped, not sent back to back
+    let index = -1;
+    settings.steps.forEach((step, i) => { if (i > lastIndex && age >= step.afterSec * 1000) index = i; });
+    if (index >= 0) {
+      if (cooledDown || (previous && previous.incidentId === incident.id)) {
+        due.push({ incident, step: settings.steps[index], index, repeat: false });
+      }
+    } else if (lastIndex === settings.steps.length - 1 && cooledDown) {
+      due.push({ incident, step: settings.steps[lastIndex], index: lastIndex, repeat: true });
+    }
+  }
+  return due;
+}
+
+/**
+ * Nudges whose follow-up time has come, with the outcome to record
+ * @returns {Object[]} [{ incident, nudge, outcome: { at, noiseLevel, dropDb, quieted } }]
+ */
+function dueFollowUps(settings, incidents, now = Date.now()) {
+  const due = [];
+  for (const incident of incidents) {
+    for (const nudge of incident.nudges || []) {
+      if (nudge.outcome || now - nudge.at < settings.followUpSec * 1000) continue;
+      const quieted = incident.state === 'resolved' || incident.noiseLevel < incident.threshold;
+      due.push({
+        incident,
+        nudge,
+        outcome: { at: now, noiseLevel: incident.noiseLevel, dropDb: Math.round((nudge.noiseLevel - incident.noiseLevel) * 10) / 10, quieted }
+      });
+    }
+  }
+  return due;
+}
+
+module.exports = { dueNudges, dueFollowUps };
@@ -0,0 +1,46 @@
+/**
+ * Role-based permissions
+ * Every IPC handler in main.js names the permission it needs; the renderer receives the
+ * session's permission list only to hide controls, the main process is what enforces it.
+ *
+ *   viewer    - live dashboard (devices, chart, alerts) only
+ *   librarian - viewer + alert handling, muting tables, history, correcting sound labels
+ *   admin     - librarian + report export, threshold/zone settings, devices and device commands,
+ *               retraining the sound classifier, users
+ */
+
+const PERMISSIONS = [
+  'dashboard:view',
+  'incidents:act',
+  'tables:mute',
+  'history:view',
+  'sounds:label',
+  'history:export',
+  'settings:edit',
+  'devices:manage',
+  'devices:command',
+  'classifier:train',
+  'users:manage'
+];
+
+const VIEWER = ['dashboard:view'];
+const LIBRARIAN = [...VIEWER, 'incidents:act', 'tables:mute', 'history:view', 'sounds:label'];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER,
+  librarian: LIBRARIAN,
+  admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function can(role, permission) {
+  if (!PERMISSIONS.includes(permission)) throw new Error(`Unknown permission: ${permission}`);
+  return permissionsFor(role).includes(permission);
+}
+
+module.exports = { PERMISSIONS, ROLES, can, permissionsFor };
@@ -5,9 +5,58 @@ try {
     onDeviceData: (cb) => ipcRenderer.on('device-data', (e, d) => cb(d)),
     onAlert: (cb) => ipcRenderer.on('alert', (e, d) => cb(d)),
     onDeviceOffline: (cb) => ipcRenderer.on('device-offline', (e, d) => cb(d)),
+    onDeviceStatus: (cb) => ipcRenderer.on('device-status', (e, d) => cb(d)),
+    onDeviceHealth: (cb) => ipcRenderer.on('device-health', (e, d) => cb(d)),
+    onDeviceCommand: (cb) => ipcRenderer.on('device-command', (e, d) => cb(d)),
     onServerInfo: (cb) => ipcRenderer.on('server-info', (e, d) => cb(d)),
     onNetworkStatus: (cb) => ipcRenderer.on('network-status', (e, d) => cb(d)),
-    queryDevices: () => ipcRenderer.invoke('query-devices')
+    onConfigChanged: (cb) => ipcRenderer.on('config-changed', (e, d) => cb(d)),
+    onConfigError: (cb) => ipcRenderer.on('config-error', (e, d) => cb(d)),
+    onSessionEnded: (cb) => ipcRenderer.on('session-ended', (e, d) => cb(d)),
+    onSessionChanged: (cb) => ipcRenderer.on('session-changed', (e, d) => cb(d)),
+    onTableMutes: (cb) => ipcRenderer.on('table-mutes', (e, d) => cb(d)),
+    onDeviceRejected: (cb) => ipcRenderer.on('device-rejected', (e, d) => cb(d)),
+    onCalibration: (cb) => ipcRenderer.on('calibration', (e, d) => cb(d)),
+    authStatus: () => ipcRenderer.invoke('auth-status'),
+    authSetup: (account) => ipcRenderer.invoke('auth-setup', account),
+    authLogin: (credentials) => ipcRenderer.invoke('auth-login', credentials),
+    authLogout: () => ipcRenderer.invoke('auth-logout'),
+    authActivity: () => ipcRenderer.invoke('auth-activity'),
+    listUsers: () => ipcRenderer.invoke('users-list'),
+    addUser: (user) => ipcRenderer.invoke('users-add', user),
+    updateUser: (changes) => ipcRenderer.invoke('users-update', changes),
+    resetUserPassword: (reset) => ipcRenderer.invoke('users-reset-password', reset),
+    getConfig: () => ipcRenderer.invoke('get-config'),
+    queryDevices: () => ipcRenderer.invoke('query-devices'),
+    queryIncidents: () => ipcRenderer.invoke('query-incidents'),
+    queryIncidentLog: (query) => ipcRenderer.invoke('query-incident-log', query),
+    incidentAction: (payload) => ipcRenderer.invoke('incident-action', payload),
+    queryMutes: () => ipcRenderer.invoke('query-mutes'),
+    muteTable: (mute) => ipcRenderer.invoke('mute-table', mute),
+    unmuteTable: (tableId) => ipcRenderer.invoke('unmute-table', { tableId }),
+    updateThresholds: (changes) => ipcRenderer.invoke('update-thresholds', changes),
+    forgetDevice: (deviceId) => ipcRenderer.invoke('forget-device', { deviceId }),
+    sendDeviceCommand: (deviceId, command, params) => ipcRenderer.invoke('device-command', { deviceId, command, params }),
+    queryDeviceCommands: () => ipcRenderer.invoke('query-device-commands'),
+    labelSound: (deviceId, label) => ipcRenderer.invoke('label-sound', { deviceId, label }),
+    classifierStatus: () => ipcRenderer.invoke('classifier-status'),
+    trainClassifier: () => ipcRenderer.invoke('classifier-train'),
+    adoptClassifier: () => ipcRenderer.invoke('classifier-adopt'),
+    discardClassifier: () => ipcRenderer.invoke('classifier-discard'),
+    listRegisteredDevices: () => ipcRenderer.invoke('registry-list'),
+    registerDevice: (device) => ipcRenderer.invoke('registry-add', device),
+    revokeDevice: (deviceId, revoked = true) => ipcRenderer.invoke('registry-revoke', { deviceId, revoked }),
+    rotateDeviceSecret: (deviceId) => ipcRenderer.invoke('registry-rotate', { deviceId }),
+    unregisterDevice: (deviceId) => ipcRenderer.invoke('registry-remove', { deviceId }),
+    setMicOffset: (deviceId, splOffsetDb) => ipcRenderer.invoke('registry-calibrate', { deviceId, splOffsetDb }),
+    setCalibration: (deviceId, offsetDb, gain) => ipcRenderer.invoke('device-calibration-set', { deviceId, offsetDb, gain }),
+    startCalibration: (request) => ipcRenderer.invoke('calibration-start', request),
+    applyCalibration: (id) => ipcRenderer.invoke('calibration-apply', { id }),
+    cancelCalibration: (id) => ipcRenderer.invoke('calibration-cancel', { id }),
+    listCalibrations: () => ipcRenderer.invoke('calibration-sessions'),
+    calibrationHistory: (query) => ipcRenderer.invoke('calibration-history', query),
+    queryHistory: (query) => ipcRenderer.invoke('query-history', query),
+    exportReport: (options) => ipcRenderer.invoke('export-report', options)
   });
 } catch (e) {
   console.error('Preload error:', e.message);
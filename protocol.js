@@ -0,0 +1,329 @@
+/**
+ * Device message protocol
+ * Every message is a JSON object with a `type` and the protocol version `v`. Devices send:
+ *   hello     { type, v, deviceId, tableId?, signature, firmware? }            (see device_auth.js)
+ *   reading   { type, v, noiseLevel, audioFeatures?, soundType?, truthLabel?, timestamp?, seq?, backfill?, deviceId?, tableId? }
+ *   heartbeat { type, v, uptimeMs?, seq? }
+ *   status    { type, v, battery?, rssi?, temperatureC?, micOk?, firmware?, uptimeMs?, seq? }
+ *   command_ack { type, v, id, status: accepted|done|failed, message?, result? }
+ *   audio_format { type, v, sampleRate, encoding: s16le|f32le, channels?, truthLabel? }
+ * After audio_format a device may send binary WebSocket messages instead of readings: raw PCM in
+ * that format, one frame each, from which the server computes the reading (audio_features.js).
+ * A frame has at least MIN_FRAME_SAMPLES samples and, like every message, at most MAX_MESSAGE_BYTES
+ * (64 KB: about 680 ms of 16-bit mono at 48 kHz); the server closes a connection that sends more.
+ * truthLabel is the known sound in a test recording (wav_emulator.js); it is stored with the
+ * reading so reports can score the classifier, and never affects classification.
+ * A reading with a seq is acked, and a device keeps it until then (device_client.js). Readings the
+ * device couldn't deliver earlier, taken while offline or sent when the connection dropped, are
+ * uploaded after the next welcome with backfill: true; they go into the history but not to the live
+ * view or the alerts. Readings are sent in seq order, so one whose seq and timestamp are both at or
+ * below the latest the server handled from the device is a resend: it is acked again and dropped.
+ * The server sends challenge, welcome, ack { ref, seq? }, error { code, message, field?, ref?, seq? }
+ * and command { id, command, params } (COMMANDS below); a device answers each command with a
+ * command_ack, first 'accepted' for anything that takes a while, then 'done' or 'failed'.
+ * Messages are checked strictly: unknown fields, wrong types and out-of-range values are refused
+ * with an error naming the field, so firmware mistakes show up on the device rather than in the chart.
+ * Old firmware (allowed only with deviceAuth.required off) sends bare readings without type and v.
+ */
+
+const { ENCODINGS } = require('./audio_features');
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// a device's clock may be this far off before its timestamps are refused
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// shortest audio frame worth a reading (16 ms at 16 kHz)
+const MIN_FRAME_SAMPLES = 256;
+
+// ---- Field specs ----
+
+const num = (min, max) => ({ type: 'number', min, max });
+const int = (min, max) => ({ type: 'integer', min, max });
+const str = (pattern, hint) => ({ type: 'string', pattern, hint });
+const bool = () => ({ type: 'boolean' });
+const oneOf = (values) => ({ type: 'enum', values });
+const obj = (fields) => ({ type: 'object', fields });
+// free-form object of scalar values, e.g. a command result
+const record = (maxKeys) => ({ type: 'record', maxKeys });
+const optional = (spec) => ({ ...spec, optional: true });
+
+const ID = str(/^[A-Za-z0-9._:-]{1,64}$/, '1–64 letters, digits, dots, dashes, colons or underscores');
+const SEQ = int(0, Number.MAX_SAFE_INTEGER);
+const ENERGY = num(0, 1);
+const WARN_MODES = ['led', 'buzzer', 'voice', 'both']; // both = led + buzzer
+const WARN_LEVELS = ['gentle', 'firm'];
+// a sound label id as in config.classifier.labels
+const LABEL = str(/^[a-z][a-z0-9_]{0,31}$/, 'a lowercase label like "speech"');
+const COMMAND_ID = str(/^cmd-[0-9a-f]{1,32}$/, 'a command id from the server');
+
+const MESSAGES = {
+  hello: {
+    deviceId: ID,
+    tableId: optional(ID),
+    signature: str(/^[0-9a-f]{64}$/i, 'a hex HMAC-SHA256 signature'),
+    firmware: optional(str(/^.{1,64}$/, 'at most 64 characters'))
+  },
+  reading: {
+    deviceId: optional(ID),
+    tableId: optional(ID),
+    noiseLevel: num(0, 140),
+    audioFeatures: optional(obj({
+      lowFreqEnergy: optional(ENERGY),
+      midFreqEnergy: optional(ENERGY),
+      highFreqEnergy: optional(ENERGY),
+      volatility: optional(ENERGY)
+    })),
+    soundType: optional(LABEL),
+    truthLabel: optional(LABEL),
+    timestamp: optional(int(0, Number.MAX_SAFE_INTEGER)),
+    seq: optional(SEQ),
+    backfill: optional(bool())
+  },
+  heartbeat: {
+    uptimeMs: optional(int(0, Number.MAX_SAFE_INTEGER)),
+    seq: optional(SEQ)
+  },
+  status: {
+    battery: optional(num(0, 100)),
+    rssi: optional(num(-130, 0)),
+    temperatureC: optional(num(-40, 125)),
+    micOk: optional(bool()),
+    firmware: optional(str(/^.{1,64}$/, 'at most 64 characters')),
+    uptimeMs: optional(int(0, Number.MAX_SAFE_INTEGER)),
+    seq: optional(SEQ)
+  },
+  command_ack: {
+    id: COMMAND_ID,
+    status: oneOf(['accepted', 'done', 'failed']),
+    message: optional(str(/^.{1,200}$/, 'at most 200 characters')),
+    result: optional(record(16))
+  },
+  audio_format: {
+    sampleRate: int(8000, 96_000),
+    encoding: oneOf(Object.keys(ENCODINGS)),
+    channels: optional(int(1, 2)),
+    truthLabel: optional(LABEL)
+  }
+};
+
+// Server -> device commands and their parameters
+const COMMANDS = {
+  warn: {                       // "please be quiet": amber (gentle) or red (firm) light, buzzer or spoken reminder
+    durationMs: optional(int(500, 60_000)),
+    mode: optional(oneOf(WARN_MODES)),
+    level: optional(oneOf(WARN_LEVELS))
+  },
+  identify: {                   // blink so staff can find the device
+    durationMs: optional(int(500, 60_000))
+  },
+  set_interval: {               // reporting interval for readings
+    intervalMs: int(500, 600_000)
+  },
+  calibrate: {                  // measure against a reference level (or the device's own routine)
+    referenceDb: optional(num(40, 130))
+  }
+};
+
+class ProtocolError extends Error {
+  /**
+   * @param {string} code - invalid_json, invalid_message, unsupported_version, unknown_type,
+   *   unknown_field, missing_field, invalid_field, out_of_range, unknown_command or unexpected (valid but not now)
+   */
+  constructor(code, message, field) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+function describe(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function checkFields(value, fields, at) {
+  for (const key of Object.keys(value)) {
+    if (!fields[key]) throw new ProtocolError('unknown_field', `${at}${key} is not part of this message`, `${at}${key}`);
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    if (value[key] === undefined) {
+      if (!spec.optional) throw new ProtocolError('missing_field', `${at}${key} is required`, `${at}${key}`);
+      continue;
+    }
+    checkValue(value[key], spec, `${at}${key}`);
+  }
+}
+
+function checkValue(value, spec, field) {
+  switch (spec.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ProtocolError('invalid_field', `${field} must be an object (got ${describe(value)})`, field);
+      }
+      checkFields(value, spec.fields, `${field}.`);
+      return;
+    case 'record':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ProtocolError('invalid_field', `${field} must be an object (got ${describe(value)})`, field);
+      }
+      if (Object.keys(value).length > spec.maxKeys) {
+        throw new ProtocolError('out_of_range', `${field} may have at most ${spec.maxKeys} entries`, field);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const scalar = typeof item === 'boolean' || (typeof item === 'number' && Number.isFinite(item)) || (typeof item === 'string' && item.length <= 200);
+        if (!scalar) throw new ProtocolError('invalid_field', `${field}.${key} must be a number, a short string or true/false`, `${field}.${key}`);
+      }
+      return;
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        throw new ProtocolError('invalid_field', `${field} must be one of ${spec.values.join(', ')} (got ${describe(value)})`, field);
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new ProtocolError('invalid_field', `${field} must be true or false (got ${describe(value)})`, field);
+      return;
+    case 'string':
+      if (typeof value !== 'string') throw new ProtocolError('invalid_field', `${field} must be a string (got ${describe(value)})`, field);
+      if (!spec.pattern.test(value)) throw new ProtocolError('invalid_field', `${field} must be ${spec.hint} (got ${describe(value)})`, field);
+      return;
+    case 'number':
+    case 'integer': {
+      // NaN and Infinity arrive as null after JSON, strings are never coerced
+      const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        throw new ProtocolError('invalid_field', `${field} must be ${kind} (got ${describe(value)})`, field);
+      }
+      if (value < spec.min || value > spec.max) {
+        throw new ProtocolError('out_of_range', `${field} must be between ${spec.min} and ${spec.max} (got ${value})`, field);
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown field type "${spec.type}" at ${field}`);
+  }
+}
+
+/**
+ * Parse and validate one raw WebSocket message
+ * @param {string|Buffer} raw
+ * @param {Object} options - { legacy: accept bare readings, now: server time for the timestamp check }
+ * @returns {Object} the message
+ * @throws {ProtocolError} with `received` set to the parsed message when there was one
+ */
+function parseMessage(raw, { legacy = false, now = Date.now() } = {}) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (e) {
+    throw new ProtocolError('invalid_json', `Message is not valid JSON: ${e.message}`);
+  }
+  if (legacy && message && typeof message === 'object' && message.type === undefined && message.v === undefined) {
+    message = { type: 'reading', v: PROTOCOL_VERSION, ...message };
+  }
+  try {
+    return validateMessage(message, now);
+  } catch (err) {
+    err.received = message;
+    throw err;
+  }
+}
+
+function validateMessage(message, now = Date.now()) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new ProtocolError('invalid_message', 'Message must be a JSON object');
+  }
+  const { type, v, ...fields } = message;
+  if (v === undefined) throw new ProtocolError('missing_field', 'v (protocol version) is required', 'v');
+  if (!SUPPORTED_VERSIONS.includes(v)) {
+    throw new ProtocolError('unsupported_version', `Protocol version ${describe(v)} is not supported (supported: ${SUPPORTED_VERSIONS.join(', ')})`, 'v');
+  }
+  if (!MESSAGES[type]) {
+    throw new ProtocolError('unknown_type', `Unknown message type ${describe(type)} (expected ${Object.keys(MESSAGES).join(', ')})`, 'type');
+  }
+  checkFields(fields, MESSAGES[type], '');
+  if (type === 'reading' && message.timestamp !== undefined && Math.abs(message.timestamp - now) > MAX_CLOCK_SKEW_MS) {
+    throw new ProtocolError('out_of_range', 'timestamp is more than a day away from the server clock', 'timestamp');
+  }
+  return message;
+}
+
+// ---- Server -> device messages ----
+
+function challenge(nonce) {
+  return { type: 'challenge', v: PROTOCOL_VERSION, versions: SUPPORTED_VERSIONS, nonce };
+}
+
+function welcome(deviceId, tableId) {
+  return { type: 'welcome', v: PROTOCOL_VERSION, deviceId, tableId };
+}
+
+/**
+ * @throws {ProtocolError} for unknown commands or invalid parameters
+ */
+function command(id, name, params = {}) {
+  if (!COMMANDS[name]) {
+    throw new ProtocolError('unknown_command', `Unknown command ${describe(name)} (expected ${Object.keys(COMMANDS).join(', ')})`, 'command');
+  }
+  checkValue(params, obj(COMMANDS[name]), 'params');
+  return { type: 'command', v: PROTOCOL_VERSION, id, command: name, params };
+}
+
+/**
+ * Check a binary audio frame against the connection's audio_format
+ * @param {Buffer} data
+ * @param {Object} format - the audio_format message, or undefined if none was sent
+ * @throws {ProtocolError}
+ */
+function checkAudioFrame(data, format) {
+  if (!format) throw new ProtocolError('unexpected', 'Send audio_format before binary audio frames');
+  const frameBytes = ENCODINGS[format.encoding].bytes * (format.channels || 1);
+  if (data.length % frameBytes) {
+    throw new ProtocolError('invalid_message', `Audio frame of ${data.length} bytes is not a whole number of ${format.encoding} samples (${frameBytes} bytes each)`);
+  }
+  if (data.length / frameBytes < MIN_FRAME_SAMPLES) {
+    throw new ProtocolError('out_of_range', `Audio frames need at least ${MIN_FRAME_SAMPLES} samples (got ${data.length / frameBytes})`);
+  }
+}
+
+function ack(message) {
+  const reply = { type: 'ack', v: PROTOCOL_VERSION, ref: message.type };
+  if (message.seq !== undefined) reply.seq = message.seq;
+  return reply;
+}
+
+/**
+ * @param {Object} err - ProtocolError, or { code, message, field? }
+ * @param {Object} message - the message being answered, when it could be parsed
+ */
+function error(err, message = err.received) {
+  const reply = { type: 'error', v: PROTOCOL_VERSION, code: err.code, message: err.message };
+  if (err.field) reply.field = err.field;
+  if (message && typeof message === 'object') {
+    if (typeof message.type === 'string') reply.ref = message.type;
+    if (Number.isInteger(message.seq)) reply.seq = message.seq;
+  }
+  return reply;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  MAX_MESSAGE_BYTES,
+  MESSAGE_TYPES: Object.keys(MESSAGES),
+  COMMAND_NAMES: Object.keys(COMMANDS),
+  WARN_MODES,
+  WARN_LEVELS,
+  MIN_FRAME_SAMPLES,
+  ProtocolError,
+  parseMessage,
+  validateMessage,
+  challenge,
+  welcome,
+  command,
+  checkAudioFrame,
+  ack,
+  error
+};
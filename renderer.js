@@ -6,63 +6,134 @@ const toastEl = document.getElementById('toast');
 const wsUrlEl = document.getElementById('ws-url');
 
 let noiseChart;
-const state = { devices: {}, chartLabels: [], maxPoints: 30, isLoggedIn: false };
+const state = { devices: {}, mutes: {}, commands: {}, chartLabels: [], maxPoints: 30, isLoggedIn: false, needsSetup: false, user: null, appReady: false, config: null };
 
-// Simple demo credentials
-const VALID_CREDENTIALS = { 'admin': 'admin123', 'user': 'user123' };
+const SESSION_END_MESSAGES = {
+  expired: 'Your session has expired, please log in again.',
+  idle: 'You were logged out after a period of inactivity.',
+  disabled: 'Your account has been disabled.'
+};
 
-// Login handler
-function handleLogin(event) {
+// Login handler: credentials are checked by the main process
+async function handleLogin(event) {
   event.preventDefault();
   const username = document.getElementById('username').value.trim();
-  const password = document.getElementById('password').value.trim();
-  
-  if (VALID_CREDENTIALS[username] && VALID_CREDENTIALS[username] === password) {
-    state.isLoggedIn = true;
-    localStorage.setItem('isLoggedIn', 'true');
-    localStorage.setItem('username', username);
-    showApp();
-  } else {
-    document.getElementById('login-error').textContent = 'Invalid username or password';
-    document.getElementById('login-error').style.display = 'block';
-    document.getElementById('password').value = '';
+  const passwordEl = document.getElementById('password');
+  try {
+    let session;
+    if (state.needsSetup) {
+      if (passwordEl.value !== document.getElementById('password-confirm').value) throw new Error('Passwords do not match');
+      session = await window.api.authSetup({ username, password: passwordEl.value });
+    } else {
+      session = await window.api.authLogin({ username, password: passwordEl.value });
+    }
+    startSession(session);
+  } catch (e) {
+    showLoginError(errorText(e));
+  } finally {
+    passwordEl.value = '';
+    document.getElementById('password-confirm').value = '';
   }
 }
 
+function showLoginError(message) {
+  const errorEl = document.getElementById('login-error');
+  errorEl.textContent = message;
+  errorEl.style.display = message ? 'block' : 'none';
+}
+
 // Logout
-function handleLogout() {
+async function handleLogout() {
+  try {
+    await window.api.authLogout();
+  } finally {
+    endSession();
+  }
+}
+
+function startSession(session) {
+  state.isLoggedIn = true;
+  state.needsSetup = false;
+  applySession(session);
+  showApp();
+}
+
+// The main process enforces permissions; here they only decide which controls are shown
+function applySession(session) {
+  state.user = session;
+  document.getElementById('current-user').textContent = `${session.username} (${session.role})`;
+  applyPermissions();
+  Object.keys(state.devices).forEach(renderDeviceActions);
+}
+
+function can(permission) {
+  return Boolean(state.user && state.user.permissions.includes(permission));
+}
+
+function applyPermissions(root = document) {
+  root.querySelectorAll('[data-permission]').forEach((el) => { el.hidden = !can(el.dataset.permission); });
+}
+
+function endSession(message = '') {
   state.isLoggedIn = false;
-  localStorage.removeItem('isLoggedIn');
-  localStorage.removeItem('username');
+  state.user = null;
+  alertsList.innerHTML = '';
   document.getElementById('username').value = '';
-  document.getElementById('password').value = '';
-  document.getElementById('login-error').style.display = 'none';
+  showView('live');
   showLoginScreen();
+  showLoginError(message);
 }
 
 // Show app / login
 function showApp() {
   document.getElementById('login-screen').style.display = 'none';
   document.getElementById('app').style.display = 'grid';
-  document.getElementById('logout-btn').addEventListener('click', handleLogout);
-  attachDataListeners();
-  initChart();
+  if (!state.appReady) {
+    state.appReady = true;
+    attachDataListeners();
+    initChart();
+    initHistoryView();
+    initUsersView();
+    initSettingsView();
+    initDevicesView();
+    initIncidentActions();
+    initDeviceActions();
+  }
+  loadIncidents();
+  loadMutes();
+  loadDeviceCommands();
 }
 
 function showLoginScreen() {
   document.getElementById('app').style.display = 'none';
   document.getElementById('login-screen').style.display = 'flex';
+  // first run: the form creates the administrator account instead
+  document.getElementById('login-intro').hidden = !state.needsSetup;
+  document.getElementById('confirm-group').hidden = !state.needsSetup;
+  document.getElementById('password-confirm').required = Boolean(state.needsSetup);
+  document.querySelector('.login-btn').textContent = state.needsSetup ? 'Create administrator' : 'Login';
 }
 
-function checkSession() {
-  if (localStorage.getItem('isLoggedIn') === 'true') {
-    state.isLoggedIn = true;
-    showApp();
-  } else {
+async function checkSession() {
+  try {
+    const { needsSetup, session } = await window.api.authStatus();
+    state.needsSetup = needsSetup;
+    if (session) startSession(session);
+    else showLoginScreen();
+  } catch (e) {
     showLoginScreen();
+    showLoginError(`Login is unavailable: ${errorText(e)}`);
   }
 }
 
+// Tell the main process the user is still here so the session doesn't go idle (at most every 30s)
+let lastActivityReport = 0;
+function reportActivity() {
+  if (!state.isLoggedIn || Date.now() - lastActivityReport < 30 * 1000) return;
+  lastActivityReport = Date.now();
+  window.api.authActivity().catch(() => {});
+}
+
 // Initialize neon chart
 function initChart() {
   const ctx = document.getElementById('noiseChart').getContext('2d');
@@ -133,8 +204,9 @@ function initChart() {
   // Periodically check offline devices
   setInterval(() => {
     const now = Date.now();
+    const inactivityMs = state.config ? state.config.devices.inactivityMs : Infinity;
     for (const id in state.devices) {
-      if (state.devices[id].lastSeen && (now - state.devices[id].lastSeen > 15000)) markOffline(id);
+      if (state.devices[id].lastSeen && (now - state.devices[id].lastSeen > inactivityMs)) markOffline(id);
     }
     trimChart();
   }, 3000);
@@ -146,22 +218,33 @@ function attachDataListeners() {
   window.api.onDeviceData?.(handleDeviceData);
   window.api.onAlert?.(handleAlert);
   window.api.onDeviceOffline?.(handleDeviceOffline);
+  window.api.onDeviceStatus?.(handleDeviceStatus);
+  window.api.onDeviceHealth?.(handleSensorHealth);
   window.api.onServerInfo?.((d) => {
     if (d && typeof d.port !== 'undefined') wsUrlEl.textContent = `ws://localhost:${d.port}`;
-    if (d && typeof d.NOISE_THRESHOLD !== 'undefined' && thresholdEl) thresholdEl.textContent = String(d.NOISE_THRESHOLD);
+    if (d && d.config) applyConfig(d.config);
   });
-  // query initial server/device config (including noise threshold)
-  if (window.api.queryDevices) {
-    window.api.queryDevices().then((res) => {
-      console.debug('queryDevices response', res);
-      const el = document.getElementById('threshold') || thresholdEl;
-      if (res && typeof res.NOISE_THRESHOLD !== 'undefined') {
-        if (el) el.textContent = String(res.NOISE_THRESHOLD);
-      }
-    }).catch((e) => { console.debug('queryDevices failed', e && e.message); });
+  window.api.onConfigChanged?.((cfg) => {
+    applyConfig(cfg);
+    showToast('Settings updated');
+  });
+  window.api.onConfigError?.((err) => {
+    console.error(err.message);
+    showToast(`Settings file rejected: ${err.errors && err.errors.length ? err.errors[0] : err.message}`);
+  });
+  // query initial server config (including noise threshold)
+  if (window.api.getConfig) {
+    window.api.getConfig().then(applyConfig).catch((e) => { console.debug('getConfig failed', e && e.message); });
   }
 }
 
+// Apply settings from the main process config
+function applyConfig(cfg) {
+  if (!cfg) return;
+  state.config = cfg;
+  if (thresholdEl) thresholdEl.textContent = String(cfg.alerts.noiseThreshold);
+}
+
 // network status updater (register on DOMContentLoaded so it shows on login screen)
 function updateNetworkStatus(st) {
   const text = st && st.online ? 'Online' : 'Offline';
@@ -175,7 +258,7 @@ function updateNetworkStatus(st) {
 
 // Handle device data
 function handleDeviceData(data) {
-  const { deviceId, tableId, noiseLevel, soundType, timestamp } = data;
+  const { deviceId, tableId, noiseLevel, soundType, threshold, thresholdSource, timestamp } = data;
   const ts = timestamp || Date.now();
   const timeLabel = new Date(ts).toLocaleTimeString();
 
@@ -183,6 +266,8 @@ function handleDeviceData(data) {
   state.devices[deviceId] = state.devices[deviceId] || { deviceId, tableId, lastSeen: 0, lastNoise: 0, soundType: '' };
   const dev = state.devices[deviceId];
   dev.lastSeen = ts; dev.lastNoise = noiseLevel; dev.soundType = soundType; dev.tableId = tableId;
+  dev.threshold = threshold; dev.thresholdSource = thresholdSource;
+  dev.soundConfidence = data.soundConfidence; dev.soundGuess = data.soundGuess; dev.soundScores = data.soundScores;
 
   upsertDeviceCard(deviceId, tableId, noiseLevel, soundType, ts, true);
 
@@ -222,14 +307,27 @@ function handleDeviceData(data) {
   noiseChart.update();
 }
 
-// Handle alerts
-function handleAlert(alert) {
+// Handle alert incidents: one list entry per incident, updated in place
+function handleAlert(alert, silent = false) {
   if (!state.isLoggedIn) return; // don't show alerts on login screen
-  const li = document.createElement('li');
-  li.textContent = `[${new Date().toLocaleTimeString()}] ${alert.type} — Device:${alert.deviceId} Table:${alert.tableId} Noise:${alert.noiseLevel} Type:${alert.soundType || ''}`;
-  alertsList.prepend(li);
-  showToast(`${alert.type} — ${alert.deviceId} (${alert.tableId})`);
-
+  let li = document.getElementById(`alert-${alert.id}`);
+  if (!li) {
+    li = createIncidentItem(alert.id);
+    alertsList.prepend(li);
+  }
+  renderIncidentItem(li, alert);
+  if (silent) return;
+  if (alert.event === 'escalated') {
+    const last = alert.escalations[alert.escalations.length - 1];
+    const forMe = escalatedToMe(last);
+    if (!last.actions.includes('renotify') && !forMe) return;
+    alertsList.prepend(li); // bring it back to the top
+    showToast(`⚠ Escalated${forMe ? ` to you (${last.notifyRole})` : ''}: ${alert.type} — ${alert.deviceId} (${alert.tableId})`);
+  } else if (alert.event === 'opened') {
+    showToast(`${alert.type} — ${alert.deviceId} (${alert.tableId})`);
+  } else {
+    return;
+  }
   const el = document.getElementById(`dev-${alert.deviceId}`);
   if (el) {
     el.classList.add('flash');
@@ -237,14 +335,174 @@ function handleAlert(alert) {
   }
 }
 
-// Device offline
-function handleDeviceOffline({ deviceId, tableId }) {
-  if (!state.isLoggedIn) return; // avoid notifying on login screen
-  markOffline(deviceId);
+function createIncidentItem(id) {
   const li = document.createElement('li');
-  li.textContent = `[${new Date().toLocaleTimeString()}] device_offline — Device:${deviceId} Table:${tableId}`;
-  alertsList.prepend(li);
-  showToast(`device_offline — ${deviceId}`);
+  li.id = `alert-${id}`;
+  li.className = 'incident';
+  li.dataset.id = id;
+  li.innerHTML = `
+    <div class="incident-main">
+      <span class="incident-text"></span>
+      <span class="incident-severity badge"></span>
+      <span class="incident-status badge"></span>
+    </div>
+    <div class="incident-meta muted"></div>
+    <div class="incident-actions" data-permission="incidents:act">
+      <button type="button" class="small-btn" data-action="acknowledge">Acknowledge</button>
+      <button type="button" class="small-btn" data-action="assign">Assign…</button>
+      <button type="button" class="small-btn" data-action="note">Note…</button>
+      <button type="button" class="small-btn" data-action="resolve">Resolve</button>
+    </div>
+    <form class="incident-form" hidden>
+      <input type="text" name="value" list="assignee-options" autocomplete="off">
+      <button type="submit" class="small-btn">Save</button>
+      <button type="button" class="small-btn" data-action="cancel">Cancel</button>
+    </form>`;
+  applyPermissions(li);
+  return li;
+}
+
+function renderIncidentItem(li, a) {
+  li.querySelector('.incident-text').textContent = describeIncident(a);
+  const statusEl = li.querySelector('.incident-status');
+  statusEl.textContent = (a.status || 'new').toUpperCase();
+  statusEl.className = `incident-status badge status-${a.status || 'new'}`;
+  li.classList.toggle('resolved', a.state === 'resolved');
+  li.classList.toggle('handled', a.status === 'resolved');
+  const severity = a.severity || 'normal';
+  const severityEl = li.querySelector('.incident-severity');
+  severityEl.textContent = severity.toUpperCase();
+  severityEl.className = `incident-severity badge severity-${severity}`;
+  severityEl.hidden = severity === 'normal';
+  li.classList.toggle('escalated', severity !== 'normal');
+
+  const meta = [];
+  (a.escalations || []).forEach((e) => {
+    const steps = [];
+    if (e.notifyRole) steps.push(`${e.notifyRole} notified`);
+    if (e.ticket) steps.push(`maintenance ticket ${e.ticket}`);
+    meta.push(`⚠ escalated ${new Date(e.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (${e.rule})${steps.length ? `: ${steps.join(', ')}` : ''}`);
+  });
+  (a.nudges || []).forEach((n) => meta.push(`${new Date(n.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${describeNudge(n)}`));
+  if (a.acknowledgedBy) meta.push(`acknowledged by ${a.acknowledgedBy}`);
+  if (a.assignee) meta.push(`assigned to ${a.assignee}`);
+  if (a.closedBy) meta.push(`resolved by ${a.closedBy}`);
+  (a.actions || []).filter((x) => x.note).forEach((x) => meta.push(`📝 ${x.user}: ${x.note}`));
+  li.querySelector('.incident-meta').textContent = meta.join(' • ');
+
+  const handled = a.status === 'resolved';
+  li.querySelector('[data-action="acknowledge"]').hidden = a.status !== 'new';
+  li.querySelector('[data-action="assign"]').hidden = handled;
+  li.querySelector('[data-action="resolve"]').hidden = handled;
+  if (a.assignee) rememberAssignee(a.assignee);
+}
+
+// Colleague names offered when assigning
+function rememberAssignee(name) {
+  const list = document.getElementById('assignee-options');
+  if (list && ![...list.options].some((o) => o.value === name)) list.appendChild(new Option(name, name));
+}
+
+// Buttons on incident entries (one delegated listener for the whole list)
+function initIncidentActions() {
+  if (alertsList.dataset.actionsReady) return;
+  alertsList.dataset.actionsReady = '1';
+
+  alertsList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const li = btn.closest('li.incident');
+    const form = li.querySelector('.incident-form');
+    const action = btn.dataset.action;
+    if (action === 'cancel') {
+      form.hidden = true;
+      return;
+    }
+    if (action === 'assign' || action === 'note') {
+      form.dataset.action = action;
+      form.elements.value.value = '';
+      form.elements.value.placeholder = action === 'assign' ? 'Colleague name' : 'e.g. asked group to lower voices';
+      form.hidden = false;
+      form.elements.value.focus();
+      return;
+    }
+    sendIncidentAction(li.dataset.id, { action });
+  });
+
+  alertsList.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const li = form.closest('li.incident');
+    const value = form.elements.value.value.trim();
+    if (!value) return;
+    const action = form.dataset.action;
+    sendIncidentAction(li.dataset.id, action === 'assign' ? { action, assignee: value } : { action, note: value })
+      .then((ok) => { if (ok) form.hidden = true; });
+  });
+}
+
+async function sendIncidentAction(id, payload) {
+  if (!window.api || !window.api.incidentAction) return false;
+  try {
+    await window.api.incidentAction({ id, ...payload });
+    return true;
+  } catch (e) {
+    showToast(`Could not update alert: ${errorText(e)}`);
+    return false;
+  }
+}
+
+// "📣 gentle led nudge → quieted, −6 dB"; also used by the incident log
+function describeNudge(n) {
+  let text = `📣 ${n.level} ${n.mode} nudge${n.repeat ? ' (repeat)' : ''}`;
+  if (n.outcome) {
+    const { quieted, dropDb } = n.outcome;
+    text += ` → ${quieted ? 'quieted' : 'still loud'}, ${dropDb >= 0 ? '−' : '+'}${Math.abs(dropDb)} dB`;
+  }
+  return text;
+}
+
+function describeIncident(a) {
+  const opened = new Date(a.openedAt).toLocaleTimeString();
+  const duration = formatDuration((a.resolvedAt || a.updatedAt) - a.openedAt);
+  let detail = '';
+  if (a.type === 'noise_exceed') {
+    detail = ` Peak:${a.peakNoise} dB Now:${a.noiseLevel} dB (limit ${a.threshold}) Type:${soundName(a.soundType)}`;
+  } else if (a.type === 'possible_sensor_issue') {
+    detail = ` Noise:${a.noiseLevel} dB Peers:${(a.peers || []).map((p) => `${p.deviceId}=${p.noise}`).join(', ')}`;
+  } else if (a.type === 'sensor_health') {
+    detail = ` Health:${a.score} (lowest ${a.lowestScore}) ${(a.reasons || []).map((r) => r.message).join('; ')}`;
+  }
+  const status = a.state === 'resolved' ? `cleared after ${duration}` : `ongoing for ${duration}`;
+  return `[${opened}] ${a.type} — Device:${a.deviceId} Table:${a.tableId}${detail} • ${status}`;
+}
+
+function formatDuration(ms) {
+  const sec = Math.max(0, Math.round(ms / 1000));
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  return min < 60 ? `${min}m ${sec % 60}s` : `${Math.floor(min / 60)}h ${min % 60}m`;
+}
+
+// Rebuild the alerts list from incidents the main process still tracks
+// notify_role escalations are meant for users with that role only
+function escalatedToMe(escalation) {
+  return escalation.actions.includes('notify_role') && Boolean(state.user) && state.user.role === escalation.notifyRole;
+}
+
+function loadIncidents() {
+  if (!window.api || !window.api.queryIncidents) return;
+  window.api.queryIncidents().then((incidents) => {
+    incidents.sort((a, b) => a.openedAt - b.openedAt).forEach((incident) => handleAlert(incident, true));
+    // escalated to this role while nobody with it was logged in
+    const waiting = incidents.filter((i) => i.state === 'open' && i.status !== 'resolved' && (i.escalations || []).some(escalatedToMe));
+    if (waiting.length) showToast(`⚠ ${waiting.length} open incident${waiting.length === 1 ? ' was' : 's were'} escalated to ${state.user.role}s: ${waiting.map((i) => i.tableId || i.deviceId).join(', ')}`);
+  }).catch((e) => { console.debug('queryIncidents failed', e && e.message); });
+}
+
+// Device offline (the alert itself arrives as a device_offline incident)
+function handleDeviceOffline({ deviceId }) {
+  markOffline(deviceId);
 }
 
 // Mark offline visually
@@ -254,6 +512,8 @@ function markOffline(deviceId) {
     el.querySelector('.status').innerHTML = '<span class="status-offline">OFFLINE</span>';
     el.querySelector('.fill').style.width = '0%';
     el.style.opacity = '0.6';
+    el.classList.add('offline');
+    renderDeviceActions(deviceId);
   }
 }
 
@@ -268,36 +528,316 @@ function upsertDeviceCard(deviceId, tableId, noise, soundType, ts, online = true
       <div class="left"><div class="avatar">🔊</div><div>
         <div class="name" id="name-${deviceId}"></div>
         <div class="meta" id="meta-${deviceId}"></div>
+        <div class="meta device-health" id="health-${deviceId}" hidden></div>
+        <div class="meta device-health" id="sensor-${deviceId}" hidden></div>
       </div></div>
       <div class="right">
         <div class="status" id="status-${deviceId}"></div>
         <div class="meter" title="noise meter"><div class="fill" id="fill-${deviceId}"></div></div>
         <div style="margin-top:8px"><span id="noise-${deviceId}" class="noise"></span> <span id="sound-${deviceId}" class="badge"></span></div>
+        <div class="device-actions">
+          <button type="button" class="small-btn" data-device-action="mute" data-permission="tables:mute"></button>
+          <button type="button" class="small-btn" data-device-action="forget" hidden>Remove</button>
+        </div>
+        <div class="device-actions device-commands" hidden>
+          <button type="button" class="small-btn" data-device-command="warn" title="Flash the please-be-quiet LED/buzzer">📣 Warn</button>
+          <button type="button" class="small-btn" data-device-command="identify" title="Blink so you can find the device">💡 Identify</button>
+          <button type="button" class="small-btn" data-device-command="set_interval">⏱ Interval…</button>
+          <button type="button" class="small-btn" data-device-command="calibrate">🎚 Calibrate</button>
+        </div>
+        <form class="device-command-form" hidden>
+          <input type="number" name="seconds" min="0.5" max="600" step="0.5" required title="Seconds between readings">
+          <button type="submit" class="small-btn">Set</button>
+          <button type="button" class="small-btn" data-command-cancel>Cancel</button>
+        </form>
+        <div class="meta device-command-result" hidden></div>
+        <form class="sound-label-form" hidden>
+          <select name="label" title="What the sound really was"></select>
+          <button type="submit" class="small-btn">Relabel</button>
+          <button type="button" class="small-btn" data-label-cancel>Cancel</button>
+        </form>
       </div>`;
+    el.dataset.deviceId = deviceId;
     devicesList.appendChild(el);
   }
+  el.classList.toggle('offline', !online);
 
   document.getElementById(`name-${deviceId}`).textContent = deviceId;
-  document.getElementById(`meta-${deviceId}`).textContent = `Table: ${tableId} • last: ${new Date(ts).toLocaleTimeString()}`;
+  const dev = state.devices[deviceId] || {};
+  const metaEl = document.getElementById(`meta-${deviceId}`);
+  metaEl.textContent = `Table: ${tableId} • last: ${new Date(ts).toLocaleTimeString()}` + (typeof dev.threshold === 'number' ? ` • limit ${dev.threshold} dB` : '');
+  metaEl.title = dev.thresholdSource ? `Limit from ${dev.thresholdSource}` : '';
   document.getElementById(`noise-${deviceId}`).textContent = `${noise} dB`;
-  document.getElementById(`sound-${deviceId}`).textContent = soundEmoji(soundType) + ' ' + (soundType || '');
+  renderSoundBadge(deviceId, soundType);
   document.getElementById(`status-${deviceId}`).innerHTML = online ? '<span class="status-online">ONLINE</span>' : '<span class="status-offline">OFFLINE</span>';
 
   const fill = document.getElementById(`fill-${deviceId}`);
   const pct = Math.max(0, Math.min(100, Math.round((Number(noise)/120)*100)));
   fill.style.width = pct + '%';
 
-  // Neon color for high noise
-  const threshold = Number(thresholdEl.textContent) || 65;
+  // Neon color for high noise, against the limit in force for this device's table
+  const threshold = typeof dev.threshold === 'number' ? dev.threshold : state.config ? state.config.alerts.noiseThreshold : Infinity;
   fill.style.background = Number(noise) >= threshold ? 'linear-gradient(90deg,#f97316,#ef4444)' : 'linear-gradient(90deg,#06b6d4,#3b82f6)';
   fill.style.transition = 'width 0.4s ease, background 0.3s ease';
   el.style.opacity = '1';
+  renderDeviceHealth(deviceId);
+  renderSensorHealth(deviceId);
+  renderDeviceActions(deviceId);
+  renderDeviceCommand(deviceId);
+}
+
+// Battery, signal and microphone state from the device's status messages
+function handleDeviceStatus({ deviceId, tableId, status }) {
+  state.devices[deviceId] = state.devices[deviceId] || { deviceId, tableId, lastSeen: 0, lastNoise: 0, soundType: '' };
+  state.devices[deviceId].status = status;
+  renderDeviceHealth(deviceId);
+}
+
+function renderDeviceHealth(deviceId) {
+  const el = document.getElementById(`health-${deviceId}`);
+  if (!el) return;
+  const status = (state.devices[deviceId] || {}).status || {};
+  const parts = [];
+  if (typeof status.battery === 'number') parts.push(`🔋 ${Math.round(status.battery)}%`);
+  if (typeof status.rssi === 'number') parts.push(`📶 ${status.rssi} dBm`);
+  if (status.micOk === false) parts.push('⚠️ microphone fault');
+  if (status.firmware) parts.push(`fw ${status.firmware}`);
+  el.textContent = parts.join(' • ');
+  el.classList.toggle('warning', status.micOk === false || status.battery < 15);
+  el.title = status.at ? `Reported ${new Date(status.at).toLocaleTimeString()}` : '';
+  el.hidden = !parts.length;
+}
+
+// Health score the main process keeps from the device's readings (sensor_health.js)
+function handleSensorHealth({ deviceId, tableId, health }) {
+  state.devices[deviceId] = state.devices[deviceId] || { deviceId, tableId, lastSeen: 0, lastNoise: 0, soundType: '' };
+  state.devices[deviceId].health = health;
+  renderSensorHealth(deviceId);
+}
+
+function renderSensorHealth(deviceId) {
+  const el = document.getElementById(`sensor-${deviceId}`);
+  if (!el) return;
+  const health = (state.devices[deviceId] || {}).health;
+  // not scored until the device has sent enough readings
+  el.hidden = !health || health.score === null;
+  if (el.hidden) return;
+  const alertBelow = state.config ? state.config.health.alertBelow : 70;
+  el.textContent = `🩺 Health ${health.score}${health.reasons.map((r) => ` • ${r.message}`).join('')}`;
+  el.classList.toggle('warning', health.score < alertBelow);
+  el.title = health.reasons.length ? health.reasons.map((r) => r.code).join(', ') : `Nothing unusual in the last ${health.readings} readings`;
+}
+
+// Mute/unmute the card's table (librarians) and remove offline devices (admins)
+function renderDeviceActions(deviceId) {
+  const el = document.getElementById(`dev-${deviceId}`);
+  if (!el) return;
+  const dev = state.devices[deviceId] || {};
+  const mute = activeMute(dev.tableId);
+  const muteBtn = el.querySelector('[data-device-action="mute"]');
+  muteBtn.textContent = mute ? `🔇 Muted until ${new Date(mute.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} — unmute` : '🔇 Mute table';
+  muteBtn.hidden = !can('tables:mute') || !dev.tableId;
+  el.classList.toggle('muted', Boolean(mute));
+  el.querySelector('[data-device-action="forget"]').hidden = !can('devices:manage') || !el.classList.contains('offline');
+  el.querySelector('.device-commands').hidden = !can('devices:command') || el.classList.contains('offline');
+}
+
+function activeMute(tableId) {
+  const mute = tableId && state.mutes[tableId];
+  return mute && mute.until > Date.now() ? mute : null;
+}
+
+function initDeviceActions() {
+  devicesList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-device-command], button[data-command-cancel]');
+    if (!btn) return;
+    const card = btn.closest('.device');
+    const form = card.querySelector('.device-command-form');
+    if (btn.hasAttribute('data-command-cancel')) {
+      form.hidden = true;
+    } else if (btn.dataset.deviceCommand === 'set_interval') {
+      const dev = state.devices[card.dataset.deviceId] || {};
+      form.elements.seconds.value = dev.reportIntervalMs ? dev.reportIntervalMs / 1000 : '';
+      form.hidden = false;
+      form.elements.seconds.focus();
+    } else {
+      sendDeviceCommand(card.dataset.deviceId, btn.dataset.deviceCommand);
+    }
+  });
+  devicesList.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const form = e.target;
+    if (!form.classList.contains('device-command-form')) return;
+    const seconds = Number(form.elements.seconds.value);
+    sendDeviceCommand(form.closest('.device').dataset.deviceId, 'set_interval', { intervalMs: Math.round(seconds * 1000) })
+      .then((ok) => { if (ok) form.hidden = true; });
+  });
+  window.api.onDeviceCommand(handleDeviceCommand);
+
+  // correcting a sound label: the badge opens a picker, the choice is stored for retraining
+  devicesList.addEventListener('click', (e) => {
+    const target = e.target.closest('.badge.relabel, button[data-label-cancel]');
+    if (!target) return;
+    const form = target.closest('.device').querySelector('.sound-label-form');
+    if (target.hasAttribute('data-label-cancel')) {
+      form.hidden = true;
+      return;
+    }
+    const dev = state.devices[target.closest('.device').dataset.deviceId] || {};
+    form.elements.label.innerHTML = '';
+    soundLabels().forEach((l) => form.elements.label.appendChild(new Option(`${l.icon || '🔊'} ${l.name}`, l.id)));
+    form.elements.label.value = dev.soundGuess || dev.soundType;
+    form.hidden = false;
+    form.elements.label.focus();
+  });
+  devicesList.addEventListener('submit', async (e) => {
+    const form = e.target;
+    if (!form.classList.contains('sound-label-form')) return;
+    e.preventDefault();
+    const { deviceId } = form.closest('.device').dataset;
+    try {
+      const { label, samples } = await window.api.labelSound(deviceId, form.elements.label.value);
+      form.hidden = true;
+      showToast(`Saved as ${soundName(label)}. ${samples} labeled sample${samples === 1 ? '' : 's'} for retraining`);
+    } catch (err) {
+      showToast(`Could not save the label: ${errorText(err)}`);
+    }
+  });
+
+  devicesList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-device-action]');
+    if (!btn) return;
+    const { deviceId } = btn.closest('.device').dataset;
+    const dev = state.devices[deviceId] || {};
+    try {
+      if (btn.dataset.deviceAction === 'forget') {
+        await window.api.forgetDevice(deviceId);
+        removeDevice(deviceId);
+      } else if (activeMute(dev.tableId)) {
+        await window.api.unmuteTable(dev.tableId);
+      } else {
+        await window.api.muteTable({ tableId: dev.tableId });
+      }
+    } catch (err) {
+      showToast(errorText(err));
+    }
+  });
+  window.api.onTableMutes(applyMutes);
+  // mutes run out on their own; refresh the buttons now and then
+  setInterval(() => Object.keys(state.devices).forEach(renderDeviceActions), 30 * 1000);
+}
+
+async function sendDeviceCommand(deviceId, command, params) {
+  try {
+    handleDeviceCommand(await window.api.sendDeviceCommand(deviceId, command, params));
+    return true;
+  } catch (e) {
+    showToast(`Could not send ${command.replace('_', ' ')} to ${deviceId}: ${errorText(e)}`);
+    return false;
+  }
+}
+
+// Keep the newest command per device; its progress shows on the card
+function handleDeviceCommand(command) {
+  const latest = state.commands[command.deviceId];
+  if (latest && latest.id !== command.id && latest.sentAt > command.sentAt) return;
+  state.commands[command.deviceId] = command;
+  const dev = state.devices[command.deviceId];
+  if (dev && command.state === 'done' && command.command === 'set_interval') {
+    dev.reportIntervalMs = (command.result && command.result.intervalMs) || command.params.intervalMs;
+  }
+  renderDeviceCommand(command.deviceId);
+}
+
+function loadDeviceCommands() {
+  window.api.queryDeviceCommands().then((commands) => commands.forEach(handleDeviceCommand))
+    .catch((e) => { console.debug('queryDeviceCommands failed', e && e.message); });
+}
+
+function renderDeviceCommand(deviceId) {
+  const card = document.getElementById(`dev-${deviceId}`);
+  if (!card) return;
+  const el = card.querySelector('.device-command-result');
+  const c = state.commands[deviceId];
+  el.hidden = !c;
+  if (!c) return;
+  const name = c.command.replace('_', ' ');
+  const time = new Date(c.updatedAt).toLocaleTimeString();
+  const detail = describeCommandResult(c);
+  const text = {
+    sent: `⏳ ${name} sent, waiting for the device`,
+    accepted: `⏳ ${name} in progress`,
+    done: `✓ ${name} done${detail ? `: ${detail}` : ''}`,
+    failed: `✗ ${name} failed: ${c.error}`,
+    timed_out: `✗ ${name} timed out: ${c.error}`
+  }[c.state];
+  el.textContent = `${text} • ${time}${c.requestedBy ? ` (${c.requestedBy})` : ''}`;
+  el.classList.toggle('warning', c.state === 'failed' || c.state === 'timed_out');
+}
+
+function describeCommandResult(c) {
+  const r = c.result || {};
+  if (c.command === 'set_interval') return `every ${(r.intervalMs || c.params.intervalMs) / 1000}s`;
+  if (c.command === 'calibrate' && typeof r.offsetDb === 'number') return `offset ${r.offsetDb > 0 ? '+' : ''}${r.offsetDb} dB`;
+  return c.message || '';
+}
+
+function loadMutes() {
+  window.api.queryMutes().then(applyMutes).catch((e) => { console.debug('queryMutes failed', e && e.message); });
+}
+
+function applyMutes(mutes) {
+  state.mutes = {};
+  mutes.forEach((m) => { state.mutes[m.tableId] = m; });
+  Object.keys(state.devices).forEach(renderDeviceActions);
+}
+
+function removeDevice(deviceId) {
+  delete state.devices[deviceId];
+  const el = document.getElementById(`dev-${deviceId}`);
+  if (el) el.remove();
+  if (noiseChart) {
+    noiseChart.data.datasets = noiseChart.data.datasets.filter((d) => d.label !== deviceId);
+    noiseChart.update();
+  }
 }
 
 // Sound type emoji
+// Sound type with the classifier's confidence, so a guess doesn't read like a certainty
+function renderSoundBadge(deviceId, soundType) {
+  const el = document.getElementById(`sound-${deviceId}`);
+  const dev = state.devices[deviceId] || {};
+  const confidence = typeof dev.soundConfidence === 'number' ? dev.soundConfidence : null;
+  let text = soundEmoji(soundType) + ' ' + soundName(soundType);
+  if (confidence !== null) {
+    const pct = `${Math.round(confidence * 100)}%`;
+    text += soundType === 'unknown' && dev.soundGuess ? ` (${soundName(dev.soundGuess)}? ${pct})` : ` ${pct}`;
+  }
+  el.textContent = text;
+  el.classList.toggle('low-confidence', soundType === 'unknown' && confidence !== null);
+  // only classified readings can be corrected; device-reported types have no features to learn from
+  const relabel = confidence !== null && can('sounds:label');
+  el.classList.toggle('relabel', relabel);
+  const scores = dev.soundScores
+    ? Object.entries(dev.soundScores).sort((a, b) => b[1] - a[1]).map(([label, p]) => `${soundName(label)} ${Math.round(p * 100)}%`).join(' • ')
+    : '';
+  el.title = relabel ? `${scores}\nClick to correct the label` : scores;
+}
+
+// Sound labels with their names and icons come from config.classifier.labels
+function soundLabels() {
+  return state.config ? state.config.classifier.labels : [];
+}
+
 function soundEmoji(type) {
-  const m = { music: '🎵', speech: '🗣️', vehicle: '🚗', typing: '⌨️', silence: '🔇' };
-  return type ? m[type] || '🔊' : '';
+  if (type === 'unknown') return '❔';
+  const label = soundLabels().find((l) => l.id === type);
+  return type ? (label && label.icon) || '🔊' : '';
+}
+
+function soundName(type) {
+  const label = soundLabels().find((l) => l.id === type);
+  return label ? label.name : type || '';
 }
 
 // Trim chart data
@@ -316,6 +856,11 @@ function showToast(msg) {
   setTimeout(() => { m.style.opacity = '0'; setTimeout(() => m.remove(), 500); }, 3000);
 }
 
+// Message of an error from an IPC call, without Electron's "Error invoking remote method" wrapper
+function errorText(e) {
+  return String((e && e.message) || e).replace(/^Error invoking remote method '[^']+': /, '').replace(/^\w*Error: /, '');
+}
+
 // Random color for chart line
 function randomColorFor(key) {
   let hash = 0;
@@ -337,5 +882,18 @@ function hexToRgba(hex, alpha = 1) {
 // Check login session and register network listener early (so it shows on login screen)
 window.addEventListener('DOMContentLoaded', () => {
   if (window.api && window.api.onNetworkStatus) window.api.onNetworkStatus(updateNetworkStatus);
+  document.getElementById('logout-btn').addEventListener('click', handleLogout);
+  window.api.onSessionEnded((d) => {
+    if (state.isLoggedIn) endSession(SESSION_END_MESSAGES[d.reason] || 'You have been logged out.');
+  });
+  window.api.onSessionChanged((session) => {
+    if (!state.isLoggedIn) return;
+    applySession(session);
+    // leave a view the new role can't use
+    const active = document.querySelector('.view-tab.active');
+    if (active && active.hidden) showView('live');
+    showToast(`Your role is now ${session.role}`);
+  });
+  ['keydown', 'mousedown', 'mousemove', 'wheel'].forEach((type) => window.addEventListener(type, reportActivity, { passive: true }));
   checkSession();
 });
@@ -0,0 +1,400 @@
+/**
+ * Noise report generator
+ * Summarises stored history for a period into per-table and per-device statistics
+ * and renders it as CSV or as self-contained printable HTML (main.js turns that into a PDF).
+ */
+
+// A reading only counts as "above threshold" until the next one, and never for longer than this
+const MAX_INTERVAL_MS = 15_000;
+const TRACKED_ALERT_TYPES = ['noise_exceed', 'possible_sensor_issue', 'device_offline', 'sensor_health'];
+const BUSIEST_HOURS = 3;
+
+function newStats() {
+  return { readings: 0, sum: 0, peak: null, aboveMs: 0, soundTypes: {}, alerts: {} };
+}
+
+function addReading(stats, noise, soundType) {
+  stats.readings++;
+  stats.sum += noise;
+  stats.peak = stats.peak === null ? noise : Math.max(stats.peak, noise);
+  const type = soundType || 'unknown';
+  stats.soundTypes[type] = (stats.soundTypes[type] || 0) + 1;
+}
+
+function addAlert(stats, type) {
+  stats.alerts[type] = (stats.alerts[type] || 0) + 1;
+}
+
+// A nudge is stored when sent and again once its follow-up check has run
+function addNudge(nudges, nudge) {
+  const key = `${nudge.level} ${nudge.mode}`;
+  const n = nudges.get(key) || { signal: key, sent: 0, checked: 0, quieted: 0, dropSum: 0 };
+  if (!nudge.outcome) {
+    n.sent++;
+  } else {
+    n.checked++;
+    if (nudge.outcome.quieted) n.quieted++;
+    n.dropSum += nudge.outcome.dropDb;
+  }
+  nudges.set(key, n);
+}
+
+function summariseNudges(nudges) {
+  return [...nudges.values()].map(({ signal, sent, checked, quieted, dropSum }) => ({
+    signal,
+    sent,
+    checked,
+    quieted,
+    quietedShare: checked ? round1((quieted / checked) * 100) : null,
+    avgDropDb: checked ? round1(dropSum / checked) : null
+  })).sort((a, b) => a.signal.localeCompare(b.signal));
+}
+
+// Readings from test recordings carry the sound that is really on them (see wav_emulator.js)
+function addTruth(truths, truthLabel, soundType) {
+  const t = truths.get(truthLabel) || { truthLabel, readings: 0, correct: 0, predicted: {} };
+  const predicted = soundType || 'unknown';
+  t.readings++;
+  if (predicted === truthLabel) t.correct++;
+  t.predicted[predicted] = (t.predicted[predicted] || 0) + 1;
+  truths.set(truthLabel, t);
+}
+
+// Accuracy per true label and overall, with the label each is most often mistaken for
+function summariseAccuracy(truths) {
+  const labels = [...truths.values()].map(({ truthLabel, readings, correct, predicted }) => {
+    const [confusedWith, confusedCount] = Object.entries(predicted)
+      .filter(([label]) => label !== truthLabel)
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    return { truthLabel, readings, correct, accuracy: round1((correct / readings) * 100), confusedWith, confusedCount };
+  }).sort((a, b) => a.truthLabel.localeCompare(b.truthLabel));
+  const readings = labels.reduce((n, l) => n + l.readings, 0);
+  const correct = labels.reduce((n, l) => n + l.correct, 0);
+  return { readings, correct, accuracy: readings ? round1((correct / readings) * 100) : null, labels };
+}
+
+function summarise(stats) {
+  const alertCount = Object.values(stats.alerts).reduce((n, c) => n + c, 0);
+  return {
+    readings: stats.readings,
+    avgDb: stats.readings ? round1(stats.sum / stats.readings) : null,
+    peakDb: stats.peak,
+    minutesAbove: round1(stats.aboveMs / 60_000),
+    soundTypes: soundBreakdown(stats.soundTypes, stats.readings),
+    alerts: stats.alerts,
+    alertCount
+  };
+}
+
+function soundBreakdown(counts, total) {
+  return Object.entries(counts)
+    .map(([soundType, readings]) => ({ soundType, readings, share: total ? round1((readings / total) * 100) : 0 }))
+    .sort((a, b) => b.readings - a.readings);
+}
+
+// Total length of a set of [start, end] intervals, counting overlaps once
+function unionLength(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let cur = null;
+  for (const [start, end] of sorted) {
+    if (!cur || start > cur[1]) {
+      if (cur) total += cur[1] - cur[0];
+      cur = [start, end];
+    } else if (end > cur[1]) {
+      cur[1] = end;
+    }
+  }
+  if (cur) total += cur[1] - cur[0];
+  return total;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Build a report for a period from the history store
+ * @param {HistoryStore} historyStore
+ * @param {Object} options - { from, to, threshold, thresholdFor(tableId, timestamp), maxIntervalMs }
+ * @returns {Promise<Object>} report
+ */
+async function buildReport(historyStore, options = {}) {
+  const threshold = options.threshold ?? 65;
+  const thresholdFor = options.thresholdFor || (() => threshold);
+  const maxIntervalMs = options.maxIntervalMs || MAX_INTERVAL_MS;
+
+  const overall = newStats();
+  const tables = new Map();
+  const devices = new Map();
+  const tableAbove = new Map(); // tableId -> [[start, end], ...]
+  const hours = Array.from({ length: 24 }, () => newStats());
+  const last = new Map(); // deviceId -> { timestamp, above }
+  const nudges = new Map(); // "level mode" -> counts
+  const truths = new Map(); // truthLabel -> classifier hits and misses
+
+  const statsFor = (map, key, extra) => {
+    if (!map.has(key)) map.set(key, { ...extra, ...newStats() });
+    return map.get(key);
+  };
+
+  // Time spent above the threshold is the gap until the device's next reading, so it needs each
+  // device's readings in time order. A segment is in arrival order (backfill comes late), but it
+  // holds one day, so the readings are sorted a day at a time.
+  let pending = []; // [timestamp, deviceId, tableId, above] of the day being read
+  let pendingDay = null;
+  const countAbove = () => {
+    pending.sort((a, b) => a[0] - b[0]);
+    for (const [timestamp, deviceId, tableId, above] of pending) {
+      const prev = last.get(deviceId);
+      if (prev && prev.above) {
+        const gap = timestamp - prev.timestamp;
+        if (gap > 0 && gap <= maxIntervalMs) {
+          devices.get(deviceId).aboveMs += gap;
+          hours[new Date(prev.timestamp).getHours()].aboveMs += gap;
+          if (!tableAbove.has(tableId)) tableAbove.set(tableId, []);
+          tableAbove.get(tableId).push([prev.timestamp, timestamp]);
+        }
+      }
+      last.set(deviceId, { timestamp, above });
+    }
+    pending = [];
+  };
+
+  const { from, to } = await historyStore.scan({ kind: 'readings', from: options.from, to: options.to }, (r) => {
+    // a reference tone played while calibrating isn't library noise
+    if (r.calibrating) return;
+    const noise = Number(r.noiseLevel);
+    if (!Number.isFinite(noise)) return;
+    const tableId = r.tableId || 'unassigned';
+    const table = statsFor(tables, tableId, { tableId });
+    const device = statsFor(devices, r.deviceId, { deviceId: r.deviceId, tableId });
+    const hour = hours[new Date(r.timestamp).getHours()];
+    [overall, table, device, hour].forEach((s) => addReading(s, noise, r.soundType));
+    if (r.truthLabel) addTruth(truths, r.truthLabel, r.soundType);
+
+    const day = new Date(r.timestamp).toDateString();
+    if (day !== pendingDay) {
+      countAbove();
+      pendingDay = day;
+    }
+    // prefer the limit recorded with the reading: rules may have changed since
+    const limit = typeof r.threshold === 'number' ? r.threshold : thresholdFor(tableId, r.timestamp);
+    pending.push([r.timestamp, r.deviceId, tableId, noise >= limit]);
+  });
+  countAbove();
+
+  await historyStore.scan({ kind: 'alerts', from, to }, (a) => {
+    if (a.event === 'nudged' && a.nudge) addNudge(nudges, a.nudge);
+    // each incident counts once, when it opened
+    if (a.event && a.event !== 'opened') return;
+    const type = a.type || 'unknown';
+    addAlert(overall, type);
+    addAlert(hours[new Date(a.timestamp).getHours()], type);
+    if (a.tableId) addAlert(statsFor(tables, a.tableId, { tableId: a.tableId }), type);
+    if (a.deviceId) addAlert(statsFor(devices, a.deviceId, { deviceId: a.deviceId, tableId: a.tableId || 'unassigned' }), type);
+  });
+
+  for (const [tableId, intervals] of tableAbove) tables.get(tableId).aboveMs = unionLength(intervals);
+  overall.aboveMs = unionLength([...tableAbove.values()].flat());
+  for (const type of TRACKED_ALERT_TYPES) overall.alerts[type] = overall.alerts[type] || 0;
+
+  const hourly = hours.map((h, hour) => ({ hour, ...summarise(h) }));
+  const busiestHours = hourly
+    .filter((h) => h.readings > 0)
+    .sort((a, b) => b.minutesAbove - a.minutesAbove || b.avgDb - a.avgDb)
+    .slice(0, BUSIEST_HOURS);
+
+  return {
+    generatedAt: Date.now(),
+    from,
+    to,
+    threshold,
+    totals: summarise(overall),
+    tables: [...tables.values()].map((t) => ({ tableId: t.tableId, ...summarise(t) })).sort((a, b) => a.tableId.localeCompare(b.tableId)),
+    devices: [...devices.values()].map((d) => ({ deviceId: d.deviceId, tableId: d.tableId, ...summarise(d) })).sort((a, b) => a.deviceId.localeCompare(b.deviceId)),
+    hourly,
+    busiestHours,
+    nudges: summariseNudges(nudges),
+    classifier: summariseAccuracy(truths)
+  };
+}
+
+// ---- CSV ----
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',');
+}
+
+function alertTypesOf(report) {
+  return Object.keys(report.totals.alerts).sort();
+}
+
+function toCsv(report) {
+  const alertTypes = alertTypesOf(report);
+  const lines = [];
+  lines.push(csvRow(['Noise report', formatDateTime(report.from), formatDateTime(report.to)]));
+  lines.push(csvRow(['Generated', formatDateTime(report.generatedAt)]));
+  lines.push(csvRow(['Default threshold (dB)', report.threshold]));
+  lines.push('');
+
+  const statsHeader = ['Readings', 'Average dB', 'Peak dB', 'Minutes above threshold', 'Top sound', ...alertTypes.map((t) => `Alerts: ${t}`)];
+  const statsCells = (s) => [s.readings, s.avgDb, s.peakDb, s.minutesAbove, s.soundTypes[0]?.soundType, ...alertTypes.map((t) => s.alerts[t] || 0)];
+
+  lines.push('Tables');
+  lines.push(csvRow(['Table', ...statsHeader]));
+  report.tables.forEach((t) => lines.push(csvRow([t.tableId, ...statsCells(t)])));
+  lines.push(csvRow(['All tables', ...statsCells(report.totals)]));
+  lines.push('');
+
+  lines.push('Devices');
+  lines.push(csvRow(['Device', 'Table', ...statsHeader]));
+  report.devices.forEach((d) => lines.push(csvRow([d.deviceId, d.tableId, ...statsCells(d)])));
+  lines.push('');
+
+  lines.push('Sound types');
+  lines.push(csvRow(['Scope', 'Id', 'Sound type', 'Readings', 'Share %']));
+  report.totals.soundTypes.forEach((s) => lines.push(csvRow(['all', '', s.soundType, s.readings, s.share])));
+  report.tables.forEach((t) => t.soundTypes.forEach((s) => lines.push(csvRow(['table', t.tableId, s.soundType, s.readings, s.share]))));
+  report.devices.forEach((d) => d.soundTypes.forEach((s) => lines.push(csvRow(['device', d.deviceId, s.soundType, s.readings, s.share]))));
+  lines.push('');
+
+  lines.push('Alerts by type');
+  lines.push(csvRow(['Type', 'Count']));
+  alertTypes.forEach((t) => lines.push(csvRow([t, report.totals.alerts[t]])));
+  lines.push('');
+
+  lines.push('Hourly');
+  lines.push(csvRow(['Hour', 'Readings', 'Average dB', 'Peak dB', 'Minutes above threshold', 'Alerts']));
+  report.hourly.forEach((h) => lines.push(csvRow([formatHour(h.hour), h.readings, h.avgDb, h.peakDb, h.minutesAbove, h.alertCount])));
+  lines.push('');
+
+  lines.push('Busiest hours');
+  lines.push(csvRow(['Rank', 'Hour', 'Minutes above threshold', 'Average dB']));
+  report.busiestHours.forEach((h, i) => lines.push(csvRow([i + 1, formatHour(h.hour), h.minutesAbove, h.avgDb])));
+  lines.push('');
+
+  lines.push('Nudges');
+  lines.push(csvRow(['Signal', 'Sent', 'Followed up', 'Quieted', 'Quieted %', 'Average drop dB']));
+  report.nudges.forEach((n) => lines.push(csvRow([n.signal, n.sent, n.checked, n.quieted, n.quietedShare, n.avgDropDb])));
+
+  // only when labeled test recordings were played in the period
+  if (report.classifier.readings) {
+    lines.push('');
+    lines.push('Classifier accuracy');
+    lines.push(csvRow(['True label', 'Readings', 'Correct', 'Accuracy %', 'Most confused with', 'Times']));
+    report.classifier.labels.forEach((l) => lines.push(csvRow([l.truthLabel, l.readings, l.correct, l.accuracy, l.confusedWith, l.confusedCount || ''])));
+    lines.push(csvRow(['all', report.classifier.readings, report.classifier.correct, report.classifier.accuracy]));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---- Printable HTML ----
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function htmlTable(headers, rows) {
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c ?? '—')}</td>`).join('')}</tr>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body || `<tr><td colspan="${headers.length}">No data</td></tr>`}</tbody></table>`;
+}
+
+function toHtml(report) {
+  const alertTypes = alertTypesOf(report);
+  const statsHeader = ['Readings', 'Avg dB', 'Peak dB', 'Min. above', ...alertTypes.map(alertLabel)];
+  const statsCells = (s) => [s.readings, s.avgDb, s.peakDb, s.minutesAbove, ...alertTypes.map((t) => s.alerts[t] || 0)];
+  const maxAvg = Math.max(1, ...report.hourly.map((h) => h.avgDb || 0));
+  const bars = report.hourly.map((h) => `
+      <div class="bar" title="${formatHour(h.hour)}: ${h.avgDb ?? '—'} dB">
+        <div class="fill" style="height:${Math.round(((h.avgDb || 0) / maxAvg) * 100)}%"></div>
+        <span>${String(h.hour).padStart(2, '0')}</span>
+      </div>`).join('');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Noise report ${escapeHtml(formatDate(report.from))} – ${escapeHtml(formatDate(report.to))}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #1f2937; margin: 24px; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px 0; }
+  h2 { font-size: 14px; margin: 22px 0 8px 0; color: #25455f; }
+  .muted { color: #6b7280; }
+  .cards { display: flex; gap: 12px; margin-top: 14px; }
+  .card { flex: 1; border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px; }
+  .card b { display: block; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; page-break-inside: auto; }
+  tr { page-break-inside: avoid; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 5px 6px; text-align: left; }
+  th { background: #f1f5f9; }
+  .hours { display: flex; align-items: flex-end; gap: 3px; height: 120px; border-bottom: 1px solid #cbd5e1; }
+  .bar { flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; }
+  .bar .fill { width: 100%; background: #3b82f6; }
+  .bar span { font-size: 9px; color: #6b7280; }
+</style>
+</head>
+<body>
+  <h1>Library noise report</h1>
+  <div class="muted">${escapeHtml(formatDateTime(report.from))} – ${escapeHtml(formatDateTime(report.to))} • default threshold ${escapeHtml(report.threshold)} dB • generated ${escapeHtml(formatDateTime(report.generatedAt))}</div>
+
+  <div class="cards">
+    <div class="card">Average<b>${escapeHtml(report.totals.avgDb ?? '—')} dB</b></div>
+    <div class="card">Peak<b>${escapeHtml(report.totals.peakDb ?? '—')} dB</b></div>
+    <div class="card">Minutes above threshold<b>${escapeHtml(report.totals.minutesAbove)}</b></div>
+    <div class="card">Alerts<b>${escapeHtml(report.totals.alertCount)}</b></div>
+  </div>
+
+  <h2>Tables</h2>
+  ${htmlTable(['Table', ...statsHeader, 'Top sound'], report.tables.map((t) => [t.tableId, ...statsCells(t), t.soundTypes[0]?.soundType]))}
+
+  <h2>Devices</h2>
+  ${htmlTable(['Device', 'Table', ...statsHeader], report.devices.map((d) => [d.deviceId, d.tableId, ...statsCells(d)]))}
+
+  <h2>Sound types</h2>
+  ${htmlTable(['Sound type', 'Readings', 'Share %'], report.totals.soundTypes.map((s) => [s.soundType, s.readings, s.share]))}
+
+  <h2>Alerts by type</h2>
+  ${htmlTable(['Type', 'Count'], alertTypes.map((t) => [alertLabel(t), report.totals.alerts[t]]))}
+
+  <h2>Average level by hour of day</h2>
+  <div class="hours">${bars}</div>
+
+  <h2>Busiest hours</h2>
+  ${htmlTable(['Hour', 'Minutes above threshold', 'Avg dB', 'Alerts'], report.busiestHours.map((h) => [formatHour(h.hour), h.minutesAbove, h.avgDb, h.alertCount]))}
+
+  <h2>Nudges</h2>
+  ${htmlTable(['Signal', 'Sent', 'Followed up', 'Quieted', 'Quieted %', 'Avg drop dB'], report.nudges.map((n) => [n.signal, n.sent, n.checked, n.quieted, n.quietedShare, n.avgDropDb]))}
+${report.classifier.readings ? `
+  <h2>Classifier accuracy on labeled recordings</h2>
+  <div class="muted">${escapeHtml(report.classifier.correct)} of ${escapeHtml(report.classifier.readings)} readings correct (${escapeHtml(report.classifier.accuracy)}%)</div>
+  ${htmlTable(['True label', 'Readings', 'Correct', 'Accuracy %', 'Most confused with'], report.classifier.labels.map((l) => [l.truthLabel, l.readings, l.correct, l.accuracy, l.confusedWith && `${l.confusedWith} (${l.confusedCount})`]))}
+` : ''}</body>
+</html>`;
+}
+
+function alertLabel(type) {
+  return { noise_exceed: 'Noise exceeded', possible_sensor_issue: 'Sensor issue', device_offline: 'Offline', sensor_health: 'Sensor health' }[type] || type;
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00–${String((hour + 1) % 24).padStart(2, '0')}:00`;
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString();
+}
+
+function formatDateTime(ts) {
+  return new Date(ts).toLocaleString();
+}
+
+module.exports = { buildReport, toCsv, toHtml };
@@ -0,0 +1,285 @@
+/**
+ * Simulator scenarios: a library floor layout plus a timeline of what happens where
+ * multi_device_simulator.js plays a scenario file (JSON) so demos and regression checks behave the
+ * same every time:
+ *   {
+ *     "name": "Weekday morning",
+ *     "start": "10:00",                 scenario clock when the simulator starts
+ *     "end": "10:45",                   optional, default 2 minutes after the last event
+ *     "seed": 42,                       optional, same seed = same readings
+ *     "intervalMs": 2000,               optional, how often each device reports (real time)
+ *     "baseline": "silence",            optional, what devices hear when no event is on
+ *     "layout": {
+ *       "zones": { "Silent floor": { "baseline": "silence", "tables": { "Table-A": 2, "Table-B": ["B1", "B2"] } } },
+ *       "tables": { "Table-C": 3 }      tables outside any zone
+ *     },
+ *     "sounds": { "sneeze": { "noiseRange": [60, 75], "freqPattern": { "low": 0.1, "mid": 0.5, "high": 0.4 }, "volatility": 0.9 } },
+ *     "events": [
+ *       { "at": "10:05", "type": "sound", "sound": "speech", "tables": ["Table-C"], "forMin": 3, "noiseDb": [68, 78], "note": "group conversation" },
+ *       { "at": "10:20", "type": "sound", "sound": "phone_ring", "zones": ["Silent floor"], "forMin": 0.5 },
+ *       { "at": "10:30", "type": "offline", "devices": ["B2"], "forMin": 5 },
+ *       { "at": "10:35", "type": "fault", "fault": "stuck:value=85", "devices": ["A2"], "forMin": 5 }
+ *     ]
+ *   }
+ * A table given as a number gets devices named after it: Table-B with 2 -> B1, B2. Events target
+ * devices, tables and/or zones (everyone if none is given); while several sound events overlap on
+ * a device the one that started last is heard. Offline and fault events without forMin last to the end.
+ * A fault is a sim_faults.js fault, as a string ("drift:dbPerMin=3") or an object ({ "type": "drift", "dbPerMin": 3 }).
+ */
+
+const fs = require('fs');
+const { describeFault, parseFault } = require('./sim_faults');
+
+// Feature profiles the simulators draw readings from; a scenario's "sounds" add to or replace them
+const SOUND_PROFILES = {
+  speech: { description: 'People talking', noiseRange: [55, 75], freqPattern: { low: 0.2, mid: 0.65, high: 0.15 }, volatility: 0.35 },
+  music: { description: 'Playing music/entertainment', noiseRange: [65, 85], freqPattern: { low: 0.3, mid: 0.4, high: 0.3 }, volatility: 0.5 },
+  vehicle: { description: 'Traffic noise', noiseRange: [70, 90], freqPattern: { low: 0.55, mid: 0.3, high: 0.15 }, volatility: 0.1 },
+  typing: { description: 'Keyboard/mouse clicking', noiseRange: [45, 65], freqPattern: { low: 0.1, mid: 0.3, high: 0.6 }, volatility: 0.7 },
+  silence: { description: 'Quiet/no activity', noiseRange: [30, 45], freqPattern: { low: 0.2, mid: 0.2, high: 0.2 }, volatility: 0.05 },
+  phone_ring: { description: 'Phone ringing', noiseRange: [62, 78], freqPattern: { low: 0.05, mid: 0.45, high: 0.5 }, volatility: 0.6 },
+  laughter: { description: 'Laughter', noiseRange: [65, 80], freqPattern: { low: 0.15, mid: 0.6, high: 0.25 }, volatility: 0.8 },
+  cart: { description: 'Book cart rolling past', noiseRange: [55, 70], freqPattern: { low: 0.6, mid: 0.3, high: 0.1 }, volatility: 0.4 },
+  door: { description: 'Door slamming', noiseRange: [60, 80], freqPattern: { low: 0.5, mid: 0.35, high: 0.15 }, volatility: 0.9 },
+  vacuum: { description: 'Vacuum cleaner', noiseRange: [70, 85], freqPattern: { low: 0.35, mid: 0.35, high: 0.3 }, volatility: 0.08 }
+};
+
+const EVENT_TYPES = ['sound', 'offline', 'fault'];
+const DEFAULT_INTERVAL_MS = 2000;
+const DEFAULT_TAIL_MIN = 2;
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+// "10:05" or "10:05:30" -> minutes since midnight
+function parseClock(value) {
+  const m = typeof value === 'string' && value.match(TIME_RE);
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2]) + Number(m[3] || 0) / 60;
+}
+
+function formatClock(minutes) {
+  const total = Math.floor(minutes * 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600) % 24)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+// Table-B -> B1, B2, ...
+function deviceIdsFor(tableId, count) {
+  const base = tableId.replace(/^table[-_ ]?/i, '') || tableId;
+  return Array.from({ length: count }, (_, i) => `${base}${i + 1}`);
+}
+
+// Small seeded generator (mulberry32), so a scenario sends the same readings every run
+function createRng(seed, key = '') {
+  let state = seed >>> 0;
+  for (const ch of key) state = Math.imul(state ^ ch.charCodeAt(0), 2654435761) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isRange = (v) => Array.isArray(v) && v.length === 2 && v.every((n) => typeof n === 'number' && n >= 0 && n <= 140) && v[0] <= v[1];
+
+function checkProfile(profile, at, errors) {
+  if (!isObject(profile)) return errors.push(`${at}: expected an object`);
+  if (!isRange(profile.noiseRange)) errors.push(`${at}.noiseRange: expected [min, max] dB within 0–140`);
+  const f = profile.freqPattern;
+  if (!isObject(f) || !['low', 'mid', 'high'].every((k) => typeof f[k] === 'number' && f[k] >= 0 && f[k] <= 1)) {
+    errors.push(`${at}.freqPattern: expected { low, mid, high } between 0 and 1`);
+  }
+  if (typeof profile.volatility !== 'number' || profile.volatility < 0 || profile.volatility > 1) errors.push(`${at}.volatility: expected a number between 0 and 1`);
+}
+
+// Devices of one layout table: a count or a list of ids
+function layoutDevices(tableId, spec, zone, baseline, at, errors) {
+  let ids;
+  if (Number.isInteger(spec) && spec >= 1 && spec <= 50) ids = deviceIdsFor(tableId, spec);
+  else if (Array.isArray(spec) && spec.length && spec.every((id) => typeof id === 'string' && /^[A-Za-z0-9._:-]{1,64}$/.test(id))) ids = spec;
+  else {
+    errors.push(`${at}: expected a device count (1–50) or a list of device ids`);
+    return [];
+  }
+  return ids.map((deviceId) => ({ deviceId, tableId, zone, baseline }));
+}
+
+/**
+ * Check a parsed scenario and resolve names, times and targets
+ * @param {Object} raw - the scenario file's JSON
+ * @returns {Object} { name, seed, intervalMs, start, end (minutes), sounds, devices: [{ deviceId, tableId, zone, baseline }],
+ *   events: [{ index, type, from, to, sound?, noiseDb?, fault?, note?, target (names, null = everywhere), deviceIds }] }
+ * @throws {Error} listing every problem found
+ */
+function resolveScenario(raw) {
+  const errors = [];
+  if (!isObject(raw)) throw new Error('Scenario must be a JSON object');
+
+  const sounds = { ...SOUND_PROFILES };
+  if (raw.sounds !== undefined) {
+    if (!isObject(raw.sounds)) errors.push('sounds: expected an object of sound profiles');
+    else {
+      for (const [name, profile] of Object.entries(raw.sounds)) {
+        checkProfile(profile, `sounds.${name}`, errors);
+        sounds[name] = { description: name, ...profile };
+      }
+    }
+  }
+  const knownSound = (name, at) => {
+    if (typeof name === 'string' && sounds[name]) return true;
+    errors.push(`${at}: unknown sound "${name}" (known: ${Object.keys(sounds).join(', ')})`);
+    return false;
+  };
+
+  const start = parseClock(raw.start);
+  if (start === null) errors.push('start: expected a time like "10:00"');
+  const baseline = raw.baseline === undefined ? 'silence' : raw.baseline;
+  knownSound(baseline, 'baseline');
+  const intervalMs = raw.intervalMs === undefined ? DEFAULT_INTERVAL_MS : raw.intervalMs;
+  if (!Number.isInteger(intervalMs) || intervalMs < 500 || intervalMs > 600_000) errors.push('intervalMs: expected a whole number of ms between 500 and 600000');
+  if (raw.seed !== undefined && !Number.isInteger(raw.seed)) errors.push('seed: expected a whole number');
+
+  // layout
+  const devices = [];
+  const layout = raw.layout;
+  if (!isObject(layout)) {
+    errors.push('layout: expected { zones?, tables? }');
+  } else {
+    for (const [zone, spec] of Object.entries(layout.zones || {})) {
+      if (!isObject(spec) || !isObject(spec.tables)) {
+        errors.push(`layout.zones.${zone}: expected { tables, baseline? }`);
+        continue;
+      }
+      const zoneBaseline = spec.baseline === undefined ? baseline : spec.baseline;
+      knownSound(zoneBaseline, `layout.zones.${zone}.baseline`);
+      for (const [tableId, count] of Object.entries(spec.tables)) {
+        devices.push(...layoutDevices(tableId, count, zone, zoneBaseline, `layout.zones.${zone}.tables.${tableId}`, errors));
+      }
+    }
+    for (const [tableId, count] of Object.entries(layout.tables || {})) {
+      devices.push(...layoutDevices(tableId, count, null, baseline, `layout.tables.${tableId}`, errors));
+    }
+    if (!devices.length && !errors.length) errors.push('layout: no devices');
+  }
+  const seen = new Set();
+  for (const d of devices) {
+    if (seen.has(d.deviceId)) errors.push(`layout: device ${d.deviceId} appears twice`);
+    seen.add(d.deviceId);
+  }
+
+  // events
+  const events = [];
+  if (raw.events !== undefined && !Array.isArray(raw.events)) errors.push('events: expected a list');
+  (Array.isArray(raw.events) ? raw.events : []).forEach((e, index) => {
+    const at = `events[${index}]`;
+    if (!isObject(e)) return errors.push(`${at}: expected an object`);
+    const from = parseClock(e.at);
+    if (from === null) errors.push(`${at}.at: expected a time like "10:05"`);
+    else if (start !== null && from < start) errors.push(`${at}.at: ${e.at} is before the scenario starts (${raw.start})`);
+    if (!EVENT_TYPES.includes(e.type)) errors.push(`${at}.type: expected one of ${EVENT_TYPES.join(', ')}`);
+    if (e.forMin !== undefined && !(typeof e.forMin === 'number' && e.forMin > 0)) errors.push(`${at}.forMin: expected a number of minutes above 0`);
+    if (e.type === 'sound') {
+      knownSound(e.sound, `${at}.sound`);
+      if (e.forMin === undefined) errors.push(`${at}.forMin: a sound needs a duration`);
+      if (e.noiseDb !== undefined && !isRange(e.noiseDb)) errors.push(`${at}.noiseDb: expected [min, max] dB within 0–140`);
+    }
+    let fault;
+    if (e.type === 'fault') {
+      try {
+        fault = parseFault(e.fault);
+      } catch (err) {
+        errors.push(`${at}.fault: ${err.message}`);
+      }
+    }
+
+    // targets: devices, tables and zones add up; none means the whole floor
+    let targets = devices;
+    const picked = new Set();
+    const pick = (key, match) => {
+      if (e[key] === undefined) return;
+      if (!Array.isArray(e[key])) return errors.push(`${at}.${key}: expected a list`);
+      for (const name of e[key]) {
+        const hits = devices.filter((d) => match(d, name));
+        if (!hits.length) errors.push(`${at}.${key}: no ${key.slice(0, -1)} "${name}" in the layout`);
+        hits.forEach((d) => picked.add(d));
+      }
+    };
+    pick('devices', (d, name) => d.deviceId === name);
+    pick('tables', (d, name) => d.tableId === name);
+    pick('zones', (d, name) => d.zone === name);
+    if (e.devices !== undefined || e.tables !== undefined || e.zones !== undefined) targets = devices.filter((d) => picked.has(d));
+    const target = [...(e.devices || []), ...(e.tables || []), ...(e.zones || [])].join(', ') || null;
+
+    events.push({
+      index,
+      type: e.type,
+      from,
+      to: e.forMin === undefined ? Infinity : from + e.forMin,
+      sound: e.sound,
+      noiseDb: e.noiseDb,
+      fault,
+      note: e.note,
+      target,
+      deviceIds: targets.map((d) => d.deviceId)
+    });
+  });
+
+  let end = raw.end === undefined ? null : parseClock(raw.end);
+  if (raw.end !== undefined && end === null) errors.push('end: expected a time like "10:45"');
+  else if (end !== null && start !== null && end <= start) errors.push('end: must be after start');
+
+  if (errors.length) throw new Error(`Invalid scenario:\n  - ${errors.join('\n  - ')}`);
+
+  if (end === null) {
+    const last = Math.max(start, ...events.map((e) => (Number.isFinite(e.to) ? e.to : e.from)));
+    end = last + DEFAULT_TAIL_MIN;
+  }
+  return {
+    name: typeof raw.name === 'string' ? raw.name : 'Unnamed scenario',
+    seed: raw.seed === undefined ? 1 : raw.seed,
+    intervalMs,
+    start,
+    end,
+    sounds,
+    devices,
+    events: events.sort((a, b) => a.from - b.from || a.index - b.index)
+  };
+}
+
+function loadScenario(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read scenario ${file}: ${err.message}`);
+  }
+  return resolveScenario(raw);
+}
+
+/**
+ * What a device hears at a moment of the scenario
+ * @param {number} minute - scenario clock, minutes since midnight
+ * @returns {Object} { sound, noiseDb?, event?, offline }
+ */
+function stateAt(scenario, deviceId, minute) {
+  const device = scenario.devices.find((d) => d.deviceId === deviceId);
+  const active = scenario.events.filter((e) => e.from <= minute && minute < e.to && e.deviceIds.includes(deviceId));
+  const offline = active.some((e) => e.type === 'offline');
+  const sound = active.filter((e) => e.type === 'sound').pop();
+  if (sound) return { sound: sound.sound, noiseDb: sound.noiseDb, event: sound, offline };
+  return { sound: device ? device.baseline : 'silence', offline };
+}
+
+// e.g. "speech at Table-C for 3 min (group conversation)", "B2 offline for 5 min"
+function describeEvent(event) {
+  const duration = Number.isFinite(event.to) ? ` for ${Math.round((event.to - event.from) * 60) / 60} min` : '';
+  const where = event.target ? `at ${event.target}` : 'everywhere';
+  let what = `${event.sound} ${where}`;
+  if (event.type === 'offline') what = `${event.target || 'every device'} offline`;
+  if (event.type === 'fault') what = `${describeFault(event.fault)} fault ${where}`;
+  return `${what}${duration}${event.note ? ` (${event.note})` : ''}`;
+}
+
+module.exports = { SOUND_PROFILES, createRng, deviceIdsFor, describeEvent, formatClock, loadScenario, resolveScenario, stateAt };
@@ -0,0 +1,152 @@
+/**
+ * Sensor health
+ * Keeps a rolling window of each device's live readings, with what its table peers were reporting at
+ * the time, and scores how far the sensor can be trusted: 100 when nothing looks wrong, less for each
+ * problem found (PENALTIES), each with a reason:
+ *   stuck           the level has barely moved over health.windowMin, e.g. a frozen value or a dead
+ *                   microphone reporting constant silence
+ *   outlier         it typically reads far above or below the median of its table
+ *   drifting        its distance from the table keeps changing over health.driftWindowMin, steadily
+ *                   enough to stand out from the usual scatter, and more than any table mate's does
+ *                   (one drifting device shifts everyone's distance from the table a little)
+ *   noisy           its level jumps between readings much more than its peers' do
+ *   erratic_timing  its readings arrive at very uneven intervals
+ * The peer checks (outlier, drifting, noisy) need at least MIN_PEERS other devices reporting at the
+ * table: with a single peer there is no telling which of the two is off. The table's median includes
+ * the device itself, so one bad device doesn't make its neighbours look off too. A device with fewer than
+ * health.minReadings readings in the window isn't scored yet. Backfilled readings are left out:
+ * they say nothing about the sensor now.
+ */
+
+const PENALTIES = { stuck: 60, outlier: 40, drifting: 40, noisy: 30, erratic_timing: 25 };
+const MIN_PEERS = 2;
+// jumps between readings smaller than this are never noisy, whatever the peers do
+const NOISY_MIN_DB = 5;
+
+const round = (n) => Math.round(n * 10) / 10;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function std(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Average size of the change from one reading to the next
+function meanJump(levels) {
+  return levels.length < 2 ? null : mean(levels.slice(1).map((level, i) => Math.abs(level - levels[i])));
+}
+
+// Least-squares slope of offset over time, in dB per minute, with its standard error
+function trend(samples) {
+  const t = samples.map((s) => s.at / 60_000);
+  const y = samples.map((s) => s.offset);
+  const tMean = mean(t);
+  const yMean = mean(y);
+  const den = t.reduce((sum, ti) => sum + (ti - tMean) ** 2, 0);
+  if (!den || samples.length < 3) return { slope: 0, error: Infinity };
+  const slope = t.reduce((sum, ti, i) => sum + (ti - tMean) * (y[i] - yMean), 0) / den;
+  const residuals = t.reduce((sum, ti, i) => sum + (y[i] - yMean - slope * (ti - tMean)) ** 2, 0);
+  return { slope, error: Math.sqrt(residuals / (samples.length - 2) / den) };
+}
+
+class SensorHealth {
+  /**
+   * @param {Object} settings - config.health
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.devices = new Map(); // deviceId -> { tableId, samples: [{ at, level, offset (from the table's median, or null) }] }
+  }
+
+  /**
+   * Add a live reading
+   * @param {Object} reading - { deviceId, tableId, noiseLevel, peers: latest levels of the table's other reporting devices }
+   */
+  record({ deviceId, tableId, noiseLevel, peers = [] }, now = Date.now()) {
+    const device = this.devices.get(deviceId) || { tableId, samples: [] };
+    device.tableId = tableId;
+    device.samples.push({ at: now, level: noiseLevel, offset: peers.length >= MIN_PEERS ? noiseLevel - median([noiseLevel, ...peers]) : null });
+    const keepFrom = now - Math.max(this.settings.windowMin, this.settings.driftWindowMin) * 60_000;
+    while (device.samples[0].at < keepFrom) device.samples.shift();
+    this.devices.set(deviceId, device);
+  }
+
+  forget(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  /**
+   * @returns {Object} { score (0–100, null until there are enough readings), reasons: [{ code, message }], readings, at }
+   */
+  evaluate(deviceId, now = Date.now()) {
+    const { windowMin, minReadings, stuckStdDb, outlierDb, driftDb, jitterRatio, timingCv } = this.settings;
+    const from = now - windowMin * 60_000;
+    const device = this.devices.get(deviceId);
+    const recent = device ? device.samples.filter((s) => s.at >= from) : [];
+    if (recent.length < minReadings) return { score: null, reasons: [], readings: recent.length, at: now };
+
+    const reasons = [];
+    const levels = recent.map((s) => s.level);
+    const minutes = Math.max(1, Math.round((now - recent[0].at) / 60_000));
+    const spread = std(levels);
+    if (spread < stuckStdDb) {
+      reasons.push({ code: 'stuck', message: `stuck at ${round(mean(levels))} dB for ${minutes} min` });
+    }
+
+    const offsets = recent.filter((s) => s.offset !== null).map((s) => s.offset);
+    if (offsets.length >= minReadings && Math.abs(median(offsets)) > outlierDb) {
+      const off = median(offsets);
+      reasons.push({ code: 'outlier', message: `reads ${round(Math.abs(off))} dB ${off > 0 ? 'above' : 'below'} its table` });
+    }
+
+    const mates = [...this.devices].filter(([id, d]) => id !== deviceId && d.tableId === device.tableId).map(([, d]) => d);
+    const drift = this.drift(device);
+    if (drift && Math.abs(drift.change) > driftDb && mates.every((mate) => Math.abs((this.drift(mate) || { change: 0 }).change) < Math.abs(drift.change))) {
+      reasons.push({ code: 'drifting', message: `drifted ${drift.change > 0 ? '+' : '−'}${round(Math.abs(drift.change))} dB against its table in ${Math.round(drift.spanMin)} min` });
+    }
+
+    // peers that are stuck themselves would make any live sensor look noisy
+    const jump = meanJump(levels);
+    const peerJumps = mates
+      .map((mate) => mate.samples.filter((s) => s.at >= from).map((s) => s.level))
+      .filter((peerLevels) => peerLevels.length >= minReadings && std(peerLevels) >= stuckStdDb)
+      .map(meanJump);
+    if (peerJumps.length >= MIN_PEERS && jump >= NOISY_MIN_DB && jump > jitterRatio * median(peerJumps)) {
+      reasons.push({ code: 'noisy', message: `jumps ${round(jump)} dB between readings, its peers ${round(median(peerJumps))} dB` });
+    }
+
+    const gaps = recent.slice(1).map((s, i) => s.at - recent[i].at);
+    const gapMean = mean(gaps);
+    if (gapMean > 0 && std(gaps) / gapMean > timingCv) {
+      reasons.push({ code: 'erratic_timing', message: `readings every ${round(gapMean / 1000)} s ± ${round(std(gaps) / 1000)} s` });
+    }
+
+    const score = Math.max(0, 100 - reasons.reduce((sum, r) => sum + PENALTIES[r.code], 0));
+    return { score, reasons, readings: recent.length, at: now };
+  }
+
+  /**
+   * How far a device's distance from its table has moved, judged over at least half the drift window
+   * (so a few odd minutes don't look like drift) and only when the trend is well clear of its standard
+   * error (so scatter around the table doesn't either)
+   * @returns {Object|null} { change (dB), spanMin }, null when there is no steady trend to judge
+   */
+  drift(device) {
+    const { minReadings, driftWindowMin } = this.settings;
+    const compared = device.samples.filter((s) => s.offset !== null);
+    const spanMin = compared.length ? (compared[compared.length - 1].at - compared[0].at) / 60_000 : 0;
+    if (compared.length < minReadings || spanMin < driftWindowMin / 2) return null;
+    const { slope, error } = trend(compared);
+    return Math.abs(slope) > 3 * error ? { change: slope * spanMin, spanMin } : null;
+  }
+}
+
+SensorHealth.PENALTIES = PENALTIES;
+
+module.exports = SensorHealth;
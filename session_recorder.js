@@ -0,0 +1,124 @@
+/**
+ * Recording of device traffic sessions, for replaying them later with session_replay.js
+ * While recording is on (config recording.enabled), every inbound device message is appended with its
+ * arrival time to <dir>/session-<date>-<time>.ndjson:
+ *   { kind: 'session', format: 1, protocolVersion, startedAt }           first line
+ *   { at, conn, kind: 'open', address, deviceId?, authenticated? }       a device connected
+ *   { at, conn, deviceId?, kind: 'text', data }                          a JSON message, exactly as received
+ *   { at, conn, deviceId?, kind: 'binary', data }                        a PCM frame, base64
+ *   { at, conn, deviceId?, kind: 'close', code }                         the connection closed
+ * conn numbers the connections of the session, so a device that reconnects shows up as a new one.
+ * A device already connected when recording starts is recorded from its next message on, with
+ * authenticated: true on its open entry since its hello came before the session.
+ * Messages are recorded before they are validated: refused ones are part of what happened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROTOCOL_VERSION } = require('./protocol');
+
+const FORMAT = 1;
+
+function fileName(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `session-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}.ndjson`;
+}
+
+class SessionRecorder {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.file = null;
+    this.connections = new WeakMap(); // ws -> conn
+    this.count = 0;
+  }
+
+  get active() {
+    return this.file !== null;
+  }
+
+  /**
+   * @returns {string} the new session file
+   */
+  start(now = Date.now()) {
+    if (this.active) return this.file;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.file = path.join(this.dir, fileName(now));
+    this.connections = new WeakMap();
+    this.count = 0;
+    this.write({ kind: 'session', format: FORMAT, protocolVersion: PROTOCOL_VERSION, startedAt: now });
+    return this.file;
+  }
+
+  stop() {
+    const file = this.file;
+    this.file = null;
+    return file;
+  }
+
+  // ws is a device connection with the address and deviceId main.js keeps on it
+  opened(ws, now = Date.now()) {
+    if (this.active) this.connFor(ws, now);
+  }
+
+  /**
+   * @param {WebSocket} ws - the connection the message came in on
+   * @param {Buffer} raw - the message as received
+   */
+  message(ws, raw, isBinary, now = Date.now()) {
+    if (!this.active) return;
+    const conn = this.connFor(ws, now);
+    const data = isBinary ? Buffer.from(raw).toString('base64') : raw.toString();
+    this.write({ at: now, conn, deviceId: ws.deviceId, kind: isBinary ? 'binary' : 'text', data });
+  }
+
+  closed(ws, code, now = Date.now()) {
+    if (!this.active || !this.connections.has(ws)) return;
+    this.write({ at: now, conn: this.connections.get(ws), deviceId: ws.deviceId, kind: 'close', code });
+  }
+
+  // Connections made before recording started get their open entry with their first message,
+  // marked as already authenticated
+  connFor(ws, now) {
+    if (!this.connections.has(ws)) {
+      const conn = ++this.count;
+      this.connections.set(ws, conn);
+      this.write({ at: now, conn, kind: 'open', address: ws.address, ...(ws.deviceId ? { deviceId: ws.deviceId, authenticated: true } : {}) });
+    }
+    return this.connections.get(ws);
+  }
+
+  write(entry) {
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error('✗ Failed to record device traffic, recording stopped:', err.message);
+      this.file = null;
+    }
+  }
+}
+
+/**
+ * Read a recorded session
+ * @returns {Object} { header, entries } with entries in arrival order
+ * @throws {Error} when the file isn't a session recording
+ */
+function readSession(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.trim());
+  const parsed = lines.map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      if (i === 0) throw new Error(`${file} is not a session recording`);
+      // the last line may be cut short if the app stopped mid-write
+      if (i === lines.length - 1) return null;
+      throw new Error(`Line ${i + 1} of ${file} is not JSON`);
+    }
+  }).filter(Boolean);
+  const [header, ...entries] = parsed;
+  if (!header || header.kind !== 'session') throw new Error(`${file} is not a session recording`);
+  if (header.format !== FORMAT) throw new Error(`Unsupported session format ${header.format}`);
+  return { header, entries };
+}
+
+module.exports = { SessionRecorder, readSession };
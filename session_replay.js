@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Session replay - feeds a recorded session (session_recorder.js) back into a running server
+ * Usage: node session_replay.js <session.ndjson> [--speed N] [--step] [--url URL]
+ *   --speed N   play N times faster (default 1 = the recorded timing)
+ *   --step      wait for Enter before each message (c + Enter continues at --speed, q + Enter quits)
+ *   --url URL   server (default WS_URL env var, else ws://localhost:8080)
+ * Every recorded connection is opened again under its own device id and its messages are sent in the
+ * recorded order and spacing. Hellos are signed afresh for the new challenge with DEVICE_SECRET or the
+ * shared secret in config.json, so devices registered with their own secret can't be replayed. Reading
+ * timestamps are moved forward by the time since the recording, keeping any clock offset the device had.
+ * Recorded command acks are left out (their command ids belonged to the old run); commands the server
+ * sends during the replay are answered 'done' straight away.
+ * Replay into a server where the recorded devices aren't connected, or they are refused as duplicates.
+ */
+
+const readline = require('readline');
+const WebSocket = require('ws');
+const { signChallenge, deviceSecret } = require('./device_auth');
+const { PROTOCOL_VERSION } = require('./protocol');
+const { readSession } = require('./session_recorder');
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = { speed: 1, step: false, url: process.env.WS_URL || 'ws://localhost:8080' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--step') options.step = true;
+    else if (arg === '--speed') options.speed = Number(argv[++i]);
+    else if (arg === '--url') options.url = argv[++i];
+    else positional.push(arg);
+  }
+  return { positional, options };
+}
+
+const { positional: [file], options } = parseArgs(process.argv.slice(2));
+const secret = deviceSecret();
+
+if (!file) {
+  console.error('Usage: node session_replay.js <session.ndjson> [--speed N] [--step] [--url URL]');
+  process.exit(1);
+}
+if (!(options.speed > 0)) {
+  console.error('✗ --speed must be above 0');
+  process.exit(1);
+}
+
+let session;
+try {
+  session = readSession(file);
+} catch (e) {
+  console.error('✗', e.message);
+  process.exit(1);
+}
+const { header, entries } = session;
+if (!entries.length) {
+  console.error(`✗ ${file} has no recorded traffic`);
+  process.exit(0);
+}
+if (header.protocolVersion !== PROTOCOL_VERSION) {
+  console.warn(`  Recorded with protocol version ${header.protocolVersion}, this build speaks ${PROTOCOL_VERSION}`);
+}
+
+function parse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null; // replayed as is: the server refused it the first time too
+  }
+}
+
+// conn -> { deviceId, hello, authenticated }, from the whole recording so a hello can be prepared
+const connections = new Map();
+for (const entry of entries) {
+  if (!connections.has(entry.conn)) connections.set(entry.conn, { conn: entry.conn, deviceId: null, hello: null, authenticated: false });
+  const c = connections.get(entry.conn);
+  if (entry.kind === 'open' && entry.authenticated) Object.assign(c, { deviceId: entry.deviceId, authenticated: true });
+  if (entry.kind === 'text' && !c.hello) {
+    const message = parse(entry.data);
+    if (message && message.type === 'hello') Object.assign(c, { deviceId: message.deviceId, hello: message });
+  }
+  if (!c.deviceId && entry.deviceId) c.deviceId = entry.deviceId;
+}
+
+const start = entries[0].at;
+const shown = (c) => c.deviceId || `connection ${c.conn}`;
+let sent = 0;
+let skipped = 0;
+
+// A replayed connection: sends what is due once the server lets it (the hello after the challenge,
+// what came after the hello once welcomed; anything sent before the hello goes out as recorded)
+function open(c) {
+  c.queue = [];
+  c.helloSent = c.authenticated;
+  c.nonce = null;
+  c.welcomed = false;
+  c.ws = new WebSocket(options.url);
+  c.ws.on('message', (msg, isBinary) => {
+    if (isBinary) return;
+    const data = JSON.parse(msg.toString());
+    if (data.type === 'challenge') {
+      c.nonce = data.nonce;
+      // a device connected before the recording started: its hello isn't in the file
+      if (c.authenticated) sendHello(c, { deviceId: c.deviceId });
+      flush(c);
+    } else if (data.type === 'welcome') {
+      c.welcomed = true;
+      flush(c);
+    } else if (data.type === 'command') {
+      console.log(`  ⇠ ${shown(c)} got command ${data.command}`);
+      c.ws.send(JSON.stringify({ type: 'command_ack', v: PROTOCOL_VERSION, id: data.id, status: 'done' }));
+    } else if (data.type === 'error') {
+      console.warn(`  ✗ ${shown(c)}: ${data.message} (${data.code})`);
+    }
+  });
+  c.ws.on('open', () => flush(c));
+  c.ws.on('close', (code) => {
+    if (!c.closing) console.log(`  ✗ ${shown(c)} closed by the server (${code})`);
+    c.ws = null;
+  });
+  c.ws.on('error', (e) => console.error(`✗ ${shown(c)}: ${e.message || e}`));
+}
+
+function sendHello(c, recorded) {
+  const { deviceId, tableId, firmware } = recorded;
+  const hello = { type: 'hello', v: PROTOCOL_VERSION, deviceId, tableId, signature: signChallenge(secret || '', deviceId, c.nonce), firmware };
+  c.ws.send(JSON.stringify(hello));
+}
+
+function flush(c) {
+  while (c.ws && c.ws.readyState === WebSocket.OPEN && c.queue.length) {
+    const item = c.queue[0];
+    if (item.hello && !c.nonce) return;
+    if (item.afterHello && !c.welcomed) return;
+    c.queue.shift();
+    if (item.hello) sendHello(c, item.hello);
+    else c.ws.send(item.data, { binary: item.binary });
+  }
+}
+
+// Send one recorded entry on its replayed connection
+function play(entry) {
+  const c = connections.get(entry.conn);
+  const offset = `+${((entry.at - start) / 1000).toFixed(1)}s`;
+  if (entry.kind === 'open') {
+    open(c);
+    console.log(`  ${offset} ${shown(c)} connects`);
+    return;
+  }
+  if (!c.ws) {
+    skipped++;
+    return;
+  }
+  if (entry.kind === 'close') {
+    c.closing = true;
+    c.ws.close();
+    console.log(`  ${offset} ${shown(c)} disconnects`);
+    return;
+  }
+  if (entry.kind === 'binary') {
+    c.queue.push({ data: Buffer.from(entry.data, 'base64'), binary: true, afterHello: c.helloSent });
+    console.log(`  ${offset} ${shown(c)} audio frame`);
+  } else {
+    const message = parse(entry.data);
+    if (message && message.type === 'command_ack') {
+      skipped++;
+      return;
+    }
+    if (message && message.type === 'hello') {
+      c.queue.push({ hello: message });
+      c.helloSent = true;
+    } else {
+      // keep the device's clock offset, but relative to now
+      if (message && typeof message.timestamp === 'number') message.timestamp += Date.now() - entry.at;
+      c.queue.push({ data: message ? JSON.stringify(message) : entry.data, binary: false, afterHello: c.helloSent });
+    }
+    console.log(`  ${offset} ${shown(c)} ${describe(message)}`);
+  }
+  sent++;
+  flush(c);
+}
+
+function describe(message) {
+  if (!message) return 'unparseable message';
+  if (message.type === 'reading' || (!message.type && message.noiseLevel !== undefined)) return `reading ${message.noiseLevel}dB`;
+  return message.type || 'message';
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function run() {
+  const rl = options.step ? readline.createInterface({ input: process.stdin }) : null;
+  const lines = rl && rl[Symbol.asyncIterator]();
+  // the end of input continues at --speed
+  const ask = async (prompt) => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? 'c' : value;
+  };
+  let step = options.step;
+  let base = Date.now();
+  console.log(`✓ Replaying ${entries.length} recorded event(s) from ${connections.size} connection(s) to ${options.url}${step ? ' step by step' : ` at ${options.speed}×`}`);
+  for (const entry of entries) {
+    if (step) {
+      const answer = (await ask('[Enter] next, c continue, q quit > ')).trim().toLowerCase();
+      if (answer === 'q') break;
+      if (answer === 'c') {
+        step = false;
+        base = Date.now() - (entry.at - start) / options.speed;
+      }
+    } else {
+      await sleep(base + (entry.at - start) / options.speed - Date.now());
+    }
+    play(entry);
+  }
+  if (rl) rl.close();
+  // give the last messages time to arrive before closing
+  await sleep(1000);
+  for (const c of connections.values()) {
+    if (c.ws) {
+      c.closing = true;
+      c.ws.close();
+    }
+  }
+  console.log(`✓ Replay finished: ${sent} message(s) sent, ${skipped} skipped`);
+  setTimeout(() => process.exit(0), 500);
+}
+
+run();
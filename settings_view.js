@@ -0,0 +1,62 @@
+// Threshold and zone editor (settings:edit); the main process validates and writes config.json
+
+let settingsViewReady = false;
+
+function initSettingsView() {
+  if (settingsViewReady) return;
+  settingsViewReady = true;
+
+  document.getElementById('settings-revert').addEventListener('click', loadSettings);
+  document.getElementById('settings-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    let changes;
+    try {
+      changes = {
+        noiseThreshold: Number(document.getElementById('settings-threshold').value),
+        schedules: parseSettingsJson('settings-schedules', 'Library-wide schedules', []),
+        zones: parseSettingsJson('settings-zones', 'Zones', {}),
+        tables: parseSettingsJson('settings-tables', 'Tables', {})
+      };
+    } catch (err) {
+      showSettingsErrors(err.message);
+      return;
+    }
+    try {
+      applyConfig(await window.api.updateThresholds(changes));
+      showSettingsErrors('');
+    } catch (err) {
+      showSettingsErrors(errorText(err));
+    }
+  });
+}
+
+// Fill the form from the settings currently in force
+async function loadSettings() {
+  try {
+    const cfg = await window.api.getConfig();
+    applyConfig(cfg);
+    document.getElementById('settings-threshold').value = cfg.alerts.noiseThreshold;
+    document.getElementById('settings-schedules').value = JSON.stringify(cfg.alerts.schedules, null, 2);
+    document.getElementById('settings-zones').value = JSON.stringify(cfg.zones, null, 2);
+    document.getElementById('settings-tables').value = JSON.stringify(cfg.tables, null, 2);
+    showSettingsErrors('');
+  } catch (e) {
+    showSettingsErrors(`Could not load settings: ${errorText(e)}`);
+  }
+}
+
+function parseSettingsJson(id, label, empty) {
+  const text = document.getElementById(id).value.trim();
+  if (!text) return empty;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${label}: not valid JSON (${e.message})`);
+  }
+}
+
+function showSettingsErrors(text) {
+  const el = document.getElementById('settings-errors');
+  el.textContent = text;
+  el.hidden = !text;
+}
@@ -0,0 +1,148 @@
+/**
+ * Fault injection for the simulators
+ * A simulated device can be given faults that make it misbehave like broken hardware, to check the
+ * server's sensor-issue detection (checkForMismatch), message validation and offline handling:
+ *   stuck       { value? }            the reading freezes (at value, else at the level when the fault began)
+ *   drift       { dbPerMin }          the level creeps away from the truth, e.g. a failing microphone
+ *   dropout     { share }             that share of readings never arrives
+ *   spike       { share, db }         that share of readings jumps by db (capped at 140)
+ *   clock_skew  { offsetMs }          timestamps run that far ahead (negative: behind)
+ *   malformed   { share }             that share of messages is cut short or fails validation
+ *   flapping    { upSec, downSec }    the connection drops after upSec and comes back downSec later
+ * A fault is written "type" or "type:param=value,param=value", e.g. "stuck:value=88" or
+ * "spike:share=0.2,db=25"; missing params take the defaults in FAULTS.
+ */
+
+const FAULTS = {
+  stuck: { value: null },
+  drift: { dbPerMin: 2 },
+  dropout: { share: 0.3 },
+  spike: { share: 0.1, db: 30 },
+  clock_skew: { offsetMs: 5 * 60 * 1000 },
+  malformed: { share: 0.2 },
+  flapping: { upSec: 20, downSec: 5 }
+};
+
+const SHARE_PARAMS = ['share'];
+const POSITIVE_PARAMS = ['upSec', 'downSec'];
+
+/**
+ * @param {string|Object} spec - "drift:dbPerMin=3" or { type: 'drift', dbPerMin: 3 }
+ * @returns {Object} { type, ...params } with defaults filled in
+ * @throws {Error} naming the unknown fault or bad param
+ */
+function parseFault(spec) {
+  let type;
+  let given;
+  if (typeof spec === 'string') {
+    const [name, rest = ''] = spec.split(':');
+    type = name.trim();
+    given = {};
+    for (const pair of rest.split(',').filter((p) => p.trim())) {
+      const [key, value] = pair.split('=');
+      given[key.trim()] = Number(value);
+    }
+  } else if (spec && typeof spec === 'object') {
+    ({ type, ...given } = spec);
+  } else {
+    throw new Error('Expected a fault like "stuck" or "drift:dbPerMin=3"');
+  }
+  if (!FAULTS[type]) throw new Error(`Unknown fault "${type}" (known: ${Object.keys(FAULTS).join(', ')})`);
+  for (const [key, value] of Object.entries(given)) {
+    if (!(key in FAULTS[type])) throw new Error(`Fault ${type} has no param "${key}" (it takes ${Object.keys(FAULTS[type]).join(', ') || 'none'})`);
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`Fault ${type}: ${key} must be a number`);
+    if (SHARE_PARAMS.includes(key) && (value < 0 || value > 1)) throw new Error(`Fault ${type}: ${key} must be between 0 and 1`);
+    if (POSITIVE_PARAMS.includes(key) && value <= 0) throw new Error(`Fault ${type}: ${key} must be above 0`);
+  }
+  return { type, ...FAULTS[type], ...given };
+}
+
+function describeFault(fault) {
+  const params = Object.entries(fault).filter(([key, value]) => key !== 'type' && value !== null).map(([key, value]) => `${key}=${value}`);
+  return params.length ? `${fault.type} (${params.join(', ')})` : fault.type;
+}
+
+// Ways a message can be broken, each caught by a different check on the server (protocol.js)
+const MALFORMATIONS = [
+  (text) => text.slice(0, Math.max(1, Math.floor(text.length / 2))),               // cut off mid-message
+  (text, reading) => JSON.stringify({ ...reading, noiseLevel: `${reading.noiseLevel}dB` }), // wrong type
+  (text, reading) => JSON.stringify({ ...reading, noiseLevel: 900 }),               // out of range
+  (text, reading) => JSON.stringify({ ...reading, temperature: 21 }),               // unknown field
+  (text, reading) => JSON.stringify({ ...reading, v: 99 })                           // unsupported version
+];
+
+class FaultInjector {
+  /**
+   * @param {Object} options - { rng: () => 0..1 (default Math.random) }
+   */
+  constructor({ rng = Math.random } = {}) {
+    this.rng = rng;
+    this.active = new Map(); // type -> { fault, since, frozen }
+  }
+
+  /**
+   * @param {string|Object} spec - see parseFault
+   * @returns {Object} the fault that is now active (replacing one of the same type)
+   */
+  start(spec, now = Date.now()) {
+    const fault = parseFault(spec);
+    this.active.set(fault.type, { fault, since: now, frozen: null });
+    return fault;
+  }
+
+  stop(type) {
+    return this.active.delete(type);
+  }
+
+  get(type) {
+    const entry = this.active.get(type);
+    return entry ? entry.fault : null;
+  }
+
+  list() {
+    return [...this.active.values()].map((entry) => entry.fault);
+  }
+
+  /**
+   * Apply the active faults to a reading about to be sent
+   * @param {Object} reading - the reading message
+   * @returns {Object} { text: what to send, or null to send nothing, reading: the reading as faulted, faults: [types that acted] }
+   */
+  transform(reading, now = Date.now()) {
+    let out = { ...reading, audioFeatures: reading.audioFeatures && { ...reading.audioFeatures } };
+    const acted = [];
+    const stuck = this.active.get('stuck');
+    if (stuck) {
+      if (!stuck.frozen) stuck.frozen = { noiseLevel: stuck.fault.value ?? out.noiseLevel, audioFeatures: out.audioFeatures };
+      out = { ...out, ...stuck.frozen };
+      acted.push('stuck');
+    }
+    const drift = this.active.get('drift');
+    if (drift) {
+      out.noiseLevel += (drift.fault.dbPerMin * (now - drift.since)) / 60_000;
+      acted.push('drift');
+    }
+    const spike = this.active.get('spike');
+    if (spike && this.rng() < spike.fault.share) {
+      out.noiseLevel += spike.fault.db;
+      acted.push('spike');
+    }
+    out.noiseLevel = Math.max(0, Math.min(140, Math.round(out.noiseLevel * 10) / 10));
+    const skew = this.active.get('clock_skew');
+    if (skew && typeof out.timestamp === 'number') {
+      out.timestamp += skew.fault.offsetMs;
+      acted.push('clock_skew');
+    }
+    const dropout = this.active.get('dropout');
+    if (dropout && this.rng() < dropout.fault.share) return { text: null, reading: out, faults: [...acted, 'dropout'] };
+    let text = JSON.stringify(out);
+    const malformed = this.active.get('malformed');
+    if (malformed && this.rng() < malformed.fault.share) {
+      text = MALFORMATIONS[Math.floor(this.rng() * MALFORMATIONS.length)](text, out);
+      acted.push('malformed');
+    }
+    return { text, reading: out, faults: acted };
+  }
+}
+
+module.exports = { FAULTS, FaultInjector, describeFault, parseFault };
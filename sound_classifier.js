@@ -1,50 +1,147 @@
 /**
  * Sound Classifier using TensorFlow.js
  * Classifies sound types based on noise level, frequency characteristics, and temporal patterns
+ *
+ * settings.mode (config.classifier):
+ *   model     - the network's softmax output
+ *   ensemble  - the network blended with the rule-based heuristic (heuristicWeight)
+ *   heuristic - rules only; also the fallback while the model isn't available
+ * Below settings.minConfidence the result is 'unknown' (the best guess is still reported).
+ *
+ * The output labels come from settings.labels (config.classifier.labels). Built-in patterns exist for
+ * speech, music, vehicle, typing and silence; any other label is learned from labeled samples.
+ *
+ * The network starts from the built-in patterns below. train() builds a new one from those plus the
+ * samples staff labeled (sound_samples.js) and scores it on held-out samples; adopt() then saves it to
+ * modelDir, where initialize() finds it next time.
  */
 
 const tf = require('@tensorflow/tfjs');
+const { modelUrl, hasSavedModel } = require('./model_files');
+
+// The heuristic names one label; this much of the probability goes to it, the rest is spread evenly
+const HEURISTIC_CONFIDENCE = 0.7;
+// Training samples generated around each built-in pattern and each labeled sample
+const SAMPLES_PER_PATTERN = 30;
+const SAMPLES_PER_LABELED = 10;
+// Share of the labeled samples kept out of training to score the new model, and the least needed
+const HOLD_OUT_SHARE = 0.2;
+const MIN_LABELED_SAMPLES = 10;
+
+const DEFAULT_FEATURES = { lowFreqEnergy: 0.2, midFreqEnergy: 0.2, highFreqEnergy: 0.2, volatility: 0.3 };
+
+// Typical sound patterns, used for the labels that are configured: [noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility]
+const BASE_PATTERNS = [
+  // Speech: moderate noise, concentrated in mid frequencies, moderate volatility
+  { features: [65, 0.2, 0.6, 0.2, 0.4], label: 'speech' },
+  { features: [70, 0.15, 0.7, 0.15, 0.35], label: 'speech' },
+  { features: [60, 0.25, 0.5, 0.25, 0.45], label: 'speech' },
+
+  // Music: varied noise, spread across frequencies, moderate-high volatility
+  { features: [75, 0.3, 0.4, 0.3, 0.5], label: 'music' },
+  { features: [80, 0.35, 0.3, 0.35, 0.55], label: 'music' },
+  { features: [68, 0.28, 0.44, 0.28, 0.48], label: 'music' },
+
+  // Vehicle: high noise, concentrated in low-mid frequencies, low volatility
+  { features: [85, 0.5, 0.3, 0.2, 0.15], label: 'vehicle' },
+  { features: [80, 0.55, 0.25, 0.2, 0.1], label: 'vehicle' },
+  { features: [75, 0.48, 0.32, 0.2, 0.12], label: 'vehicle' },
+
+  // Typing: moderate noise, high-frequency concentrated, high volatility (bursts)
+  { features: [55, 0.1, 0.3, 0.6, 0.65], label: 'typing' },
+  { features: [60, 0.12, 0.28, 0.6, 0.7], label: 'typing' },
+  { features: [50, 0.15, 0.25, 0.6, 0.68], label: 'typing' },
+
+  // Silence: very low noise, flat spectrum, very low volatility
+  { features: [35, 0.2, 0.2, 0.2, 0.05], label: 'silence' },
+  { features: [40, 0.25, 0.25, 0.25, 0.08], label: 'silence' },
+  { features: [30, 0.2, 0.2, 0.2, 0.03], label: 'silence' }
+].map(({ features: [noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility], label }) => ({
+  features: { noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility },
+  label
+}));
+
+// Model input: dB scaled to roughly 0–1 so it doesn't drown out the 0–1 band energies
+function toInput(features) {
+  const { noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility } = { ...DEFAULT_FEATURES, ...features };
+  return [Number(noiseLevel) / 100, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility];
+}
+
+function jitter(value, amount, min, max) {
+  return Math.max(min, Math.min(max, value + (Math.random() - 0.5) * 2 * amount));
+}
+
+// The sample plus `copies` jittered variants of it, so the network learns regions rather than points
+function expand({ features, label }, copies) {
+  const out = [{ input: toInput(features), label }];
+  for (let i = 0; i < copies; i++) {
+    out.push({
+      input: toInput({
+        noiseLevel: jitter(features.noiseLevel, 4, 0, 140),
+        lowFreqEnergy: jitter(features.lowFreqEnergy, 0.05, 0, 1),
+        midFreqEnergy: jitter(features.midFreqEnergy, 0.05, 0, 1),
+        highFreqEnergy: jitter(features.highFreqEnergy, 0.05, 0, 1),
+        volatility: jitter(features.volatility, 0.05, 0, 1)
+      }),
+      label
+    });
+  }
+  return out;
+}
+
+function shuffle(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
 
 class SoundClassifier {
-  constructor() {
+  /**
+   * @param {Object} settings - config.classifier { mode, heuristicWeight, minConfidence, labels: [{ id }] }
+   * @param {Object} options - { modelDir: where the trained model is saved and loaded from }
+   */
+  constructor(settings, { modelDir } = {}) {
+    this.settings = settings;
+    this.modelDir = modelDir;
     this.model = null;
-    this.labels = ['speech', 'music', 'vehicle', 'typing', 'silence'];
+    this.modelInfo = null; // { source: 'built-in'|'saved', trainedAt?, report? }
+    this.candidate = null; // { model, report } from train(), until adopted or discarded
+    this.training = false;
+    this.labels = settings.labels.map((l) => l.id);
     this.initialized = false;
   }
 
-  async initialize() {
+  /**
+   * Load the saved model, or train one on the built-in patterns and the labeled samples
+   * @param {Object[]} samples - SoundSampleStore.list(), so labels without built-in patterns are known too
+   */
+  async initialize(samples = []) {
     if (this.initialized) return;
-    
+
     try {
-      // Create a simple neural network model
-      this.model = tf.sequential({
-        layers: [
-          tf.layers.dense({
-            inputShape: [5], // 5 input features
-            units: 16,
-            activation: 'relu'
-          }),
-          tf.layers.dropout({ rate: 0.2 }),
-          tf.layers.dense({
-            units: 8,
-            activation: 'relu'
-          }),
-          tf.layers.dense({
-            units: this.labels.length,
-            activation: 'softmax'
-          })
-        ]
-      });
-
-      this.model.compile({
-        optimizer: tf.train.adam(0.01),
-        loss: 'categoricalCrossentropy',
-        metrics: ['accuracy']
-      });
-
-      // Pre-train with some synthetic data patterns
-      await this.preTrainWithPatterns();
-      
+      if (this.modelDir && hasSavedModel(this.modelDir)) {
+        try {
+          this.model = await this.loadSavedModel();
+          console.log('✓ Sound classifier loaded from', this.modelDir);
+        } catch (err) {
+          console.error('✗ Could not load the saved classifier, using the built-in one:', err.message);
+        }
+      }
+      if (!this.model) {
+        // Pre-train with some synthetic data patterns
+        const labeled = samples.filter((s) => this.labels.includes(s.label));
+        this.model = this.buildModel();
+        await this.fit(this.model, this.trainingSet(labeled));
+        this.modelInfo = { source: 'built-in', samples: labeled.length };
+      }
+
       this.initialized = true;
       console.log('✓ Sound classifier initialized');
     } catch (err) {
@@ -52,83 +149,239 @@ class SoundClassifier {
     }
   }
 
-  async preTrainWithPatterns() {
-    // Create synthetic training data representing typical sound patterns
-    // Features: [noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility]
-    
-    const trainingData = [
-      // Speech: moderate noise, concentrated in mid frequencies, moderate volatility
-      { features: [65, 0.2, 0.6, 0.2, 0.4], label: 0 }, // speech
-      { features: [70, 0.15, 0.7, 0.15, 0.35], label: 0 },
-      { features: [60, 0.25, 0.5, 0.25, 0.45], label: 0 },
-      
-      // Music: varied noise, spread across frequencies, moderate-high volatility
-      { features: [75, 0.3, 0.4, 0.3, 0.5], label: 1 }, // music
-      { features: [80, 0.35, 0.3, 0.35, 0.55], label: 1 },
-      { features: [68, 0.28, 0.44, 0.28, 0.48], label: 1 },
-      
-      // Vehicle: high noise, concentrated in low-mid frequencies, low volatility
-      { features: [85, 0.5, 0.3, 0.2, 0.15], label: 2 }, // vehicle
-      { features: [80, 0.55, 0.25, 0.2, 0.1], label: 2 },
-      { features: [75, 0.48, 0.32, 0.2, 0.12], label: 2 },
-      
-      // Typing: moderate noise, high-frequency concentrated, high volatility (bursts)
-      { features: [55, 0.1, 0.3, 0.6, 0.65], label: 3 }, // typing
-      { features: [60, 0.12, 0.28, 0.6, 0.7], label: 3 },
-      { features: [50, 0.15, 0.25, 0.6, 0.68], label: 3 },
-      
-      // Silence: very low noise, flat spectrum, very low volatility
-      { features: [35, 0.2, 0.2, 0.2, 0.05], label: 4 }, // silence
-      { features: [40, 0.25, 0.25, 0.25, 0.08], label: 4 },
-      { features: [30, 0.2, 0.2, 0.2, 0.03], label: 4 }
+  async loadSavedModel() {
+    const model = await tf.loadLayersModel(`${modelUrl(this.modelDir)}/model.json`);
+    const { labels, trainedAt, report } = model.getUserDefinedMetadata() || {};
+    if (!Array.isArray(labels) || labels.join() !== this.labels.join()) {
+      model.dispose();
+      throw new Error(`it was trained for other labels (${labels})`);
+    }
+    this.modelInfo = { source: 'saved', trainedAt, report };
+    return model;
+  }
+
+  buildModel() {
+    // Create a simple neural network model
+    const model = tf.sequential({
+      layers: [
+        tf.layers.dense({
+          inputShape: [5], // 5 input features
+          units: 16,
+          activation: 'relu'
+        }),
+        tf.layers.dropout({ rate: 0.2 }),
+        tf.layers.dense({
+          units: 8,
+          activation: 'relu'
+        }),
+        tf.layers.dense({
+          units: this.labels.length,
+          activation: 'softmax'
+        })
+      ]
+    });
+
+    model.compile({
+      optimizer: tf.train.adam(0.01),
+      loss: 'categoricalCrossentropy',
+      metrics: ['accuracy']
+    });
+    return model;
+  }
+
+  // Built-in patterns for the configured labels plus labeled samples, each spread into variants
+  trainingSet(labeled) {
+    return [
+      ...BASE_PATTERNS.filter((p) => this.labels.includes(p.label)).flatMap((p) => expand(p, SAMPLES_PER_PATTERN)),
+      ...labeled.flatMap((s) => expand(s, SAMPLES_PER_LABELED))
     ];
+  }
 
-    const xs = tf.tensor2d(trainingData.map(d => d.features), [trainingData.length, 5]);
-    const ys = tf.oneHot(
-      tf.tensor1d(trainingData.map(d => d.label), 'int32'),
-      this.labels.length
-    );
+  async fit(model, samples) {
+    const xs = tf.tensor2d(samples.map(d => d.input), [samples.length, 5]);
+    const labels = tf.tensor1d(samples.map(d => this.labels.indexOf(d.label)), 'int32');
+    const ys = tf.oneHot(labels, this.labels.length);
 
-    await this.model.fit(xs, ys, {
-      epochs: 50,
-      batchSize: 4,
+    await model.fit(xs, ys, {
+      epochs: 60,
+      batchSize: 16,
+      shuffle: true,
       verbose: 0
     });
 
     xs.dispose();
+    labels.dispose();
     ys.dispose();
   }
 
   /**
-   * Classify sound based on audio features
-   * @param {Object} features - { noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility }
-   * @returns {Object} { soundType, confidence, scores }
+   * Train a new model on the built-in patterns plus labeled samples. Part of the labeled samples is
+   * held out and both the new and the current model are scored on it; the new model is kept as the
+   * candidate until adopt() or discard().
+   * @param {Object[]} samples - SoundSampleStore.list()
+   * @returns {Object} report { trainedOn, heldOut, accuracy, currentAccuracy, perLabel, trainedAt }
    */
-  classify(features) {
-    if (!this.initialized) {
-      return { soundType: 'unknown', confidence: 0, scores: {} };
+  async train(samples, now = Date.now()) {
+    if (this.training) throw new Error('The classifier is already training');
+    // setLabels() may swap this.labels while the model fits; the candidate keeps the ones it was built for
+    const labels = this.labels;
+    const usable = samples.filter((s) => labels.includes(s.label));
+    if (usable.length < MIN_LABELED_SAMPLES) {
+      throw new Error(`Need at least ${MIN_LABELED_SAMPLES} labeled samples to train (have ${usable.length})`);
+    }
+    // hold out a share of every label, so each one is scored
+    const trainSet = [];
+    const heldOut = [];
+    for (const label of labels) {
+      const ofLabel = shuffle(usable.filter((s) => s.label === label));
+      const keep = ofLabel.length > 1 ? Math.max(1, Math.round(ofLabel.length * HOLD_OUT_SHARE)) : 0;
+      heldOut.push(...ofLabel.slice(0, keep));
+      trainSet.push(...ofLabel.slice(keep));
     }
 
+    this.training = true;
     try {
-      const { noiseLevel, lowFreqEnergy = 0.2, midFreqEnergy = 0.2, highFreqEnergy = 0.2, volatility = 0.3 } = features;
+      const model = this.buildModel();
+      await this.fit(model, this.trainingSet(trainSet));
+      const scored = this.evaluate(model, heldOut, labels);
+      const current = this.initialized && this.labels === labels ? this.evaluate(this.model, heldOut, labels) : null;
+      const report = {
+        trainedOn: trainSet.length,
+        heldOut: heldOut.length,
+        accuracy: scored.accuracy,
+        currentAccuracy: current ? current.accuracy : null,
+        perLabel: Object.fromEntries(labels.map((label) => [label, {
+          heldOut: scored.perLabel[label].total,
+          correct: scored.perLabel[label].correct,
+          currentCorrect: current ? current.perLabel[label].correct : null
+        }])),
+        trainedAt: now
+      };
+      this.discard();
+      this.candidate = { model, report, labels };
+      return report;
+    } finally {
+      this.training = false;
+    }
+  }
+
+  // Share of samples whose label the model's top score matches, overall and per label
+  evaluate(model, samples, labels = this.labels) {
+    const perLabel = Object.fromEntries(labels.map((label) => [label, { total: 0, correct: 0 }]));
+    let correct = 0;
+    for (const sample of samples) {
+      const scores = this.predict(sample.features, model, labels);
+      const best = labels.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+      perLabel[sample.label].total++;
+      if (best === sample.label) {
+        perLabel[sample.label].correct++;
+        correct++;
+      }
+    }
+    return { accuracy: samples.length ? round3(correct / samples.length) : null, perLabel };
+  }
+
+  /**
+   * Replace the current model with the trained candidate and save it to modelDir
+   * @returns {Object} the candidate's report
+   */
+  async adopt() {
+    if (!this.candidate) throw new Error('There is no newly trained model to use');
+    const { model, report, labels } = this.candidate;
+    if (labels !== this.labels) {
+      this.discard();
+      throw new Error('The sound labels changed while training, train again');
+    }
+    model.setUserDefinedMetadata({ labels: this.labels, trainedAt: report.trainedAt, report });
+    if (this.modelDir) await model.save(modelUrl(this.modelDir));
+    const previous = this.model;
+    this.model = model;
+    this.modelInfo = { source: 'saved', trainedAt: report.trainedAt, report };
+    this.candidate = null;
+    this.initialized = true;
+    if (previous) previous.dispose();
+    return report;
+  }
+
+  /**
+   * Switch to another label set (config reload). The output layer changes with it, so the saved
+   * model is used only if it was trained for these labels; otherwise a new one is trained.
+   */
+  async setLabels(labels, samples = []) {
+    if (labels.join() === this.labels.join()) return;
+    this.discard();
+    const previous = this.model;
+    // the heuristic answers until the new model is ready
+    this.initialized = false;
+    this.model = null;
+    this.labels = labels;
+    if (previous) previous.dispose();
+    await this.initialize(samples);
+  }
 
-      // Use heuristic-based classification (more reliable than neural network for this task)
-      const soundType = this.classifyByHeuristic(noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility);
+  discard() {
+    if (!this.candidate) return;
+    this.candidate.model.dispose();
+    this.candidate = null;
+  }
 
+  // All five features, with the usual defaults for ones the device didn't send
+  completeFeatures(features) {
+    return { ...DEFAULT_FEATURES, ...features };
+  }
+
+  /**
+   * Classify sound based on audio features
+   * @param {Object} features - { noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility }
+   * @returns {Object} { soundType, bestGuess, confidence, scores: { label: probability }, source }
+   */
+  classify(features) {
+    try {
+      const { mode, heuristicWeight, minConfidence } = this.settings;
+      const heuristic = this.heuristicScores(features);
+      let scores = heuristic;
+      let source = 'heuristic';
+      if (mode !== 'heuristic' && this.initialized) {
+        const model = this.predict(features);
+        scores = mode === 'ensemble' ? this.blend(model, heuristic, heuristicWeight) : model;
+        source = mode;
+      }
+      const [bestGuess, confidence] = Object.entries(scores).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
       return {
-        soundType,
-        confidence: 0.95,
-        scores: {}
+        soundType: confidence >= minConfidence ? bestGuess : 'unknown',
+        bestGuess,
+        confidence: round3(confidence),
+        scores: Object.fromEntries(Object.entries(scores).map(([label, p]) => [label, round3(p)])),
+        source
       };
     } catch (err) {
       console.error('Classification error:', err.message);
-      return { soundType: 'unknown', confidence: 0, scores: {} };
+      return { soundType: 'unknown', bestGuess: null, confidence: 0, scores: {}, source: 'error' };
     }
   }
 
+  // The network's probability for each label (the ones the model was built for)
+  predict(features, model = this.model, labels = this.labels) {
+    const probabilities = tf.tidy(() => model.predict(tf.tensor2d([toInput(features)], [1, 5])).dataSync());
+    return Object.fromEntries(labels.map((label, i) => [label, probabilities[i]]));
+  }
+
+  // The heuristic's single answer as a distribution, so it can be blended with the model
+  heuristicScores({ noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility }) {
+    const label = this.classifyByHeuristic(noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility);
+    // the rules only know the built-in labels; without that label configured they have no opinion
+    if (!this.labels.includes(label)) return Object.fromEntries(this.labels.map((l) => [l, 1 / this.labels.length]));
+    const rest = (1 - HEURISTIC_CONFIDENCE) / (this.labels.length - 1);
+    return Object.fromEntries(this.labels.map((l) => [l, l === label ? HEURISTIC_CONFIDENCE : rest]));
+  }
+
+  blend(model, heuristic, weight) {
+    return Object.fromEntries(this.labels.map((l) => [l, (1 - weight) * model[l] + weight * heuristic[l]]));
+  }
+
   /**
    * Simple heuristic classification based on audio feature characteristics
-   * More reliable than neural network for this task
+   * Also the prior blended into the model's scores in ensemble mode
    */
   classifyByHeuristic(noiseLevel, lowFreq = 0.2, midFreq = 0.2, highFreq = 0.2, volatility = 0.3) {
     // Silence: very low noise level
@@ -151,6 +404,7 @@ class SoundClassifier {
   }
 
   dispose() {
+    this.discard();
     if (this.model) {
       this.model.dispose();
       this.model = null;
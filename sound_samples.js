@@ -0,0 +1,71 @@
+/**
+ * Labeled sound samples for retraining the classifier
+ * Each time staff correct a sound label on the dashboard, the reading's feature vector and the
+ * right label are appended to <dir>/samples.ndjson:
+ *   { features: { noiseLevel, lowFreqEnergy, midFreqEnergy, highFreqEnergy, volatility }, label,
+ *     predicted, deviceId, tableId, readingAt, labeledBy, labeledAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FEATURES = ['noiseLevel', 'lowFreqEnergy', 'midFreqEnergy', 'highFreqEnergy', 'volatility'];
+
+class SoundSampleStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.file = path.join(dir, 'samples.ndjson');
+  }
+
+  /**
+   * @param {Object} sample - see above; labeledAt defaults to now
+   * @returns {Object} the stored sample
+   */
+  add({ features, label, predicted, deviceId, tableId, readingAt, labeledBy, labeledAt = Date.now() }) {
+    for (const key of FEATURES) {
+      if (typeof features[key] !== 'number' || !Number.isFinite(features[key])) throw new Error(`Sample is missing ${key}`);
+    }
+    const sample = {
+      features: Object.fromEntries(FEATURES.map((key) => [key, features[key]])),
+      label,
+      predicted,
+      deviceId,
+      tableId,
+      readingAt,
+      labeledBy,
+      labeledAt
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(sample) + '\n');
+    return sample;
+  }
+
+  list() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const samples = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        samples.push(JSON.parse(line));
+      } catch (e) {
+        console.warn('✗ Skipping unreadable sound sample:', e.message);
+      }
+    }
+    return samples;
+  }
+
+  // { label: count }
+  counts(samples = this.list()) {
+    const counts = {};
+    for (const s of samples) counts[s.label] = (counts[s.label] || 0) + 1;
+    return counts;
+  }
+}
+
+module.exports = SoundSampleStore;
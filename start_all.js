@@ -25,10 +25,22 @@ function spawnElectron() {
 function spawnSimulator(port, deviceId = 'device1', table = 'Table-A') {
   const url = `ws://localhost:${port}`;
   console.log(`Starting multi-device simulator -> ${url}\n`);
-  const sim = spawn('node', ['multi_device_simulator.js', '6', url], { stdio: 'inherit' });
+  // SCENARIO=scenarios/weekday_morning.json plays a scenario instead of six random devices
+  const sim = spawn('node', ['multi_device_simulator.js', process.env.SCENARIO || '6', url], { stdio: 'inherit' });
   return sim;
 }
 
+// Port from config.json, used when it can't be read from Electron's output
+function configuredPort() {
+  try {
+    const { ConfigStore } = require('./config');
+    return new ConfigStore().load().server.port;
+  } catch (e) {
+    console.warn('Could not read config:', e.message);
+    return 8080;
+  }
+}
+
 async function main() {
   const electronProc = spawnElectron();
 
@@ -83,8 +95,8 @@ async function main() {
   setTimeout(() => {
     clearInterval(checkReady);
     if (!portFound) {
-      console.warn('Could not detect WebSocket port from Electron output; falling back to ws://localhost:8080');
-      portFound = 8080;
+      portFound = configuredPort();
+      console.warn(`Could not detect WebSocket port from Electron output; falling back to ws://localhost:${portFound}`);
     }
     if (process.env.NO_SIM !== 'true' && portFound) {
       spawnSimulator(portFound);
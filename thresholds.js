@@ -0,0 +1,91 @@
+/**
+ * Effective noise thresholds
+ * Resolves the limit for a table at a given moment from the config:
+ *   - levels, most specific first: the table's own entry, its zone, the library-wide alerts settings
+ *   - the most specific level that defines a limit right now sets it: its active schedule (matching
+ *     day, time window and date range) if it has one, else its base threshold
+ *   - active schedules on broader levels can only tighten that limit: during a library-wide exam
+ *     period a silent room keeps its own limit if that is stricter, else gets the exam one, and an
+ *     evening schedule never loosens it
+ *   - when several schedules on the same level are active, the strictest (lowest) wins
+ */
+
+const { DAYS } = require('./config');
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function localDate(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Does a schedule apply at this moment?
+ * A window with "to" before "from" runs past midnight, e.g. 22:00–06:00.
+ */
+function scheduleActive(schedule, at) {
+  const d = new Date(at);
+  if (schedule.startDate && localDate(d) < schedule.startDate) return false;
+  if (schedule.endDate && localDate(d) > schedule.endDate) return false;
+
+  if (schedule.from && schedule.to) {
+    const now = d.getHours() * 60 + d.getMinutes();
+    const from = minutesOf(schedule.from);
+    const to = minutesOf(schedule.to);
+    const inWindow = from <= to ? now >= from && now < to : now >= from || now < to;
+    if (!inWindow) return false;
+    // the day of an overnight window is the day it started
+    if (schedule.days && from > to && now < to) {
+      return schedule.days.includes(DAYS[(d.getDay() + 6) % 7]);
+    }
+  }
+  if (schedule.days && !schedule.days.includes(DAYS[d.getDay()])) return false;
+  return true;
+}
+
+function strictestActive(schedules, at) {
+  let best = null;
+  for (const s of schedules || []) {
+    if (scheduleActive(s, at) && (!best || s.threshold < best.threshold)) best = s;
+  }
+  return best;
+}
+
+function zoneOf(config, tableId) {
+  for (const [name, zone] of Object.entries(config.zones || {})) {
+    if (zone.tables.includes(tableId)) return name;
+  }
+  return null;
+}
+
+/**
+ * Threshold in force for a table
+ * @param {Object} config - resolved config (see config.js)
+ * @param {string} tableId
+ * @param {number} at - epoch ms, defaults to now
+ * @returns {Object} { threshold, zone, source } where source describes which rule applied
+ */
+function effectiveThreshold(config, tableId, at = Date.now()) {
+  const zone = tableId ? zoneOf(config, tableId) : null;
+  const levels = [];
+  if (tableId && config.tables[tableId]) levels.push({ label: `table ${tableId}`, rules: config.tables[tableId] });
+  if (zone) levels.push({ label: `zone ${zone}`, rules: config.zones[zone] });
+  levels.push({ label: 'default', rules: { threshold: config.alerts.noiseThreshold, schedules: config.alerts.schedules } });
+
+  let limit = null;
+  for (const { label, rules } of levels) {
+    const schedule = strictestActive(rules.schedules, at);
+    // once a level has set the limit, broader ones only count with a stricter active schedule
+    const candidate = schedule
+      ? { threshold: schedule.threshold, source: `${label}: ${schedule.name || 'schedule'}` }
+      : !limit && typeof rules.threshold === 'number' ? { threshold: rules.threshold, source: label } : null;
+    if (candidate && (!limit || candidate.threshold < limit.threshold)) limit = candidate;
+  }
+  const { threshold, source } = limit || { threshold: config.alerts.noiseThreshold, source: 'default' };
+  return { threshold, zone, source };
+}
+
+module.exports = { effectiveThreshold, scheduleActive, zoneOf };
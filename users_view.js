@@ -0,0 +1,120 @@
+// User management (users:manage): add accounts, change roles, disable/enable and reset passwords
+
+let usersViewReady = false;
+
+function initUsersView() {
+  if (usersViewReady) return;
+  usersViewReady = true;
+
+  document.getElementById('add-user-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const usernameEl = document.getElementById('new-username');
+    const passwordEl = document.getElementById('new-password');
+    try {
+      const user = await window.api.addUser({
+        username: usernameEl.value.trim(),
+        password: passwordEl.value,
+        role: document.getElementById('new-role').value
+      });
+      usernameEl.value = '';
+      passwordEl.value = '';
+      showToast(`User ${user.username} added`);
+      loadUsers();
+    } catch (err) {
+      setUsersSummary(errorText(err));
+    }
+  });
+
+  const body = document.getElementById('users-body');
+  body.addEventListener('change', (e) => {
+    if (!e.target.matches('select[data-role-for]')) return;
+    updateUser({ username: e.target.dataset.roleFor, role: e.target.value });
+  });
+  body.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-user-action]');
+    if (!btn) return;
+    const { username } = btn.closest('tr').dataset;
+    const form = btn.closest('td').querySelector('.reset-form');
+    switch (btn.dataset.userAction) {
+      case 'disable':
+      case 'enable':
+        updateUser({ username, disabled: btn.dataset.userAction === 'disable' });
+        break;
+      case 'reset':
+        form.hidden = false;
+        form.elements.password.focus();
+        break;
+      case 'cancel':
+        form.hidden = true;
+        form.elements.password.value = '';
+        break;
+    }
+  });
+  body.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const { username } = form.closest('tr').dataset;
+    try {
+      await window.api.resetUserPassword({ username, password: form.elements.password.value });
+      form.hidden = true;
+      form.elements.password.value = '';
+      showToast(`Password for ${username} reset`);
+    } catch (err) {
+      setUsersSummary(errorText(err));
+    }
+  });
+}
+
+async function loadUsers() {
+  try {
+    renderUsers(await window.api.listUsers());
+  } catch (e) {
+    setUsersSummary(`Could not load users: ${errorText(e)}`);
+  }
+}
+
+async function updateUser(changes) {
+  let error = null;
+  try {
+    await window.api.updateUser(changes);
+  } catch (e) {
+    error = errorText(e);
+  }
+  await loadUsers(); // also puts back a role the main process refused
+  if (error) setUsersSummary(error);
+}
+
+function setUsersSummary(text) {
+  document.getElementById('users-summary').textContent = text;
+}
+
+function renderUsers(users) {
+  const body = document.getElementById('users-body');
+  body.innerHTML = '';
+  users.forEach((u) => {
+    const row = body.insertRow();
+    row.dataset.username = u.username;
+    row.classList.toggle('disabled', u.disabled);
+    const self = state.user && state.user.username === u.username;
+    row.insertCell().textContent = self ? `${u.username} (you)` : u.username;
+
+    const role = document.createElement('select');
+    role.dataset.roleFor = u.username;
+    ['viewer', 'librarian', 'admin'].forEach((r) => role.appendChild(new Option(r, r, false, r === u.role)));
+    row.insertCell().appendChild(role);
+
+    row.insertCell().textContent = u.disabled ? 'disabled' : 'active';
+    row.insertCell().textContent = u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString() : 'never';
+
+    const actions = row.insertCell();
+    actions.innerHTML = `
+      <button type="button" class="small-btn" data-user-action="${u.disabled ? 'enable' : 'disable'}">${u.disabled ? 'Enable' : 'Disable'}</button>
+      <button type="button" class="small-btn" data-user-action="reset">Reset password…</button>
+      <form class="reset-form" hidden>
+        <input type="password" name="password" placeholder="New password" minlength="8" required autocomplete="new-password">
+        <button type="submit" class="small-btn">Save</button>
+        <button type="button" class="small-btn" data-user-action="cancel">Cancel</button>
+      </form>`;
+  });
+  setUsersSummary(`${users.length} user${users.length === 1 ? '' : 's'}, ${users.filter((u) => u.disabled).length} disabled`);
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal WAV (RIFF) reader for the WAV emulator
+ * Handles uncompressed PCM (8/16/24/32-bit integer) and IEEE float (32/64-bit), including
+ * WAVE_FORMAT_EXTENSIBLE files, with any number of channels; channels are averaged to mono.
+ */
+
+const fs = require('fs');
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function sampleReader(format, bits) {
+  if (format === FORMAT_FLOAT && bits === 32) return (buf, o) => buf.readFloatLE(o);
+  if (format === FORMAT_FLOAT && bits === 64) return (buf, o) => buf.readDoubleLE(o);
+  if (format === FORMAT_PCM) {
+    switch (bits) {
+      case 8: return (buf, o) => (buf.readUInt8(o) - 128) / 128;
+      case 16: return (buf, o) => buf.readInt16LE(o) / 32768;
+      case 24: return (buf, o) => buf.readIntLE(o, 3) / 8388608;
+      case 32: return (buf, o) => buf.readInt32LE(o) / 2147483648;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Buffer} buffer - contents of a .wav file
+ * @returns {Object} { sampleRate, channels, bitsPerSample, samples: Float32Array (mono, -1..1), durationMs }
+ * @throws {Error} for files that aren't uncompressed WAV
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let fmt = null;
+  let data = null;
+  // chunks are word-aligned; a truncated last chunk is read as far as it goes
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + size));
+    if (id === 'fmt ') {
+      let format = body.readUInt16LE(0);
+      if (format === FORMAT_EXTENSIBLE && body.length >= 26) format = body.readUInt16LE(24);
+      fmt = { format, channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bitsPerSample: body.readUInt16LE(14) };
+    } else if (id === 'data') {
+      data = body;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (!data) throw new Error('WAV file has no data chunk');
+  const read = sampleReader(fmt.format, fmt.bitsPerSample);
+  if (!read) throw new Error(`Unsupported WAV encoding (format ${fmt.format}, ${fmt.bitsPerSample}-bit); convert it to 16-bit PCM`);
+
+  const bytes = fmt.bitsPerSample / 8;
+  const count = Math.floor(data.length / (bytes * fmt.channels));
+  const samples = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let c = 0; c < fmt.channels; c++) sum += read(data, (i * fmt.channels + c) * bytes);
+    samples[i] = Math.max(-1, Math.min(1, sum / fmt.channels));
+  }
+  return {
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    bitsPerSample: fmt.bitsPerSample,
+    samples,
+    durationMs: Math.round((count / fmt.sampleRate) * 1000)
+  };
+}
+
+function readWav(file) {
+  return parseWav(fs.readFileSync(file));
+}
+
+module.exports = { parseWav, readWav };
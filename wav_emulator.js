@@ -0,0 +1,233 @@
+// Device emulator that plays WAV recordings instead of random feature vectors
+// Usage: node wav_emulator.js <deviceId> <tableId> <file.wav|directory|playlist.txt> [options]
+//   --speed N        play N times faster than real time (default 1)
+//   --frame-ms N     length of each frame / reading in ms (default 1000)
+//   --label X        ground-truth label for every file (overrides the ones below)
+//   --loop           start over after the last file
+//   --pcm            send raw PCM frames for the server to analyse instead of computed readings; a frame
+//                    over the server's 64 KB message limit goes as several shorter ones
+//   --spl-offset N   dB SPL of a full-scale signal when computing readings locally (default 120)
+//   --url URL        server (default WS_URL env var, else ws://localhost:8080)
+// A directory is searched recursively for .wav files; a file's ground truth is the name of the folder
+// it is in (recordings/speech/a.wav -> speech) unless that is the directory itself. A playlist has one
+// "path [label]" per line, relative to the playlist, with # comments.
+// Readings carry the label as truthLabel, so the report's classifier accuracy section can score them.
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { signChallenge, deviceSecret } = require('./device_auth');
+const { PROTOCOL_VERSION, MIN_FRAME_SAMPLES, MAX_MESSAGE_BYTES } = require('./protocol');
+const { extractFeatures } = require('./audio_features');
+const { readWav } = require('./wav');
+
+const LABEL_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = { speed: 1, frameMs: 1000, label: null, loop: false, pcm: false, splOffsetDb: 120, url: process.env.WS_URL || 'ws://localhost:8080' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--loop') options.loop = true;
+    else if (arg === '--pcm') options.pcm = true;
+    else if (arg === '--speed') options.speed = Number(argv[++i]);
+    else if (arg === '--frame-ms') options.frameMs = Number(argv[++i]);
+    else if (arg === '--label') options.label = argv[++i];
+    else if (arg === '--spl-offset') options.splOffsetDb = Number(argv[++i]);
+    else if (arg === '--url') options.url = argv[++i];
+    else positional.push(arg);
+  }
+  return { positional, options };
+}
+
+const { positional, options } = parseArgs(process.argv.slice(2));
+const [deviceId = 'wav1', tableId = 'Table-A', source] = positional;
+const secret = deviceSecret();
+
+if (!source) {
+  console.error('Usage: node wav_emulator.js <deviceId> <tableId> <file.wav|directory|playlist.txt> [--speed N] [--frame-ms N] [--label X] [--loop] [--pcm] [--spl-offset N] [--url URL]');
+  process.exit(1);
+}
+if (!(options.speed > 0) || !(options.frameMs >= 50) || !Number.isFinite(options.splOffsetDb)) {
+  console.error('✗ --speed must be above 0, --frame-ms at least 50 and --spl-offset a number');
+  process.exit(1);
+}
+if (options.label && !LABEL_PATTERN.test(options.label)) {
+  console.error(`✗ --label must be a lowercase label like "speech", got "${options.label}"`);
+  process.exit(1);
+}
+
+// Labels that aren't valid label ids (e.g. a folder called "Recordings") are left out
+function labelFrom(name) {
+  const label = options.label || name;
+  return label && LABEL_PATTERN.test(label) ? label : null;
+}
+
+function findWavs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((e) => {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) return findWavs(full);
+      return /\.wave?$/i.test(e.name) ? [full] : [];
+    });
+}
+
+/**
+ * @param {string} source - a .wav file, a directory of them or a playlist
+ * @returns {Array} [{ file, label }]
+ */
+function loadPlaylist(source) {
+  if (fs.statSync(source).isDirectory()) {
+    const root = path.resolve(source);
+    return findWavs(root).map((file) => {
+      const folder = path.dirname(file);
+      return { file, label: labelFrom(folder === root ? null : path.basename(folder)) };
+    });
+  }
+  if (/\.wave?$/i.test(source)) return [{ file: source, label: labelFrom(null) }];
+  const base = path.dirname(source);
+  return fs.readFileSync(source, 'utf8').split('\n')
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [file, label] = line.split(/\s+/);
+      return { file: path.resolve(base, file), label: labelFrom(label) };
+    });
+}
+
+let playlist;
+try {
+  playlist = loadPlaylist(source);
+} catch (e) {
+  console.error(`✗ Cannot read ${source}: ${e.message}`);
+  process.exit(1);
+}
+if (!playlist.length) {
+  console.error(`✗ No .wav files in ${source}`);
+  process.exit(1);
+}
+
+// changed by the calibrate command when computing readings locally
+let offsetDb = 0;
+let playTimer = null;
+let track = -1;
+let current = null; // { file, label, wav, position }
+let framesSent = 0;
+
+console.log(`Attempting to connect to ${options.url} as device ${deviceId} with ${playlist.length} recording(s)...`);
+
+const ws = new WebSocket(options.url);
+
+ws.on('open', () => {
+  console.log(`✓ WAV emulator ${deviceId} connected to ${options.url}, authenticating...`);
+});
+
+// same handshake as device_simulator.js, then the recordings once the server has welcomed us
+ws.on('message', (msg, isBinary) => {
+  if (isBinary) return;
+  const data = JSON.parse(msg.toString());
+  if (data.type === 'challenge') {
+    if (!secret) console.warn('  No device secret: set DEVICE_SECRET or deviceAuth.sharedSecret in config.json');
+    ws.send(JSON.stringify({ type: 'hello', v: PROTOCOL_VERSION, deviceId, tableId, signature: signChallenge(secret || '', deviceId, data.nonce), firmware: 'wav-emulator' }));
+  } else if (data.type === 'welcome') {
+    console.log(`✓ WAV emulator ${deviceId} authenticated`);
+    ws.send(JSON.stringify({ type: 'status', v: PROTOCOL_VERSION, micOk: true, firmware: 'wav-emulator' }));
+    nextTrack();
+  } else if (data.type === 'command') {
+    handleCommand(data);
+  } else if (data.type === 'error') {
+    console.error(`✗ Server refused ${data.ref || deviceId}: ${data.message} (${data.code})`);
+  }
+});
+
+// The recordings don't stop for commands; warnings are only shown on the console
+function handleCommand({ id, command, params }) {
+  const reply = (status, extra = {}) => ws.send(JSON.stringify({ type: 'command_ack', v: PROTOCOL_VERSION, id, status, ...extra }));
+  switch (command) {
+    case 'warn':
+      console.log(`  ${params.level === 'firm' ? '🔴' : '🟠'} ${params.mode || 'both'}: "please be quiet" (playing ${current ? path.basename(current.file) : 'nothing'})`);
+      reply('done');
+      break;
+    case 'identify':
+      console.log(`  💡 ${deviceId} blinking for ${(params.durationMs || 10000) / 1000}s`);
+      reply('done');
+      break;
+    case 'calibrate':
+      // with --pcm the server applies the registry's mic offset instead
+      offsetDb = options.pcm ? 0 : Math.round((Math.random() - 0.5) * 40) / 10;
+      reply('done', { result: { offsetDb } });
+      break;
+    default:
+      reply('failed', { message: `Unsupported command ${command}` });
+  }
+}
+
+function nextTrack() {
+  track++;
+  if (track >= playlist.length) {
+    if (!options.loop) return finish();
+    track = 0;
+  }
+  const { file, label } = playlist[track];
+  let wav;
+  try {
+    wav = readWav(file);
+  } catch (e) {
+    console.error(`✗ Skipping ${file}: ${e.message}`);
+    return nextTrack();
+  }
+  if (wav.sampleRate < 8000 || wav.sampleRate > 96_000) {
+    console.error(`✗ Skipping ${file}: ${wav.sampleRate} Hz is outside 8–96 kHz`);
+    return nextTrack();
+  }
+  current = { file, label, wav, position: 0 };
+  console.log(`  ▶ ${path.basename(file)} (${(wav.durationMs / 1000).toFixed(1)}s, ${wav.sampleRate} Hz${label ? `, ${label}` : ''})`);
+  if (options.pcm) {
+    ws.send(JSON.stringify({ type: 'audio_format', v: PROTOCOL_VERSION, sampleRate: wav.sampleRate, encoding: 's16le', channels: 1, truthLabel: label || undefined }));
+  }
+  sendFrame();
+}
+
+// One frame per frameMs of audio, sent every frameMs / speed
+function sendFrame() {
+  const { wav, label } = current;
+  const size = Math.round((wav.sampleRate * options.frameMs) / 1000);
+  const frame = wav.samples.subarray(current.position, current.position + size);
+  current.position += size;
+  // the tail of a file too short to analyse is skipped
+  if (frame.length < Math.max(MIN_FRAME_SAMPLES, size / 2)) return nextTrack();
+
+  if (options.pcm) {
+    // s16le: 2 bytes a sample; equal parts keep every one well above MIN_FRAME_SAMPLES
+    const parts = Math.ceil((frame.length * 2) / MAX_MESSAGE_BYTES);
+    const partSize = Math.ceil(frame.length / parts);
+    for (let start = 0; start < frame.length; start += partSize) {
+      const part = frame.subarray(start, start + partSize);
+      const pcm = Buffer.alloc(part.length * 2);
+      part.forEach((s, i) => pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, s)) * 32767), i * 2));
+      ws.send(pcm);
+    }
+  } else {
+    const { noiseLevel, audioFeatures } = extractFeatures(frame, wav.sampleRate, { splOffsetDb: options.splOffsetDb + offsetDb });
+    ws.send(JSON.stringify({ type: 'reading', v: PROTOCOL_VERSION, noiseLevel, audioFeatures, truthLabel: label || undefined, timestamp: Date.now() }));
+  }
+  framesSent++;
+  playTimer = setTimeout(sendFrame, options.frameMs / options.speed);
+}
+
+function finish() {
+  console.log(`✓ Played ${playlist.length} recording(s), ${framesSent} frame(s)`);
+  clearTimeout(playTimer);
+  // let the last frame reach the server before closing
+  setTimeout(() => ws.close(), 500);
+}
+
+ws.on('close', () => {
+  console.log('✗ connection closed');
+  process.exit(0);
+});
+
+ws.on('error', (e) => {
+  console.error('✗ ws error:', e.message || e);
+  console.error('  Make sure the Electron app (npm start) is running on the same machine');
+});